@@ -18,19 +18,161 @@ async function main() {
     try {
         // Dynamic import of the main module (ES modules)
         const { setupAgent } = await import(path.join(__dirname, '../src/index.js'));
+        const {
+            doctorCommand,
+            validateCommand,
+            addProviderCommand,
+            addChannelCommand,
+            guideCommand,
+            rollbackCommand,
+            migrateCommand,
+            tokenRotateCommand,
+            tokenShowCommand,
+            vaultSetCommand,
+            vaultGetCommand,
+            vaultListCommand,
+            vaultRekeyCommand,
+            runSubcommand
+        } = await import(path.join(__dirname, '../src/commands/index.js'));
         
         // Setup commander program
         program
             .name('openclaw-setup')
             .description('AI-powered setup assistant for OpenClaw')
             .version('1.1.0-beta.1')
+            .option('--answers <file>', 'run non-interactively using answers from a YAML/JSON file')
+            .option('--record <file>', 'record every answer to a replayable answers file')
+            .option('--resume', 'continue an interrupted setup from its last completed step')
+            .option('--dry-run', 'run the full flow but only preview file changes and commands')
+            .option('--secrets <mode>', 'where to keep API keys and tokens: inline (in clawdbot.yaml), env (~/.openclaw/.env) or vault (encrypted)', 'inline')
+            .option('--target-version <version>', 'Clawdbot version to generate config for (default: the installed clawdbot, else the latest known)')
+            .option('--catalog <file>', 'model catalog (JSON/YAML) to load on top of the built-in one')
+            .option('--ca-file <file>', 'extra CA certificates (PEM) to trust, e.g. for a proxy that inspects HTTPS')
+            .enablePositionalOptions()
             .action(setupAgent);
+
+        // Subcommands for changing an existing setup without re-running the wizard
+        program
+            .command('doctor')
+            .description('check system resources and software environment')
+            .option('--ca-file <file>', 'extra CA certificates (PEM) to trust, e.g. for a proxy that inspects HTTPS')
+            .action(runSubcommand(doctorCommand));
+
+        program
+            .command('validate [config]')
+            .description('validate an existing clawdbot.yaml (default: ./clawdbot.yaml)')
+            .option('--ca-file <file>', 'extra CA certificates (PEM) to trust, e.g. for a proxy that inspects HTTPS')
+            .action(runSubcommand(validateCommand));
+
+        program
+            .command('add-provider [type]')
+            .description('add an AI provider (anthropic, openai, azure-openai, openrouter, mistral, groq, deepseek, together, nvidia-nim, ollama, local-server, custom) to clawdbot.yaml')
+            .option('-c, --config <file>', 'config file to update', 'clawdbot.yaml')
+            .option('--primary', 'make it the primary provider')
+            .option('--secrets <mode>', 'inline, env (~/.openclaw/.env) or vault (encrypted)', 'inline')
+            .option('--catalog <file>', 'model catalog (JSON/YAML) to load on top of the built-in one')
+            .option('--ca-file <file>', 'extra CA certificates (PEM) to trust, e.g. for a proxy that inspects HTTPS')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(addProviderCommand));
+
+        program
+            .command('add-channel [type]')
+            .description('add a channel (whatsapp, telegram, discord, slack, terminal) to clawdbot.yaml')
+            .option('-c, --config <file>', 'config file to update', 'clawdbot.yaml')
+            .option('--secrets <mode>', 'inline, env (~/.openclaw/.env) or vault (encrypted)', 'inline')
+            .option('--target-version <version>', 'Clawdbot version to write settings for (default: the installed clawdbot)')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(addChannelCommand));
+
+        program
+            .command('guide')
+            .description('regenerate OPENCLAW_SETUP_GUIDE.md from the current config')
+            .option('-c, --config <file>', 'config file to read', 'clawdbot.yaml')
+            .option('-o, --output <file>', 'guide file to write', 'OPENCLAW_SETUP_GUIDE.md')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(guideCommand));
+
+        program
+            .command('rollback')
+            .description('restore clawdbot.yaml from a backup in ~/.openclaw/backups')
+            .option('--to <timestamp>', 'backup to restore (default: the newest)')
+            .option('--list', 'list the available backups')
+            .option('-c, --config <file>', 'config file to restore', 'clawdbot.yaml')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(rollbackCommand));
+
+        program
+            .command('migrate [config]')
+            .description('upgrade a clawdbot.yaml written by an older setup agent (default: ./clawdbot.yaml)')
+            .option('--target-version <version>', 'Clawdbot version to migrate for (default: the installed clawdbot)')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(migrateCommand));
+
+        const token = program
+            .command('token')
+            .description('manage the gateway access token');
+
+        token
+            .command('rotate')
+            .description('replace the gateway token (in its secret store and clawdbot.yaml)')
+            .option('-c, --config <file>', 'config file to update', 'clawdbot.yaml')
+            .option('--dry-run', 'preview the change without writing it')
+            .action(runSubcommand(tokenRotateCommand));
+
+        token
+            .command('show')
+            .description('print the gateway token and how clients connect')
+            .option('-c, --config <file>', 'config file to read', 'clawdbot.yaml')
+            .option('--qr', 'also print a QR code of the Control UI link')
+            .action(runSubcommand(tokenShowCommand));
+
+        const vault = program
+            .command('vault')
+            .description('manage the encrypted secrets vault (~/.openclaw/secrets.vault)');
+
+        vault
+            .command('set <name> [value]')
+            .description('store a secret (asked for when no value is given)')
+            .action(runSubcommand(vaultSetCommand));
+
+        vault
+            .command('get <name>')
+            .description('print a secret')
+            .action(runSubcommand(vaultGetCommand));
+
+        vault
+            .command('list')
+            .description('list stored secret names')
+            .action(runSubcommand(vaultListCommand));
+
+        vault
+            .command('rekey')
+            .description('re-encrypt the vault with a new passphrase')
+            .action(runSubcommand(vaultRekeyCommand));
             
         // Add help examples
         program.addHelpText('after', `
 Examples:
   $ openclaw-setup              # Start interactive setup
   $ npx openclaw-setup          # Run without installing globally
+  $ openclaw-setup --answers setup.yaml   # Provision from an answers file
+  $ openclaw-setup --record setup.yaml    # Save your answers for teammates to replay
+  $ openclaw-setup --resume               # Pick up where an interrupted setup stopped
+  $ openclaw-setup --dry-run              # Preview every file change and command
+  $ openclaw-setup --secrets env          # Keep keys in ~/.openclaw/.env, not clawdbot.yaml
+  $ openclaw-setup --target-version 2026.1.22   # Generate config for an older Clawdbot
+  $ openclaw-setup --catalog models.yaml  # Offer models from your own catalog
+  $ HTTPS_PROXY=http://proxy:3128 openclaw-setup --ca-file corp-ca.pem   # Set up behind a corporate proxy
+  $ openclaw-setup doctor                 # Check this machine
+  $ openclaw-setup validate               # Validate ./clawdbot.yaml
+  $ openclaw-setup add-provider openai    # Add a provider to an existing setup
+  $ openclaw-setup add-channel telegram   # Add a channel to an existing setup
+  $ openclaw-setup guide                  # Regenerate the setup guide
+  $ openclaw-setup rollback               # Restore the previous clawdbot.yaml
+  $ openclaw-setup migrate                # Upgrade a config from an older setup agent
+  $ openclaw-setup token show --qr        # Show the gateway token as a QR code
+  $ openclaw-setup token rotate           # Replace the gateway token
+  $ openclaw-setup vault set ANTHROPIC_API_KEY   # Store a secret in the encrypted vault
   
 Need help? Visit https://kingos.net/docs/openclaw-setup-agent
 `);
@@ -0,0 +1,77 @@
+/**
+ * Add Channel Command - Configure one more channel in an existing clawdbot.yaml
+ */
+
+import chalk from 'chalk';
+import { loadConfig, writeConfig, generateChannelsConfig } from '../generators/config.js';
+import { configureChannel, getChannelDisplayName } from '../prompts/channels.js';
+import { ask } from '../utils/prompt.js';
+import { setDryRun, displayDryRunSummary } from '../utils/fileOps.js';
+import { setSecretsMode } from '../utils/secrets.js';
+import { resolveTargetVersion } from '../generators/compatibility.js';
+import { resolveConfigPath } from './common.js';
+
+const CHANNEL_TYPES = ['whatsapp', 'telegram', 'discord', 'slack', 'terminal'];
+
+/**
+ * Run the channel prompts for one channel and merge the result into the config
+ *
+ * @param {string} [channelType] - whatsapp, telegram, discord, slack or terminal (asked when omitted)
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file to update (defaults to ./clawdbot.yaml)
+ * @param {string} [options.secrets] - 'env' or 'vault' to keep secrets out of clawdbot.yaml
+ * @param {boolean} [options.dryRun] - Only preview the change
+ * @param {string} [options.targetVersion] - Clawdbot version to write settings for (default: the installed one)
+ */
+export async function addChannelCommand(channelType, options = {}) {
+    setDryRun(options.dryRun);
+    setSecretsMode(options.secrets);
+    const targetVersion = resolveTargetVersion(options.targetVersion);
+
+    const { config, configPath } = loadConfig(resolveConfigPath(options.config));
+
+    if (channelType && !CHANNEL_TYPES.includes(channelType)) {
+        throw new Error(`Unknown channel "${channelType}". Choose one of: ${CHANNEL_TYPES.join(', ')}`);
+    }
+
+    if (!channelType) {
+        ({ channelType } = await ask('channels', [{
+            type: 'list',
+            name: 'channelType',
+            message: 'Which channel would you like to add?',
+            choices: CHANNEL_TYPES.map(type => ({
+                name: getChannelDisplayName(type) + (config.channels?.[type] ? chalk.gray(' (configured)') : ''),
+                value: type
+            }))
+        }]));
+    }
+
+    console.log('');
+    console.log(chalk.blue(`📋 Setting up ${getChannelDisplayName(channelType)}...`));
+
+    const channel = await configureChannel(channelType);
+    if (!channel) {
+        console.log(chalk.yellow('\n⏭️  No channel added.'));
+        return;
+    }
+
+    if (config.channels?.[channel.name]) {
+        const { replace } = await ask('channels', [{
+            type: 'confirm',
+            name: 'replace',
+            message: `${getChannelDisplayName(channelType)} is already configured. Replace it?`,
+            default: false
+        }]);
+        if (!replace) {
+            console.log(chalk.yellow('\n⏭️  Kept the existing channel settings.'));
+            return;
+        }
+    }
+
+    // Replacing was confirmed above, so differing settings take the new values
+    await writeConfig({ channels: generateChannelsConfig([channel], targetVersion) }, configPath, { strategy: 'incoming' });
+
+    console.log(chalk.green(`\n✅ Added ${getChannelDisplayName(channelType)} to ${configPath}`));
+    console.log(chalk.gray('   Restart OpenClaw to use it: clawdbot gateway restart'));
+    displayDryRunSummary();
+}
@@ -0,0 +1,100 @@
+/**
+ * Add Provider Command - Configure one more AI provider in an existing clawdbot.yaml
+ */
+
+import chalk from 'chalk';
+import { loadConfig, writeConfig, generateProvidersConfig } from '../generators/config.js';
+import { configureProvider, getProviderDisplayName, getProviderTypes } from '../prompts/providers.js';
+import { setCatalogFile } from '../providers/catalog.js';
+import { setCaFile } from '../utils/http.js';
+import { ask } from '../utils/prompt.js';
+import { setDryRun, displayDryRunSummary } from '../utils/fileOps.js';
+import { setSecretsMode } from '../utils/secrets.js';
+import { resolveConfigPath } from './common.js';
+
+/**
+ * Run the provider prompts for one provider and merge the result into the config
+ *
+ * @param {string} [providerType] - A provider type from the catalog, e.g. anthropic, groq, ollama or custom (asked when omitted)
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file to update (defaults to ./clawdbot.yaml)
+ * @param {boolean} [options.primary] - Make the new provider the primary one
+ * @param {string} [options.secrets] - 'env' or 'vault' to keep secrets out of clawdbot.yaml
+ * @param {string} [options.catalog] - Model catalog to load on top of the built-in one
+ * @param {string} [options.caFile] - Extra CA certificates (PEM) to trust
+ * @param {boolean} [options.dryRun] - Only preview the change
+ */
+export async function addProviderCommand(providerType, options = {}) {
+    setDryRun(options.dryRun);
+    setSecretsMode(options.secrets);
+    setCatalogFile(options.catalog);
+    setCaFile(options.caFile);
+    const providerTypes = getProviderTypes();
+
+    const { config, configPath } = loadConfig(resolveConfigPath(options.config));
+
+    if (providerType && !providerTypes.includes(providerType)) {
+        throw new Error(`Unknown provider "${providerType}". Choose one of: ${providerTypes.join(', ')}`);
+    }
+
+    if (!providerType) {
+        ({ providerType } = await ask('providers', [{
+            type: 'list',
+            name: 'providerType',
+            message: 'Which AI provider would you like to add?',
+            choices: providerTypes.map(type => ({
+                name: getProviderDisplayName(type) + (config.providers?.[type] ? chalk.gray(' (configured)') : ''),
+                value: type
+            }))
+        }]));
+    }
+
+    const provider = await configureProvider(providerType, Boolean(options.primary));
+    if (!provider) {
+        console.log(chalk.yellow('\n⏭️  No provider added.'));
+        return;
+    }
+
+    if (config.providers?.[provider.name]) {
+        const { replace } = await ask('providers', [{
+            type: 'confirm',
+            name: 'replace',
+            message: `${getProviderDisplayName(providerType)} is already configured. Replace it?`,
+            default: false
+        }]);
+        if (!replace) {
+            console.log(chalk.yellow('\n⏭️  Kept the existing provider settings.'));
+            return;
+        }
+    }
+
+    // Replacing was confirmed above; a new primary also demotes the old one
+    const update = { providers: generateProvidersConfig([provider]) };
+    if (config.routing?.tiers) {
+        update.routing = { tiers: addToTiers(config.routing.tiers, provider.name, Boolean(options.primary)) };
+    }
+    await writeConfig(update, configPath, { strategy: 'incoming' });
+
+    console.log(chalk.green(`\n✅ Added ${getProviderDisplayName(providerType)} to ${configPath}`));
+    console.log(chalk.gray('   Restart OpenClaw to use it: clawdbot gateway restart'));
+    displayDryRunSummary();
+}
+
+/**
+ * Place a new provider in the model tiers: as primary (the old primary becomes
+ * the first fallback) or at the end of the fallback chain
+ */
+function addToTiers(tiers, providerName, isPrimary) {
+    const fallback = (tiers.fallback || []).filter(name => name !== providerName);
+
+    if (!isPrimary) {
+        return { ...tiers, fallback: [...fallback, providerName] };
+    }
+
+    const previousPrimary = tiers.primary && tiers.primary !== providerName ? [tiers.primary] : [];
+    return {
+        ...tiers,
+        primary: providerName,
+        fallback: [...previousPrimary, ...fallback.filter(name => name !== tiers.primary)]
+    };
+}
@@ -0,0 +1,31 @@
+/**
+ * Command Helpers - Shared plumbing for the openclaw-setup subcommands
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+
+export const DEFAULT_CONFIG_FILE = 'clawdbot.yaml';
+export const DEFAULT_GUIDE_FILE = 'OPENCLAW_SETUP_GUIDE.md';
+
+/**
+ * Resolve a config file argument against the working directory
+ */
+export function resolveConfigPath(configFile) {
+    return path.resolve(process.cwd(), configFile || DEFAULT_CONFIG_FILE);
+}
+
+/**
+ * Wrap a subcommand handler so failures are reported like the setup wizard's
+ */
+export function runSubcommand(handler) {
+    return async (...args) => {
+        try {
+            await handler(...args);
+        } catch (error) {
+            console.error(chalk.red('\n❌ Command failed:'), error.message);
+            console.log(chalk.gray('\nFor support, visit: https://kingos.net/support'));
+            process.exit(1);
+        }
+    };
+}
@@ -0,0 +1,37 @@
+/**
+ * Doctor Command - Check this machine without touching any configuration
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { performSystemPreCheck, displaySystemCheck } from '../utils/systemCheck.js';
+import { environmentAnalysis, displayEnvironmentSummary } from '../prompts/environment.js';
+import { setCaFile } from '../utils/http.js';
+
+/**
+ * Run the system pre-check and environment analysis on their own
+ *
+ * @param {Object} [options]
+ * @param {string} [options.caFile] - Extra CA certificates (PEM) to trust
+ */
+export async function doctorCommand(options = {}) {
+    setCaFile(options.caFile);
+    console.log(chalk.blue('\n🖥️  Performing system pre-check...'));
+    const systemCheckSpinner = ora('Analyzing hardware capabilities').start();
+    const systemInfo = await performSystemPreCheck();
+    systemCheckSpinner.succeed('System analysis complete');
+    displaySystemCheck(systemInfo);
+
+    console.log(chalk.blue('\n🔧 Analyzing software environment...'));
+    const envSpinner = ora('Scanning system configuration').start();
+    const environment = await environmentAnalysis();
+    envSpinner.succeed('Environment analysis complete');
+    displayEnvironmentSummary(environment);
+
+    if (environment.compatibility === 'incompatible') {
+        console.log(chalk.red('❌ This system cannot run OpenClaw until the issues above are fixed.'));
+        process.exitCode = 1;
+    } else {
+        console.log(chalk.green(`✅ Compatibility: ${environment.compatibility}`));
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Guide Command - Regenerate OPENCLAW_SETUP_GUIDE.md from the current config
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { loadConfig } from '../generators/config.js';
+import { generatePostSetupGuide, writePostSetupGuide } from '../generators/postSetup.js';
+import { setDryRun, displayDryRunSummary } from '../utils/fileOps.js';
+import { resolveConfigPath, DEFAULT_GUIDE_FILE } from './common.js';
+
+/**
+ * Rebuild the post-setup guide so it matches clawdbot.yaml after manual edits
+ *
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file to read (defaults to ./clawdbot.yaml)
+ * @param {string} [options.output] - Guide file to write (defaults to ./OPENCLAW_SETUP_GUIDE.md)
+ * @param {boolean} [options.dryRun] - Only preview the change
+ */
+export async function guideCommand(options = {}) {
+    setDryRun(options.dryRun);
+
+    const { config } = loadConfig(resolveConfigPath(options.config));
+    const guidePath = path.resolve(process.cwd(), options.output || DEFAULT_GUIDE_FILE);
+
+    // The guide lists providers the way the wizard passes them: an array with names
+    const guideConfig = {
+        ...config,
+        providers: Object.entries(config.providers || {}).map(([name, provider]) => ({ name, ...provider }))
+    };
+
+    const guide = generatePostSetupGuide(guideConfig, inferPreferences(config), {});
+    if (!writePostSetupGuide(guide, guidePath)) {
+        throw new Error(`Could not write ${guidePath}`);
+    }
+
+    console.log(chalk.green(`\n📖 Setup guide regenerated: ${guidePath}`));
+    displayDryRunSummary();
+}
+
+/**
+ * Recover the welcome preferences from the agent settings they produced
+ * (see generateAgentConfig in src/generators/config.js)
+ */
+function inferPreferences(config) {
+    const agent = config.agent || {};
+
+    const primaryUse = {
+        professional: 'work',
+        technical: 'automation',
+        curious: 'experiment'
+    }[agent.personality] || 'personal';
+
+    const experience = {
+        detailed: 'beginner',
+        concise: 'advanced'
+    }[agent.responseMode] || 'intermediate';
+
+    return { primaryUse, experience };
+}
@@ -0,0 +1,14 @@
+/**
+ * Subcommands - Entry points for `openclaw-setup <command>`
+ */
+
+export { doctorCommand } from './doctor.js';
+export { validateCommand } from './validate.js';
+export { addProviderCommand } from './addProvider.js';
+export { addChannelCommand } from './addChannel.js';
+export { guideCommand } from './guide.js';
+export { rollbackCommand } from './rollback.js';
+export { migrateCommand } from './migrate.js';
+export { tokenRotateCommand, tokenShowCommand } from './token.js';
+export { vaultSetCommand, vaultGetCommand, vaultListCommand, vaultRekeyCommand } from './vault.js';
+export { runSubcommand } from './common.js';
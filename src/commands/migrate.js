@@ -0,0 +1,72 @@
+/**
+ * Migrate Command - Upgrade a clawdbot.yaml written by an older setup agent
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { migrateConfig } from '../generators/migrations.js';
+import { resolveTargetVersion } from '../generators/compatibility.js';
+import { backupConfig } from '../utils/backup.js';
+import { createUnifiedDiff, colorizeDiff } from '../utils/diff.js';
+import { setDryRun, isDryRun, writeFile, readFile, displayDryRunSummary } from '../utils/fileOps.js';
+import { resolveConfigPath } from './common.js';
+
+/**
+ * Apply the pending migration steps, show the diff and write the result
+ *
+ * @param {string} [configFile] - Config file to migrate (defaults to ./clawdbot.yaml)
+ * @param {Object} [options]
+ * @param {string} [options.targetVersion] - Clawdbot version to migrate for (default: the installed one)
+ * @param {boolean} [options.dryRun] - Only preview the change
+ */
+export async function migrateCommand(configFile, options = {}) {
+    setDryRun(options.dryRun);
+
+    const configPath = resolveConfigPath(configFile);
+    const existingYaml = readFile(configPath);
+    if (existingYaml === null) {
+        throw new Error(`No configuration found at ${configPath}`);
+    }
+
+    const target = resolveTargetVersion(options.targetVersion);
+    const migration = migrateConfig(existingYaml, target, configPath);
+    const { from } = migration;
+
+    console.log(chalk.blue(`\n🔄 Migrating ${configPath}`));
+    console.log(chalk.gray(`   Written by setup agent ${from.agentVersion ? `v${from.agentVersion}` : '(unknown)'}, config schema v${from.schemaVersion} → v${migration.toSchema}, target Clawdbot ${target.version}`));
+
+    if (!migration.changed && migration.manual.length > 0) {
+        console.log(chalk.yellow('\nNo changes could be made automatically.'));
+    } else if (!migration.changed) {
+        console.log(chalk.green('\n✅ Nothing to migrate - the config is up to date.'));
+    } else {
+        if (migration.applied.length > 0) {
+            console.log(chalk.white.bold('\nMigration steps applied:'));
+            migration.applied.forEach(step => console.log(chalk.green(`   • ${step}`)));
+        }
+
+        // A dry run prints the same diff when the file is written
+        if (!isDryRun()) {
+            console.log('\n' + colorizeDiff(createUnifiedDiff(existingYaml, migration.yamlContent, path.basename(configPath))));
+        }
+
+        const backupPath = backupConfig(configPath);
+        writeFile(configPath, migration.yamlContent);
+
+        console.log(chalk.green(`\n✅ Migrated ${configPath}`));
+        if (backupPath) {
+            console.log(chalk.gray(`   The previous config was backed up to ${backupPath}`));
+        }
+    }
+
+    if (migration.manual.length > 0) {
+        console.log(chalk.yellow.bold('\n⚠️  Could not migrate automatically - please fix by hand:'));
+        migration.manual.forEach(item => console.log(chalk.yellow(`   • ${item}`)));
+    }
+    if (migration.unknown.length > 0) {
+        console.log(chalk.gray('\nLeft as they are:'));
+        migration.unknown.forEach(item => console.log(chalk.gray(`   • ${item}`)));
+    }
+
+    displayDryRunSummary();
+}
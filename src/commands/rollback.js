@@ -0,0 +1,79 @@
+/**
+ * Rollback Command - Restore clawdbot.yaml from a backup
+ */
+
+import chalk from 'chalk';
+import { loadConfig } from '../generators/config.js';
+import { listBackups, findBackup, backupConfig, getBackupDir } from '../utils/backup.js';
+import { secureConfigPermissions } from '../utils/security.js';
+import { setDryRun, writeFile, readFile, displayDryRunSummary } from '../utils/fileOps.js';
+import { resolveConfigPath } from './common.js';
+
+/**
+ * Restore the newest backup, or the one given with --to
+ *
+ * @param {Object} [options]
+ * @param {string} [options.to] - Timestamp (or unique prefix) of the backup to restore
+ * @param {boolean} [options.list] - Only list the available backups
+ * @param {string} [options.config] - Config file to restore (defaults to ./clawdbot.yaml)
+ * @param {boolean} [options.dryRun] - Only preview the change
+ */
+export async function rollbackCommand(options = {}) {
+    setDryRun(options.dryRun);
+
+    const configPath = resolveConfigPath(options.config);
+    const backups = listBackups();
+
+    if (options.list) {
+        displayBackups(backups);
+        return;
+    }
+
+    if (backups.length === 0) {
+        throw new Error(`No backups found in ${getBackupDir()}`);
+    }
+
+    const backup = options.to ? findBackup(options.to) : backups[0];
+    // Parse before touching anything so a damaged backup can't replace a working config
+    const { yamlContent } = loadConfig(backup.path);
+
+    console.log(chalk.blue(`\n⏪ Restoring backup from ${backup.createdAt.toLocaleString()} (setup agent v${backup.version})`));
+
+    if (readFile(configPath) === yamlContent) {
+        console.log(chalk.green(`✅ ${configPath} already matches this backup.`));
+        return;
+    }
+
+    // Keep the config being replaced, so the rollback itself can be undone
+    const previousBackup = backupConfig(configPath);
+    writeFile(configPath, yamlContent);
+
+    // The restored settings are used as they were; only the file permissions are hardened again
+    const permissions = secureConfigPermissions(configPath);
+    permissions.applied.forEach(applied => console.log(chalk.gray(`   ${applied}`)));
+    permissions.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+    console.log(chalk.green(`\n✅ Restored ${configPath} from ${backup.timestamp}`));
+    if (previousBackup) {
+        console.log(chalk.gray(`   The replaced config was backed up to ${previousBackup}`));
+    }
+    console.log(chalk.gray('   Restart OpenClaw to use it: clawdbot gateway restart'));
+    displayDryRunSummary();
+}
+
+/**
+ * Print the available backups
+ */
+function displayBackups(backups) {
+    if (backups.length === 0) {
+        console.log(chalk.yellow(`No backups found in ${getBackupDir()}`));
+        return;
+    }
+
+    console.log(chalk.white.bold(`\nBackups in ${getBackupDir()} (newest first):\n`));
+    backups.forEach((backup, index) => {
+        console.log(chalk.white(`   ${backup.timestamp}  ${backup.createdAt.toLocaleString()}  v${backup.version}`) +
+            (index === 0 ? chalk.gray('  (restored by default)') : ''));
+    });
+    console.log('');
+}
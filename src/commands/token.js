@@ -0,0 +1,65 @@
+/**
+ * Token Commands - Rotate and show the gateway access token
+ */
+
+import chalk from 'chalk';
+import { loadConfig, writeConfig } from '../generators/config.js';
+import { generateGatewayToken, storeGatewayToken, displayGatewayToken } from '../utils/gatewayToken.js';
+import { resolveSecretReferences } from '../utils/secrets.js';
+import { setDryRun, displayDryRunSummary } from '../utils/fileOps.js';
+import { resolveConfigPath } from './common.js';
+
+/**
+ * Replace the gateway token, updating its secret store and clawdbot.yaml in place
+ *
+ * The new token goes where the current reference points (the .env file or the
+ * vault); a token written straight into the YAML is moved to ~/.openclaw/.env.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file to update (defaults to ./clawdbot.yaml)
+ * @param {boolean} [options.dryRun] - Only preview the change
+ */
+export async function tokenRotateCommand(options = {}) {
+    setDryRun(options.dryRun);
+
+    const configPath = resolveConfigPath(options.config);
+    const { config } = loadConfig(configPath);
+    const hadToken = Boolean(config.authentication?.token);
+
+    const token = generateGatewayToken();
+    storeGatewayToken(config, token);
+    await writeConfig({ authentication: config.authentication }, configPath, { strategy: 'incoming' });
+
+    console.log(chalk.green(`\n✅ ${hadToken ? 'Rotated' : 'Created'} the gateway token for ${configPath}\n`));
+    displayGatewayToken(token, config);
+
+    if (hadToken) {
+        console.log(chalk.yellow('   Clients using the old token must be updated.'));
+    }
+    console.log(chalk.gray('   Restart OpenClaw to use it: clawdbot gateway restart'));
+    displayDryRunSummary();
+}
+
+/**
+ * Print the current gateway token and the client connection settings
+ *
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file to read (defaults to ./clawdbot.yaml)
+ * @param {boolean} [options.qr] - Also print a QR code of the Control UI link
+ */
+export async function tokenShowCommand(options = {}) {
+    const configPath = resolveConfigPath(options.config);
+    const { config } = loadConfig(configPath);
+
+    if (!config.authentication?.token) {
+        throw new Error(`${configPath} has no gateway token. Create one with: openclaw-setup token rotate`);
+    }
+
+    const { value: token, missing } = await resolveSecretReferences(config.authentication.token);
+    if (missing.length > 0) {
+        throw new Error(`authentication.token refers to ${missing[0]}, which is not set. Create a new token with: openclaw-setup token rotate`);
+    }
+
+    console.log('');
+    displayGatewayToken(token, config, { qr: options.qr });
+}
@@ -0,0 +1,72 @@
+/**
+ * Validate Command - Validate an existing clawdbot.yaml
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { loadConfig } from '../generators/config.js';
+import { environmentAnalysis } from '../prompts/environment.js';
+import { validateSetup } from '../validators/setup.js';
+import { unlockVault } from '../utils/vault.js';
+import { setCaFile } from '../utils/http.js';
+import { resolveConfigPath } from './common.js';
+
+/**
+ * Run the setup validator against a config file on disk
+ *
+ * @param {string} [configFile] - Path to the config (defaults to ./clawdbot.yaml)
+ * @param {Object} [options]
+ * @param {string} [options.caFile] - Extra CA certificates (PEM) to trust
+ */
+export async function validateCommand(configFile, options = {}) {
+    setCaFile(options.caFile);
+    const configData = loadConfig(resolveConfigPath(configFile));
+    console.log(chalk.blue(`\n✅ Validating ${configData.configPath}...`));
+
+    // Ask for the vault passphrase up front rather than under a spinner
+    if (configData.yamlContent.includes('${vault:')) {
+        await unlockVault();
+    }
+
+    const envSpinner = ora('Scanning system configuration').start();
+    const environment = await environmentAnalysis();
+    envSpinner.succeed('Environment analysis complete');
+
+    const validationSpinner = ora('Testing configuration').start();
+    const validation = await validateSetup(configData, environment);
+    if (validation.isValid) {
+        validationSpinner.succeed('Configuration validated successfully');
+    } else {
+        validationSpinner.fail('Configuration validation failed');
+    }
+
+    displayValidationResults(validation);
+
+    if (!validation.isValid) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Print each check with its errors and warnings
+ */
+function displayValidationResults(validation) {
+    console.log('');
+    validation.checks.forEach(check => {
+        const icon = check.status === 'passed' ? chalk.green('✅')
+            : check.status === 'warning' ? chalk.yellow('⚠️ ')
+            : chalk.red('❌');
+        console.log(`${icon} ${check.name}`);
+    });
+
+    if (validation.errors.length > 0) {
+        console.log(chalk.red('\n❌ Issues found:'));
+        validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+    }
+
+    if (validation.warnings.length > 0) {
+        console.log(chalk.yellow('\n⚠️  Warnings:'));
+        validation.warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)));
+    }
+    console.log('');
+}
@@ -0,0 +1,87 @@
+/**
+ * Vault Commands - Manage the encrypted secrets vault
+ */
+
+import chalk from 'chalk';
+import { ask } from '../utils/prompt.js';
+import {
+    getVaultPath,
+    vaultExists,
+    listVaultEntries,
+    unlockVault,
+    getVaultEntry,
+    setVaultEntry,
+    rekeyVault,
+    saveVault
+} from '../utils/vault.js';
+
+/**
+ * Store a secret, creating the vault on first use
+ *
+ * @param {string} name - Entry name, e.g. ANTHROPIC_API_KEY
+ * @param {string} [value] - Secret value (asked for when omitted, which keeps it out of shell history)
+ */
+export async function vaultSetCommand(name, value) {
+    const vault = await unlockVault({ create: true });
+
+    if (value === undefined) {
+        ({ value } = await ask('vault', [{
+            type: 'password',
+            name: 'value',
+            envVar: name,
+            message: `Value for ${name}:`,
+            mask: '*',
+            validate: (input) => input.length > 0 || 'A value is required'
+        }]));
+    }
+
+    const replaced = getVaultEntry(vault, name) !== undefined;
+    setVaultEntry(vault, name, value);
+    saveVault(vault);
+
+    console.log(chalk.green(`✅ ${replaced ? 'Updated' : 'Stored'} ${name} in ${getVaultPath()}`));
+    console.log(chalk.gray(`   Reference it in clawdbot.yaml as \${vault:${name}}`));
+}
+
+/**
+ * Print one secret to stdout (nothing else, so it can be piped)
+ */
+export async function vaultGetCommand(name) {
+    const vault = await unlockVault();
+    const value = getVaultEntry(vault, name);
+
+    if (value === undefined) {
+        throw new Error(`No entry named ${name} in ${getVaultPath()}`);
+    }
+
+    process.stdout.write(value + '\n');
+}
+
+/**
+ * List entry names without decrypting anything
+ */
+export async function vaultListCommand() {
+    if (!vaultExists()) {
+        console.log(chalk.yellow(`No secrets vault yet. Create one with: openclaw-setup vault set <NAME>`));
+        return;
+    }
+
+    const entries = listVaultEntries();
+    console.log(chalk.white.bold(`\n🔐 ${getVaultPath()} (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'})\n`));
+    entries.forEach(entry => {
+        console.log(chalk.white(`   ${entry.name.padEnd(28)}`) + chalk.gray(`updated ${new Date(entry.updatedAt).toLocaleString()}`));
+    });
+    console.log('');
+}
+
+/**
+ * Re-encrypt the vault under a new passphrase
+ */
+export async function vaultRekeyCommand() {
+    const vault = await unlockVault();
+    const rekeyed = await rekeyVault(vault);
+    saveVault(rekeyed);
+
+    const count = Object.keys(rekeyed.entries).length;
+    console.log(chalk.green(`✅ Vault re-encrypted with the new passphrase (${count} entr${count === 1 ? 'y' : 'ies'})`));
+}
@@ -0,0 +1,156 @@
+/**
+ * Clawdbot Compatibility - Which config fields each Clawdbot release understands
+ *
+ * Clawdbot uses calendar versions (2026.1.24, 2026.1.24-3). The table below lists
+ * the release that introduced each config feature the generator can emit; a
+ * target version gets every feature introduced at or before it. See
+ * docs/OC-001_GAP_ANALYSIS.md for where these come from.
+ */
+
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+
+/**
+ * Config features by the Clawdbot release that introduced them
+ */
+export const CLAWDBOT_FEATURES = {
+    ttsAutoModes: {
+        since: '2026.1.24',
+        description: 'TTS auto modes (off/always/inbound/tagged) and the keyless Edge TTS provider'
+    },
+    diagnosticsFlags: {
+        since: '2026.1.24',
+        description: 'diagnostics.flags for debug logging'
+    },
+    controlUi: {
+        since: '2026.1.24',
+        description: 'gateway.controlUi settings'
+    },
+    telegramLinkPreview: {
+        since: '2026.1.24',
+        description: 'Telegram linkPreview'
+    }
+};
+
+/**
+ * Oldest release the generated config works with, and the default target
+ */
+export const OLDEST_SUPPORTED_VERSION = '2026.1.22';
+export const DEFAULT_TARGET_VERSION = '2026.1.24';
+
+/**
+ * Normalise a Clawdbot version string (e.g. "clawdbot 2026.1.24-3" → "2026.1.24-3")
+ *
+ * @returns {string|null} The version, or null when none is found
+ */
+export function parseClawdbotVersion(text) {
+    const match = String(text).match(/(\d{4})\.(\d{1,2})\.(\d{1,2})(?:-(\d+))?/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, build] = match;
+    const version = [year, month, day].map(Number).join('.');
+    return build ? `${version}-${Number(build)}` : version;
+}
+
+/**
+ * Compare two Clawdbot versions (negative, zero or positive like a sort comparator)
+ *
+ * A "-N" suffix is a later build of the same release, so 2026.1.24-3 > 2026.1.24.
+ */
+export function compareClawdbotVersions(a, b) {
+    const parts = version => version.split(/[.-]/).map(Number).concat([0, 0, 0, 0]).slice(0, 4);
+    const [left, right] = [parts(a), parts(b)];
+
+    for (let i = 0; i < 4; i++) {
+        if (left[i] !== right[i]) {
+            return left[i] - right[i];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Version of the installed clawdbot, or null when it isn't installed
+ */
+export function detectClawdbotVersion() {
+    try {
+        const output = execSync('clawdbot --version', { encoding: 'utf8', stdio: 'pipe', timeout: 10000 });
+        return parseClawdbotVersion(output);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Work out which Clawdbot version to generate config for
+ *
+ * An explicit version wins, then the installed clawdbot, then DEFAULT_TARGET_VERSION.
+ *
+ * @param {string} [requested] - Value of --target-version
+ * @returns {{version: string, source: string, features: Object<string, boolean>}} source is 'option', 'installed' or 'default'
+ */
+export function resolveTargetVersion(requested) {
+    let version;
+    let source;
+
+    if (requested) {
+        version = parseClawdbotVersion(requested);
+        source = 'option';
+        if (!version) {
+            throw new Error(`Invalid --target-version "${requested}". Use a Clawdbot version such as ${DEFAULT_TARGET_VERSION}.`);
+        }
+        if (compareClawdbotVersions(version, OLDEST_SUPPORTED_VERSION) < 0) {
+            throw new Error(`Clawdbot ${version} is not supported. Target ${OLDEST_SUPPORTED_VERSION} or later.`);
+        }
+    } else {
+        version = detectClawdbotVersion();
+        source = 'installed';
+        if (!version) {
+            version = DEFAULT_TARGET_VERSION;
+            source = 'default';
+        }
+    }
+
+    const features = Object.fromEntries(
+        Object.entries(CLAWDBOT_FEATURES).map(([name, feature]) => [name, compareClawdbotVersions(version, feature.since) >= 0])
+    );
+
+    return { version, source, features };
+}
+
+/**
+ * Features the target version doesn't support, with the release that added them
+ *
+ * @returns {Array<{name: string, since: string, description: string}>}
+ */
+export function getUnsupportedFeatures(target) {
+    return Object.entries(CLAWDBOT_FEATURES)
+        .filter(([name]) => !target.features[name])
+        .map(([name, feature]) => ({ name, ...feature }));
+}
+
+/**
+ * Show which Clawdbot version the config targets and what it leaves out
+ */
+export function displayTargetVersion(target) {
+    const sources = {
+        option: 'from --target-version',
+        installed: 'detected from the installed clawdbot',
+        default: 'clawdbot not found - use --target-version to choose another release'
+    };
+    console.log(chalk.gray(`   Target Clawdbot version: ${target.version} (${sources[target.source]})`));
+
+    if (compareClawdbotVersions(target.version, OLDEST_SUPPORTED_VERSION) < 0) {
+        console.log(chalk.yellow(`   ⚠️  Clawdbot ${target.version} is older than ${OLDEST_SUPPORTED_VERSION}, the oldest release this config is tested with. Consider upgrading: npm install -g clawdbot`));
+    }
+
+    const unsupported = getUnsupportedFeatures(target);
+    if (unsupported.length > 0) {
+        console.log(chalk.yellow(`   ⚠️  Clawdbot ${target.version} doesn't support these settings, so they are left out or written in the older format:`));
+        unsupported.forEach(feature => {
+            console.log(chalk.yellow(`      • ${feature.description} (needs ${feature.since})`));
+        });
+    }
+}
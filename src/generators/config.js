@@ -3,34 +3,52 @@
  */
 
 import yaml from 'js-yaml';
-import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import chalk from 'chalk';
+import { writeFile, readFile } from '../utils/fileOps.js';
+import { backupConfig } from '../utils/backup.js';
+import { storeProviderSecret, storeChannelSecrets, storeSecret, saveSecrets } from '../utils/secrets.js';
+import { getNetworkSettings } from '../utils/http.js';
+import { mergeConfigDocument, resolveConflicts, displayKeptSettings } from './merge.js';
+import { resolveTargetVersion } from './compatibility.js';
+import { CONFIG_SCHEMA_VERSION } from '../validators/schema.js';
+
+const AGENT_VERSION = '1.1.0-beta.1';
 
 /**
  * Generate clawdbot.yaml configuration file
+ *
+ * setupData.targetVersion (from resolveTargetVersion) selects the Clawdbot
+ * release whose config fields are emitted; it defaults to the installed one.
+ * With setupData.litellm (from litellmFlow) the LiteLLM gateway becomes the only
+ * enabled provider and the configured providers are written disabled.
  */
 export async function generateConfig(setupData) {
-    const { environment, providers, channels, userPreferences } = setupData;
+    const { environment, channels, userPreferences } = setupData;
+    const target = setupData.targetVersion || resolveTargetVersion();
+    const { providers, routing } = setupData.litellm
+        ? routeThroughLiteLLM(setupData.providers, setupData.litellm)
+        : setupData;
+    
+    // The model tiers decide which provider is flagged primary
+    const tieredProviders = routing
+        ? providers.map(provider => ({ ...provider, isPrimary: provider.name === routing.primary }))
+        : providers;
     
     // Build the configuration object
     const config = {
         // Gateway configuration
-        gateway: {
-            mode: 'local',
-            host: '127.0.0.1',
-            port: 18789,
-            cors: {
-                origin: '*',
-                credentials: true
-            }
-        },
+        gateway: generateGatewayConfig(target),
+        
+        // Proxy and CA settings, when this machine needs them to reach providers
+        ...generateNetworkConfig(),
         
         // AI Model providers
-        providers: generateProvidersConfig(providers),
+        providers: generateProvidersConfig(tieredProviders),
         
         // Communication channels
-        channels: generateChannelsConfig(channels),
+        channels: generateChannelsConfig(channels, target),
         
         // Agent configuration
         agent: generateAgentConfig(userPreferences),
@@ -45,15 +63,133 @@ export async function generateConfig(setupData) {
         workspace: generateWorkspaceConfig(environment),
         
         // Skills and capabilities
-        skills: generateSkillsConfig(userPreferences)
+        skills: generateSkillsConfig(userPreferences),
+        
+        // Message handling (text-to-speech)
+        messages: generateMessagesConfig(target)
     };
     
-    // Convert to YAML and save
-    const yamlContent = generateYamlWithComments(config);
-    const configPath = path.join(process.cwd(), 'clawdbot.yaml');
+    if (routing) {
+        config.routing = generateRoutingConfig(routing);
+    }
     
-    fs.writeFileSync(configPath, yamlContent, 'utf8');
+    if (target.features.diagnosticsFlags) {
+        config.diagnostics = { flags: [] };
+    }
     
+    // Convert to YAML and save (merging into an existing file)
+    return await writeConfig(config, path.join(process.cwd(), 'clawdbot.yaml'), { targetVersion: target.version });
+}
+
+/**
+ * Providers and tiers for a setup behind the LiteLLM gateway
+ *
+ * The gateway handles failover itself, so it is the only tier. The providers
+ * behind it are kept, disabled, as fallbacks to switch back on if it is down.
+ */
+function routeThroughLiteLLM(providers, litellm) {
+    return {
+        providers: [
+            litellm.provider,
+            ...providers.map(provider => ({ ...provider, enabled: false, isPrimary: false }))
+        ],
+        routing: { primary: litellm.provider.name, fallback: [], onboarding: litellm.provider.name }
+    };
+}
+
+/**
+ * Write a configuration object to clawdbot.yaml
+ *
+ * A new file gets section comments. An existing file is merged instead of
+ * overwritten: its comments and unknown keys are kept and conflicting answers
+ * are shown for the user to resolve (see src/generators/merge.js).
+ *
+ * @param {Object} config - Full or partial configuration to write
+ * @param {string} configPath - Target file
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Resolve every conflict with 'incoming' or 'current' without asking
+ * @param {string[]} [options.force] - Dotted paths written from `config` even where the existing file differs
+ * @param {boolean} [options.backup] - Back up the existing file before changing it (default true)
+ * @param {string} [options.targetVersion] - Clawdbot version noted in the header of a new file
+ */
+export async function writeConfig(config, configPath, options = {}) {
+    const existingYaml = readFile(configPath);
+    
+    // Secrets referenced as ${VAR} must exist before the config that uses them
+    const secretsPaths = await saveSecrets({ config: parseExistingConfig(existingYaml) });
+    if (secretsPaths.length > 0) {
+        console.log(chalk.gray(`   Secrets saved to ${secretsPaths.join(' and ')} (referenced from ${path.basename(configPath)})`));
+    }
+    
+    if (existingYaml === null) {
+        const yamlContent = generateYamlWithComments(config, options.targetVersion);
+        writeFile(configPath, yamlContent);
+        
+        return {
+            config,
+            configPath,
+            yamlContent
+        };
+    }
+    
+    const merge = mergeConfigDocument(existingYaml, config, configPath, { force: options.force });
+    await resolveConflicts(merge, options.strategy);
+    
+    const yamlContent = merge.document.toString({ indent: 2, lineWidth: 100 });
+    if (yamlContent !== existingYaml) {
+        const backupPath = options.backup === false ? null : backupConfig(configPath);
+        writeFile(configPath, yamlContent);
+        if (backupPath) {
+            console.log(chalk.gray(`   Previous config backed up to ${backupPath}`));
+        }
+    }
+    
+    if (merge.added.length > 0) {
+        console.log(chalk.gray(`   Merged into existing ${path.basename(configPath)} (${merge.added.length} new setting${merge.added.length > 1 ? 's' : ''})`));
+    }
+    displayKeptSettings(merge, path.basename(configPath));
+    
+    return {
+        config: merge.document.toJS(),
+        configPath,
+        yamlContent
+    };
+}
+
+/**
+ * Parse the existing file for the secret references it holds (null when there is none, or it is not valid YAML)
+ */
+function parseExistingConfig(existingYaml) {
+    try {
+        return existingYaml === null ? null : yaml.load(existingYaml);
+    } catch {
+        // The merge reports the YAML error
+        return null;
+    }
+}
+
+/**
+ * Load an existing clawdbot.yaml
+ *
+ * @returns {{config: Object, configPath: string, yamlContent: string}} Same shape as generateConfig
+ */
+export function loadConfig(configPath) {
+    const yamlContent = readFile(configPath);
+    if (yamlContent === null) {
+        throw new Error(`No configuration found at ${configPath}. Run openclaw-setup first.`);
+    }
+
+    let config;
+    try {
+        config = yaml.load(yamlContent);
+    } catch (error) {
+        throw new Error(`${configPath} is not valid YAML: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${configPath} is empty or not a YAML mapping`);
+    }
+
     return {
         config,
         configPath,
@@ -64,7 +200,7 @@ export async function generateConfig(setupData) {
 /**
  * Generate providers configuration section
  */
-function generateProvidersConfig(providers) {
+export function generateProvidersConfig(providers) {
     const providersConfig = {};
     
     providers.forEach(provider => {
@@ -74,7 +210,7 @@ function generateProvidersConfig(providers) {
         };
         
         if (provider.apiKey) {
-            providerConfig.apiKey = provider.apiKey;
+            providerConfig.apiKey = storeProviderSecret(provider);
         }
         
         if (provider.baseUrl) {
@@ -97,6 +233,13 @@ function generateProvidersConfig(providers) {
                 providerConfig.temperature = 0.7;
                 break;
                 
+            case 'azure-openai':
+                // Azure routes requests by deployment name and API version, not by model
+                providerConfig.deployment = provider.deployment;
+                providerConfig.apiVersion = provider.apiVersion;
+                providerConfig.maxTokens = 4096;
+                break;
+                
             case 'openrouter':
                 providerConfig.headers = {
                     'HTTP-Referer': 'https://kingos.net',
@@ -116,10 +259,103 @@ function generateProvidersConfig(providers) {
     return providersConfig;
 }
 
+/**
+ * Generate routing configuration section
+ *
+ * @param {{primary: string, fallback: string[], onboarding: string}} tiers - Provider names per tier
+ */
+export function generateRoutingConfig(tiers) {
+    return {
+        tiers: {
+            primary: tiers.primary,
+            fallback: [...tiers.fallback],
+            onboarding: tiers.onboarding
+        },
+        // When a request to one tier fails, the next provider in the chain gets it
+        failover: {
+            onTimeout: true,
+            timeoutMs: 60000,
+            onRateLimit: true,
+            onServerError: true,
+            cooldownMs: 300000
+        }
+    };
+}
+
+/**
+ * Generate the network section from the proxy and CA settings the setup agent used
+ *
+ * Proxy URLs can contain credentials, so they are stored like other secrets.
+ *
+ * @returns {{network?: Object}} Empty when no proxy or extra CA is in use
+ */
+function generateNetworkConfig() {
+    const { proxy, caFile } = getNetworkSettings();
+    if (!proxy && !caFile) {
+        return {};
+    }
+
+    const network = {};
+    if (proxy) {
+        network.proxy = {};
+        if (proxy.http) {
+            network.proxy.http = hasCredentials(proxy.http) ? storeSecret('HTTP_PROXY', proxy.http) : proxy.http;
+        }
+        if (proxy.https) {
+            network.proxy.https = hasCredentials(proxy.https) ? storeSecret('HTTPS_PROXY', proxy.https) : proxy.https;
+        }
+        if (proxy.noProxy) {
+            network.proxy.noProxy = proxy.noProxy;
+        }
+    }
+    if (caFile) {
+        network.caFile = caFile;
+    }
+    return { network };
+}
+
+/**
+ * Check for a user name or password in a URL
+ */
+function hasCredentials(url) {
+    try {
+        const { username, password } = new URL(url);
+        return Boolean(username || password);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Generate gateway configuration section
+ */
+function generateGatewayConfig(target) {
+    const gatewayConfig = {
+        mode: 'local',
+        host: '127.0.0.1',
+        port: 18789,
+        cors: {
+            origin: '*',
+            credentials: true
+        }
+    };
+    
+    if (target.features.controlUi) {
+        gatewayConfig.controlUi = {
+            allowInsecureAuth: false
+        };
+    }
+    
+    return gatewayConfig;
+}
+
 /**
  * Generate channels configuration section
+ *
+ * @param {Array<Object>} channels - Configured channels
+ * @param {Object} [target] - Clawdbot target version (see resolveTargetVersion); version-specific fields are left out without one
  */
-function generateChannelsConfig(channels) {
+export function generateChannelsConfig(channels, target) {
     const channelsConfig = {};
     
     channels.forEach(channel => {
@@ -144,6 +380,9 @@ function generateChannelsConfig(channels) {
             case 'telegram':
                 channelConfig.polling = true;
                 channelConfig.webHook = false;
+                if (target?.features.telegramLinkPreview) {
+                    channelConfig.linkPreview = true;
+                }
                 break;
                 
             case 'discord':
@@ -156,7 +395,7 @@ function generateChannelsConfig(channels) {
                 break;
         }
         
-        channelsConfig[channel.name] = channelConfig;
+        channelsConfig[channel.name] = storeChannelSecrets(channel.name, channelConfig);
     });
     
     return channelsConfig;
@@ -330,13 +569,35 @@ function generateSkillsConfig(userPreferences) {
     return skillsConfig;
 }
 
+/**
+ * Generate messages configuration section
+ */
+function generateMessagesConfig(target) {
+    // Before 2026.1.24 TTS was a plain on/off switch
+    if (!target.features.ttsAutoModes) {
+        return {
+            tts: {
+                auto: false
+            }
+        };
+    }
+    
+    return {
+        tts: {
+            auto: 'off',
+            provider: 'edge'
+        }
+    };
+}
+
 /**
  * Generate YAML with helpful comments
  */
-function generateYamlWithComments(config) {
+function generateYamlWithComments(config, targetVersion) {
     const header = `# OpenClaw Configuration File
-# Generated by OpenClaw Setup Agent v1.0.0
-# Generated on: ${new Date().toISOString()}
+# Generated by OpenClaw Setup Agent v${AGENT_VERSION}
+# Config schema: v${CONFIG_SCHEMA_VERSION}
+# Generated on: ${new Date().toISOString()}${targetVersion ? `\n# Target Clawdbot version: ${targetVersion}` : ''}
 #
 # This file configures your OpenClaw AI assistant.
 # Edit this file to customize behavior, add new providers, or modify settings.
@@ -350,6 +611,10 @@ function generateYamlWithComments(config) {
         gateway: `
 # Gateway Configuration
 # Controls how OpenClaw communicates with channels and providers
+`,
+        network: `
+# Network
+# Proxy and extra CA certificates for reaching AI providers and channels
 `,
         providers: `
 # AI Model Providers
@@ -378,8 +643,27 @@ function generateYamlWithComments(config) {
         skills: `
 # Skills and Capabilities
 # Enable and configure different AI assistant capabilities
+`,
+        routing: `
+# Model Routing
+# Requests go to the primary model and fail over along the fallback chain, first
+# entry first, on timeouts, rate limits (429) and server errors (5xx)
+`,
+        messages: `
+# Messages
+# Text-to-speech for replies
+`,
+        diagnostics: `
+# Diagnostics
+# Debug flags for troubleshooting
 `
     };
+    
+    if (config.providers?.litellm) {
+        sections.providers += `# Requests go through the local LiteLLM gateway (litellm_config.yaml). The other
+# providers are its disabled fallbacks: enable one to bypass the gateway when it is down
+`;
+    }
 
     let yamlContent = header;
     
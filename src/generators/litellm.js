@@ -0,0 +1,180 @@
+/**
+ * LiteLLM Gateway Config - Put all configured providers behind one local OpenAI-compatible endpoint
+ *
+ * Generates a LiteLLM proxy config (litellm_config.yaml) with one model group
+ * per provider, named after the provider. The router tries the groups in the
+ * order of the model tiers (primary, then the fallback chain) and retries,
+ * times out and cools down failing deployments with the same limits as the
+ * `routing.failover` section of clawdbot.yaml. API keys are never written to
+ * the file: LiteLLM reads them from the environment (`os.environ/NAME`), and
+ * they are saved to ~/.openclaw/.env (or the vault) under the same names
+ * clawdbot.yaml uses.
+ */
+
+import path from 'path';
+import yaml from 'js-yaml';
+import { writeFile, readFile } from '../utils/fileOps.js';
+import { backupConfig } from '../utils/backup.js';
+import {
+    getProviderEnvVar,
+    storeGeneratedSecret,
+    isPlaceholderSecret,
+    saveSecrets,
+    loadEnvFile,
+    getSecretsMode
+} from '../utils/secrets.js';
+import { vaultExists, unlockVault, getVaultEntry } from '../utils/vault.js';
+import { generateRoutingConfig } from './config.js';
+
+export const LITELLM_CONFIG_FILE = 'litellm_config.yaml';
+export const DEFAULT_LITELLM_PORT = 4000;
+export const LITELLM_MASTER_KEY_VAR = 'LITELLM_MASTER_KEY';
+export const LITELLM_DATABASE_URL_VAR = 'DATABASE_URL';
+
+/**
+ * LiteLLM model prefix by provider type; anything else is called as an
+ * OpenAI-compatible API at the provider's baseUrl
+ */
+const LITELLM_PREFIXES = {
+    anthropic: 'anthropic',
+    openai: 'openai',
+    'azure-openai': 'azure',
+    openrouter: 'openrouter',
+    mistral: 'mistral',
+    groq: 'groq',
+    deepseek: 'deepseek',
+    together: 'together_ai',
+    'nvidia-nim': 'nvidia_nim',
+    ollama: 'ollama_chat',
+    'google-ai': 'gemini',
+    huggingface: 'huggingface'
+};
+
+/**
+ * Providers whose baseUrl is not an API base LiteLLM can use (it builds their URLs itself)
+ */
+const OWN_API_BASE = new Set(['huggingface']);
+
+/**
+ * Build the LiteLLM config for the configured providers
+ *
+ * @param {Array<Object>} providers - providerFlow result
+ * @param {{primary: string, fallback: string[], onboarding: string}} routing - Model tiers
+ * @param {Object} [options]
+ * @param {boolean} [options.spendTracking] - Log spend to the database in DATABASE_URL
+ * @returns {{config: Object, secrets: Object<string, string>}} The config, and the secrets it references by name
+ */
+export function generateLiteLLMConfig(providers, routing, options = {}) {
+    const secrets = {};
+    const modelList = providers.map(provider => {
+        const params = { model: getLiteLLMModel(provider) };
+
+        // Keeps hosts moved by a user catalog, Azure endpoints and local servers
+        if (provider.baseUrl && !OWN_API_BASE.has(provider.type)) {
+            params.api_base = provider.baseUrl;
+        }
+        if (provider.type === 'azure-openai') {
+            params.api_version = provider.apiVersion;
+        }
+        if (provider.apiKey && !isPlaceholderSecret(provider.apiKey)) {
+            const envVar = getProviderEnvVar(provider);
+            secrets[envVar] = provider.apiKey;
+            params.api_key = `os.environ/${envVar}`;
+        } else if (!LITELLM_PREFIXES[provider.type]) {
+            // LiteLLM's OpenAI client won't start without a key; keyless local servers ignore it
+            params.api_key = 'none';
+        }
+
+        return { model_name: provider.name, litellm_params: params };
+    });
+
+    // Same order as the model tiers: the primary first, then its fallback chain
+    const order = [routing.primary, ...routing.fallback];
+    const { failover } = generateRoutingConfig(routing);
+
+    const config = {
+        model_list: modelList,
+        router_settings: {
+            routing_strategy: 'simple-shuffle',
+            num_retries: 2,
+            timeout: failover.timeoutMs / 1000,
+            allowed_fails: 3,
+            cooldown_time: failover.cooldownMs / 1000,
+            fallbacks: order.slice(0, -1).map((name, index) => ({ [name]: order.slice(index + 1) }))
+        },
+        litellm_settings: {
+            drop_params: true
+        },
+        general_settings: {
+            master_key: `os.environ/${LITELLM_MASTER_KEY_VAR}`
+        }
+    };
+
+    if (options.spendTracking) {
+        config.general_settings.database_url = `os.environ/${LITELLM_DATABASE_URL_VAR}`;
+    }
+
+    return { config, secrets };
+}
+
+/**
+ * Master key saved by an earlier run, so re-running setup keeps the clients that use it working
+ *
+ * @returns {Promise<string|null>} The key from ~/.openclaw/.env or (in vault mode) the vault, or null
+ */
+export async function findLiteLLMMasterKey() {
+    const saved = loadEnvFile()[LITELLM_MASTER_KEY_VAR];
+    if (saved) {
+        return saved;
+    }
+    if (getSecretsMode() === 'vault' && vaultExists()) {
+        return getVaultEntry(await unlockVault(), LITELLM_MASTER_KEY_VAR) ?? null;
+    }
+    return null;
+}
+
+/**
+ * Write litellm_config.yaml and save the secrets it references
+ *
+ * A changed existing file is backed up first, like clawdbot.yaml.
+ *
+ * @param {Object} config - generateLiteLLMConfig().config
+ * @param {Object<string, string>} secrets - Secret values by environment variable name
+ * @param {string} configDir - Directory of clawdbot.yaml; the LiteLLM config goes next to it
+ * @returns {Promise<{configPath: string, backupPath: string|null, secretsPaths: string[]}>}
+ */
+export async function writeLiteLLMConfig(config, secrets, configDir) {
+    const configPath = path.join(configDir, LITELLM_CONFIG_FILE);
+    const header = [
+        '# LiteLLM gateway for OpenClaw - one OpenAI-compatible endpoint for all providers',
+        '# Generated by OpenClaw Setup Agent. API keys are read from the environment (os.environ/NAME).',
+        '# Docs: https://docs.litellm.ai/docs/proxy/configs',
+        '',
+        ''
+    ].join('\n');
+    const content = header + yaml.dump(config, { lineWidth: -1 });
+    const existing = readFile(configPath);
+    const backupPath = existing !== null && existing !== content ? backupConfig(configPath, 'litellm_config') : null;
+    writeFile(configPath, content);
+
+    Object.entries(secrets).forEach(([envVar, value]) => storeGeneratedSecret(envVar, value));
+    const secretsPaths = await saveSecrets();
+
+    return { configPath, backupPath, secretsPaths };
+}
+
+/**
+ * Command that starts the gateway
+ */
+export function getLiteLLMStartCommand(configPath, port = DEFAULT_LITELLM_PORT) {
+    return `litellm --config "${configPath}" --port ${port}`;
+}
+
+/**
+ * LiteLLM model string of a provider (anthropic/claude-sonnet-4-5, azure/<deployment>, ...)
+ */
+function getLiteLLMModel(provider) {
+    const prefix = LITELLM_PREFIXES[provider.type] || 'openai';
+    const model = provider.type === 'azure-openai' ? provider.deployment : provider.model;
+    return `${prefix}/${model}`;
+}
@@ -0,0 +1,342 @@
+/**
+ * Config Merger - Merge newly generated settings into an existing clawdbot.yaml
+ *
+ * The existing file is edited in place through a YAML document model, so user
+ * comments, formatting and keys the generator doesn't know about survive. Only
+ * missing keys are added; new top-level sections go next to the sections they
+ * belong with, under a section comment. Elsewhere the existing (possibly hand-tuned)
+ * value wins and the differing value is listed as kept, except under `providers`,
+ * `routing.tiers` and `channels`, where a differing value comes from this run's
+ * answers and is reported as a conflict for the user to resolve. Settings the
+ * caller forces (security hardening) always take the new value.
+ */
+
+import { isDeepStrictEqual } from 'util';
+import chalk from 'chalk';
+import YAML, { isCollection, isMap, isNode } from 'yaml';
+import { ask } from '../utils/prompt.js';
+import { isSecretReference } from '../utils/secrets.js';
+
+/**
+ * Sections whose values come straight from the user's answers (or, for the
+ * gateway token, from `token rotate`)
+ */
+const CONFLICT_SECTIONS = ['providers', 'routing.tiers', 'channels', 'authentication.token'];
+
+/**
+ * Values that are masked when conflicts are displayed
+ */
+const SECRET_KEYS = new Set(['apiKey', 'botToken', 'appToken', 'signingSecret', 'token']);
+
+/**
+ * Where top-level sections the generator adds later (security hardening) go in an
+ * existing file: after the first of `after` that is present, under `comment`
+ */
+const SECTION_PLACEMENT = {
+    authentication: {
+        after: ['gateway'],
+        comment: ' Gateway Authentication\n Clients must send the gateway token (kept out of this file)'
+    },
+    dmPolicy: {
+        after: ['channels'],
+        comment: ' Channel Access Policies\n Who may message the assistant directly and in groups'
+    },
+    groupPolicy: { after: ['dmPolicy', 'channels'] }
+};
+
+/**
+ * Strings that YAML 1.1 readers (js-yaml included) would load as dates, e.g. an api-version of 2024-10-21
+ */
+const DATE_LIKE = /^\d{4}-\d{1,2}-\d{1,2}(?:[Tt\s]|$)/;
+
+/**
+ * Merge a generated configuration into the text of an existing file
+ *
+ * @param {string} existingYaml - Current contents of clawdbot.yaml
+ * @param {Object} generated - Configuration object built by the generator
+ * @param {string} configPath - Used in error messages
+ * @param {Object} [options]
+ * @param {string[]} [options.force] - Dotted paths whose new value replaces the existing one without a conflict
+ * @returns {{document: Document, added: string[], forced: string[], kept: Array<Object>, conflicts: Array<Object>}}
+ *   `kept` lists settings outside the conflict sections whose existing value was kept over this run's
+ */
+export function mergeConfigDocument(existingYaml, generated, configPath, options = {}) {
+    const document = YAML.parseDocument(existingYaml);
+
+    if (document.errors.length > 0) {
+        throw new Error(`${configPath} is not valid YAML (${document.errors[0].message}). Fix it or move it aside and run again.`);
+    }
+    if (document.contents === null) {
+        document.contents = document.createNode({});
+    }
+    if (!isMap(document.contents)) {
+        throw new Error(`${configPath} is not a YAML mapping. Fix it or move it aside and run again.`);
+    }
+
+    const merge = { document, added: [], forced: [], kept: [], conflicts: [] };
+
+    // Read the primary provider before new providers (and their flags) are added
+    const currentPrimary = findPrimaryProvider(document.get('providers')?.toJSON?.());
+    const incomingPrimary = findPrimaryProvider(generated.providers);
+
+    mergeSection(document, [], generated, merge, options.force || []);
+
+    if (currentPrimary && incomingPrimary && currentPrimary !== incomingPrimary) {
+        merge.conflicts.unshift({
+            type: 'primary',
+            path: ['providers', 'primary'],
+            current: currentPrimary,
+            incoming: incomingPrimary
+        });
+    }
+
+    return merge;
+}
+
+/**
+ * Show the conflicts of a merge and apply the user's choices to the document
+ *
+ * @param {Object} merge - Result of mergeConfigDocument
+ * @param {string} [strategy] - 'incoming' or 'current' to resolve everything without asking
+ */
+export async function resolveConflicts(merge, strategy) {
+    const { conflicts, document } = merge;
+    if (conflicts.length === 0) {
+        return;
+    }
+
+    const plural = conflicts.length > 1;
+    console.log(chalk.yellow(`\n⚠️  ${conflicts.length} setting${plural ? 's' : ''} in clawdbot.yaml ${plural ? 'differ' : 'differs'} from your answers:`));
+    conflicts.forEach(conflict => {
+        console.log(chalk.white(`   • ${describeConflict(conflict)}: `) +
+            chalk.red(formatValue(conflict, conflict.current)) + chalk.gray(' → ') +
+            chalk.green(formatValue(conflict, conflict.incoming)));
+    });
+    console.log('');
+
+    if (!strategy) {
+        ({ strategy } = await ask('merge', [{
+            type: 'list',
+            name: 'strategy',
+            message: 'How would you like to resolve these?',
+            choices: [
+                { name: '🔍 Review each one', value: 'review' },
+                { name: '✏️  Use my new answers for all of them', value: 'incoming' },
+                { name: '📄 Keep everything in the existing file', value: 'current' }
+            ],
+            default: 'review'
+        }]));
+    }
+
+    for (const conflict of conflicts) {
+        let choice = strategy;
+
+        if (strategy === 'review') {
+            // Answers files hold these under merge.<section>.<...>.<key>
+            const scope = ['merge', ...conflict.path.slice(0, -1)].join('.');
+            const name = conflict.path[conflict.path.length - 1];
+            ({ [name]: choice } = await ask(scope, [{
+                type: 'list',
+                name,
+                message: `${describeConflict(conflict)}:`,
+                choices: [
+                    { name: `Keep ${formatValue(conflict, conflict.current)}`, value: 'current' },
+                    { name: `Use ${formatValue(conflict, conflict.incoming)}`, value: 'incoming' }
+                ],
+                default: 'incoming'
+            }]));
+        }
+
+        applyResolution(document, conflict, choice);
+    }
+}
+
+/**
+ * List the existing settings that were kept although this run would have written other values
+ *
+ * @param {Object} merge - Result of mergeConfigDocument
+ * @param {string} fileName - Name of the merged file, for the message
+ */
+export function displayKeptSettings(merge, fileName) {
+    const { kept } = merge;
+    if (kept.length === 0) {
+        return;
+    }
+
+    const plural = kept.length > 1;
+    console.log(chalk.gray(`   Kept ${kept.length} existing setting${plural ? 's' : ''} in ${fileName} that ${plural ? 'differ' : 'differs'} from this run (edit the file to change them):`));
+    kept.forEach(setting => {
+        console.log(chalk.gray(`     • ${setting.path.join('.')}: ${formatValue(setting, setting.current)} (this run: ${formatValue(setting, setting.incoming)})`));
+    });
+}
+
+/**
+ * Recursively add missing keys and collect conflicting values
+ */
+function mergeSection(document, keyPath, generated, merge, force) {
+    for (const [key, incoming] of Object.entries(generated)) {
+        const childPath = [...keyPath, key];
+        const currentNode = document.getIn(childPath, true);
+        const current = isNode(currentNode) ? currentNode.toJSON() : currentNode;
+
+        if (current === undefined || current === null) {
+            if (keyPath.length === 0 && currentNode === undefined && SECTION_PLACEMENT[key]) {
+                insertSection(document, key, incoming);
+            } else {
+                setValue(document, childPath, incoming);
+            }
+            merge.added.push(childPath.join('.'));
+            continue;
+        }
+
+        if (isMap(currentNode) && isPlainObject(incoming)) {
+            mergeSection(document, childPath, incoming, merge, force);
+            continue;
+        }
+
+        // The primary flag (and primary tier) is compared across providers in mergeConfigDocument
+        if (isDeepStrictEqual(current, incoming) || (childPath[0] === 'providers' && key === 'primary') ||
+            childPath.join('.') === 'routing.tiers.primary') {
+            continue;
+        }
+
+        if (isForcedPath(childPath, force)) {
+            setValue(document, childPath, incoming);
+            merge.forced.push(childPath.join('.'));
+            continue;
+        }
+
+        if (isConflictPath(childPath)) {
+            merge.conflicts.push({ type: 'value', path: childPath, current, incoming });
+        } else {
+            merge.kept.push({ path: childPath, current, incoming });
+        }
+    }
+}
+
+/**
+ * Apply one resolved conflict to the document
+ */
+function applyResolution(document, conflict, choice) {
+    if (conflict.type === 'primary') {
+        // Whichever provider loses keeps its settings but stops being primary
+        const demoted = choice === 'incoming' ? conflict.current : conflict.incoming;
+        document.deleteIn(['providers', demoted, 'primary']);
+        if (document.hasIn(['routing', 'tiers', 'primary'])) {
+            document.setIn(['routing', 'tiers', 'primary'], choice === 'incoming' ? conflict.incoming : conflict.current);
+        }
+        return;
+    }
+
+    if (choice === 'incoming') {
+        setValue(document, conflict.path, conflict.incoming);
+    }
+}
+
+/**
+ * Set a value in the document, quoting date-like strings so they stay strings
+ *
+ * Flow mappings on the way (`providers: {}`) become block mappings, so the
+ * new value is written as block YAML like the rest of the file.
+ */
+function setValue(document, keyPath, value) {
+    for (let depth = 1; depth < keyPath.length; depth++) {
+        const parent = document.getIn(keyPath.slice(0, depth), true);
+        if (isCollection(parent) && parent.flow) {
+            parent.flow = false;
+        }
+    }
+    document.setIn(keyPath, createValueNode(document, value));
+}
+
+/**
+ * Add a top-level section after the section it belongs with (see SECTION_PLACEMENT)
+ */
+function insertSection(document, key, value) {
+    const { after, comment } = SECTION_PLACEMENT[key];
+    const { items } = document.contents;
+    const pair = document.createPair(key, createValueNode(document, value));
+    if (comment) {
+        pair.key.spaceBefore = true;
+        pair.key.commentBefore = comment;
+    }
+
+    const anchor = after.map(name => items.findIndex(item => item.key?.value === name)).find(index => index !== -1);
+    if (anchor === undefined) {
+        items.push(pair);
+    } else {
+        items.splice(anchor + 1, 0, pair);
+    }
+}
+
+/**
+ * Create a document node for a value, quoting date-like strings so they stay strings
+ */
+function createValueNode(document, value) {
+    const node = document.createNode(value);
+    if (isCollection(node)) {
+        node.flow = false;
+    }
+    YAML.visit(node, {
+        Scalar(key, scalar) {
+            if (typeof scalar.value === 'string' && DATE_LIKE.test(scalar.value)) {
+                scalar.type = 'QUOTE_SINGLE';
+            }
+        }
+    });
+    return node;
+}
+
+/**
+ * Name of the provider flagged `primary: true`, if any
+ */
+function findPrimaryProvider(providers) {
+    if (!providers || typeof providers !== 'object') {
+        return null;
+    }
+    const entry = Object.entries(providers).find(([, provider]) => provider && provider.primary === true);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Human-readable label for a conflict
+ */
+function describeConflict(conflict) {
+    return conflict.type === 'primary' ? 'Primary provider' : conflict.path.join('.');
+}
+
+/**
+ * Format a conflicting or kept value for display, masking secrets
+ */
+function formatValue(setting, value) {
+    const key = setting.path[setting.path.length - 1];
+
+    if (SECRET_KEYS.has(key) && typeof value === 'string' && !isSecretReference(value)) {
+        return value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : '****';
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Check whether a setting lies in one of the CONFLICT_SECTIONS
+ */
+function isConflictPath(keyPath) {
+    const dotted = keyPath.join('.');
+    return CONFLICT_SECTIONS.some(section => dotted === section || dotted.startsWith(`${section}.`));
+}
+
+/**
+ * Check whether a setting is forced, or holds a forced setting it can't be merged into
+ */
+function isForcedPath(keyPath, force) {
+    const dotted = keyPath.join('.');
+    return force.some(forced => forced === dotted || forced.startsWith(`${dotted}.`));
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
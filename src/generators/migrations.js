@@ -0,0 +1,197 @@
+/**
+ * Config Migrations - Upgrade clawdbot.yaml files written by older setup agents
+ *
+ * The header of a generated file records the setup agent that wrote it and,
+ * since config schema v1, the schema version. Files without a schema line are
+ * schema v0. Migration steps run in order on the YAML document, so comments and
+ * hand-added keys survive; each step is safe to run on an already-migrated file.
+ * Steps tied to a Clawdbot feature (see ./compatibility.js) only run when the
+ * target version supports it.
+ */
+
+import YAML, { isMap, isScalar } from 'yaml';
+import { CONFIG_SCHEMA_VERSION, validateConfigSchema } from '../validators/schema.js';
+
+const GENERATOR_LINE = /^# Generated by OpenClaw Setup Agent v(\S+)$/m;
+const SCHEMA_LINE = /^# Config schema: v(\d+)$/m;
+
+/**
+ * Ordered migration steps
+ *
+ * A step with `schema` belongs to the upgrade to that schema version and runs on
+ * older files; a step with `feature` runs whenever the target supports it.
+ * `migrate` returns true when it changed the document.
+ */
+const MIGRATION_STEPS = [
+    {
+        schema: 1,
+        description: 'gateway.address → gateway.host',
+        migrate: migrateGatewayAddress
+    },
+    {
+        schema: 1,
+        description: 'security.rateLimit → security.rateLimiting (windowMinutes → windowMs, blockDuration → blockDurationMs)',
+        migrate: migrateRateLimit
+    },
+    {
+        feature: 'ttsAutoModes',
+        description: 'messages.tts on/off switch → auto mode (off/always)',
+        migrate: migrateTtsAutoMode
+    }
+];
+
+/**
+ * Read the setup agent version and config schema version from a file's header
+ *
+ * @returns {{agentVersion: string|null, schemaVersion: number}}
+ */
+export function detectConfigVersion(yamlContent) {
+    const generator = yamlContent.match(GENERATOR_LINE);
+    const schema = yamlContent.match(SCHEMA_LINE);
+
+    return {
+        agentVersion: generator ? generator[1] : null,
+        schemaVersion: schema ? Number(schema[1]) : 0
+    };
+}
+
+/**
+ * Apply every pending migration step to the text of a config file
+ *
+ * @param {string} yamlContent - Current contents of clawdbot.yaml
+ * @param {Object} target - Clawdbot target version (see resolveTargetVersion)
+ * @param {string} configPath - Used in error messages
+ * @returns {{from: Object, toSchema: number, applied: string[], manual: string[], unknown: string[], yamlContent: string, changed: boolean}}
+ */
+export function migrateConfig(yamlContent, target, configPath) {
+    const document = YAML.parseDocument(yamlContent);
+
+    if (document.errors.length > 0) {
+        throw new Error(`${configPath} is not valid YAML (${document.errors[0].message}). Fix it before migrating.`);
+    }
+    if (!isMap(document.contents)) {
+        throw new Error(`${configPath} is not a YAML mapping. Fix it before migrating.`);
+    }
+
+    const from = detectConfigVersion(yamlContent);
+    const report = { from, toSchema: CONFIG_SCHEMA_VERSION, applied: [], manual: [], unknown: [] };
+
+    for (const step of MIGRATION_STEPS) {
+        const pending = step.schema ? step.schema > from.schemaVersion : target.features[step.feature];
+        if (pending && step.migrate(document, report)) {
+            report.applied.push(step.description);
+        }
+    }
+
+    let migratedYaml = report.applied.length > 0
+        ? document.toString({ indent: 2, lineWidth: 100 })
+        : yamlContent;
+    // Leave the old schema version in place until every step could be applied, so a re-run retries them
+    if (report.manual.length === 0) {
+        migratedYaml = stampSchemaVersion(migratedYaml);
+    }
+
+    // Whatever still doesn't match the schema needs a person to look at it
+    const schemaResult = validateConfigSchema(YAML.parse(migratedYaml));
+    report.manual.push(...schemaResult.errors);
+    report.unknown.push(...schemaResult.warnings);
+
+    return {
+        ...report,
+        yamlContent: migratedYaml,
+        changed: migratedYaml !== yamlContent
+    };
+}
+
+/**
+ * Record the current schema version in the header of a generated file
+ */
+function stampSchemaVersion(yamlContent) {
+    const schemaLine = `# Config schema: v${CONFIG_SCHEMA_VERSION}`;
+
+    if (SCHEMA_LINE.test(yamlContent)) {
+        return yamlContent.replace(SCHEMA_LINE, schemaLine);
+    }
+    // Hand-written files have no header to stamp
+    if (!GENERATOR_LINE.test(yamlContent)) {
+        return yamlContent;
+    }
+    return yamlContent.replace(GENERATOR_LINE, line => `${line}\n${schemaLine}`);
+}
+
+/**
+ * Early hardening wrote the gateway bind address as gateway.address
+ */
+function migrateGatewayAddress(document, report) {
+    const address = document.getIn(['gateway', 'address']);
+    if (address === undefined) {
+        return false;
+    }
+
+    const host = document.getIn(['gateway', 'host']);
+    if (host !== undefined && host !== address) {
+        report.manual.push(`gateway.address (${address}) and gateway.host (${host}) differ: keep the one the gateway should bind to as gateway.host and remove gateway.address`);
+        return false;
+    }
+
+    if (host === undefined) {
+        document.setIn(['gateway', 'host'], address);
+    }
+    document.deleteIn(['gateway', 'address']);
+    return true;
+}
+
+/**
+ * Early hardening wrote rate limits as security.rateLimit with minutes and seconds
+ */
+function migrateRateLimit(document, report) {
+    const node = document.getIn(['security', 'rateLimit'], true);
+    if (node === undefined) {
+        return false;
+    }
+
+    if (document.hasIn(['security', 'rateLimiting'])) {
+        report.manual.push('security.rateLimit is left in place because security.rateLimiting is already set: merge the two by hand and remove security.rateLimit');
+        return false;
+    }
+
+    const rateLimit = isMap(node) ? node.toJSON() : null;
+    const convertible = rateLimit &&
+        ['windowMinutes', 'blockDuration', 'maxRequests'].every(key => rateLimit[key] === undefined || typeof rateLimit[key] === 'number');
+    if (!convertible) {
+        report.manual.push('security.rateLimit has values that are not numbers: rewrite it as security.rateLimiting { enabled, maxRequests, windowMs }');
+        return false;
+    }
+
+    const { windowMinutes, blockDuration, ...rest } = rateLimit;
+    const rateLimiting = { ...rest, windowMs: (windowMinutes ?? 1) * 60000 };
+    if (blockDuration !== undefined) {
+        rateLimiting.blockDurationMs = blockDuration * 1000;
+    }
+    rateLimiting.enabled = rateLimiting.enabled ?? true;
+
+    document.setIn(['security', 'rateLimiting'], rateLimiting);
+    document.deleteIn(['security', 'rateLimit']);
+    return true;
+}
+
+/**
+ * Clawdbot 2026.1.24 replaced the TTS boolean with auto modes
+ */
+function migrateTtsAutoMode(document) {
+    const tts = document.getIn(['messages', 'tts'], true);
+
+    // `tts: true` as well as `tts: { auto: true }`
+    const path = isScalar(tts) ? ['messages', 'tts'] : ['messages', 'tts', 'auto'];
+    const value = document.getIn(path);
+    if (typeof value !== 'boolean') {
+        return false;
+    }
+
+    if (path.length === 2) {
+        document.setIn(path, { auto: value ? 'always' : 'off' });
+    } else {
+        document.setIn(path, value ? 'always' : 'off');
+    }
+    return true;
+}
@@ -2,9 +2,9 @@
  * Post-Setup Guide Generator - Generate personalized guides after successful setup
  */
 
-import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { writeFile } from '../utils/fileOps.js';
 
 /**
  * Generate comprehensive post-setup guide based on user configuration
@@ -421,7 +421,7 @@ export function writePostSetupGuide(guide, outputPath) {
     ].join('\n\n');
 
     try {
-        fs.writeFileSync(outputPath, content, 'utf8');
+        writeFile(outputPath, content);
         return true;
     } catch (error) {
         console.error(chalk.red('Failed to write post-setup guide:'), error.message);
@@ -7,156 +7,118 @@
 
 import chalk from 'chalk';
 import boxen from 'boxen';
-import ora from 'ora';
-import inquirer from 'inquirer';
 import path from 'path';
-import { welcomeFlow } from './prompts/welcome.js';
-import { subscriptionDetectionFlow } from './prompts/subscription.js';
-import { performSystemPreCheck, displaySystemCheck } from './utils/systemCheck.js';
-import { environmentAnalysis } from './prompts/environment.js';
-import { providerFlow } from './prompts/providers.js';
-import { configureFreeModels } from './providers/freeModels.js';
-import { channelsFlow } from './prompts/channels.js';
-import { generateConfig } from './generators/config.js';
-import { applySecurityHardening, displaySecurityResults } from './utils/security.js';
-import { validateSetup } from './validators/setup.js';
-import { generatePostSetupGuide, writePostSetupGuide, displayPostSetupSummary } from './generators/postSetup.js';
-import { finalizeSetup } from './prompts/finalize.js';
+import { loadAnswersFile, startRecording, saveRecording } from './utils/prompt.js';
+import { openSession, hasSavedSession, clearSession } from './utils/session.js';
+import { setDryRun, displayDryRunSummary } from './utils/fileOps.js';
+import { setSecretsMode } from './utils/secrets.js';
+import { setCatalogFile } from './providers/catalog.js';
+import { setCaFile } from './utils/http.js';
+import { resolveTargetVersion } from './generators/compatibility.js';
+import { runPipeline } from './pipeline/runner.js';
+import { setupSteps } from './pipeline/steps.js';
 
 /**
  * Main setup agent function
  * This is the primary entry point called from the CLI
+ *
+ * @param {Object} [options] - CLI options
+ * @param {string} [options.answers] - YAML/JSON answers file for a non-interactive run
+ * @param {string} [options.record] - File to record every answer to for later replay
+ * @param {boolean} [options.resume] - Continue from the last checkpointed step
+ * @param {boolean} [options.dryRun] - Run the full flow but only preview file changes and commands
+ * @param {string} [options.secrets] - 'env' or 'vault' to keep secrets out of clawdbot.yaml
+ * @param {string} [options.targetVersion] - Clawdbot version to generate config for (default: the installed one)
+ * @param {string} [options.catalog] - Model catalog to load on top of the built-in one
+ * @param {string} [options.caFile] - Extra CA certificates (PEM) to trust, e.g. for a proxy that inspects HTTPS
  */
-export async function setupAgent() {
+export async function setupAgent(options = {}) {
     try {
+        setDryRun(options.dryRun);
+        setSecretsMode(options.secrets);
+        setCatalogFile(options.catalog);
+        setCaFile(options.caFile);
+        const targetVersion = resolveTargetVersion(options.targetVersion);
+
+        // Load scripted answers before anything is asked
+        if (options.answers) {
+            loadAnswersFile(options.answers);
+        }
+        if (options.record) {
+            startRecording(options.record);
+        }
+
         // Show beautiful welcome banner
         console.clear();
         showWelcomeBanner();
-        
-        // Step 1: Welcome and explanation
-        const welcomeResult = await welcomeFlow();
-        if (!welcomeResult.proceed) {
-            console.log(chalk.yellow('\n👋 Setup cancelled. Run openclaw-setup again when you\'re ready!'));
-            return;
+
+        if (options.answers) {
+            console.log(chalk.gray(`Running non-interactively with answers from ${options.answers}\n`));
         }
-        
-        // Step 2: NEW - Subscription Detection Flow
-        console.log(chalk.blue('\n🔍 Detecting your AI subscription status...'));
-        const subscriptionInfo = await subscriptionDetectionFlow();
-        
-        // Step 3: NEW - System Pre-Check
-        console.log(chalk.blue('\n🖥️  Performing system pre-check...'));
-        const systemCheckSpinner = ora('Analyzing hardware capabilities').start();
-        const systemInfo = await performSystemPreCheck();
-        systemCheckSpinner.succeed('System analysis complete');
-        
-        // Display system check results
-        displaySystemCheck(systemInfo);
-        
-        // Step 4: Environment analysis (existing but enhanced)
-        console.log(chalk.blue('\n🔧 Analyzing software environment...'));
-        const envSpinner = ora('Scanning system configuration').start();
-        const environment = await environmentAnalysis();
-        envSpinner.succeed('Environment analysis complete');
-        
-        // Show environment summary
-        displayEnvironmentSummary(environment);
-        
-        // Step 5: Provider selection based on subscription type
-        console.log(chalk.blue('\n🧠 Setting up AI providers...'));
-        let providers;
-        
-        if (subscriptionInfo.routing.recommendedPath === 'free-models') {
-            providers = await configureFreeModels(systemInfo);
-        } else {
-            providers = await providerFlow(environment, subscriptionInfo, systemInfo);
+        if (options.dryRun) {
+            console.log(chalk.magenta('🧪 Dry run: no files will be written and no commands will be run\n'));
         }
         
-        // Step 6: Channel selection and setup
-        console.log(chalk.blue('\n💬 Configuring communication channels...'));
-        const channels = await channelsFlow(environment);
-        
-        // Step 7: Generate clawdbot.yaml configuration
-        console.log(chalk.blue('\n⚙️  Generating configuration...'));
-        const configSpinner = ora('Creating clawdbot.yaml').start();
-        const configPath = path.resolve(process.cwd(), 'clawdbot.yaml');
-        const config = await generateConfig({
-            environment,
-            providers,
-            channels,
-            userPreferences: welcomeResult.preferences,
-            subscriptionInfo,
-            systemInfo
-        });
-        configSpinner.succeed('Configuration generated successfully');
-        
-        // Step 8: NEW - Apply Security Hardening
-        console.log(chalk.blue('\n🛡️  Applying security hardening...'));
-        const securitySpinner = ora('Configuring security settings').start();
-        const securityResults = applySecurityHardening(config, configPath);
-        securitySpinner.succeed('Security hardening applied');
-        
-        // Display security results
-        displaySecurityResults(securityResults);
-        
-        // Step 9: Validate configuration
-        console.log(chalk.blue('\n✅ Validating setup...'));
-        const validationSpinner = ora('Testing configuration').start();
-        const validation = await validateSetup(config, environment);
-        
-        if (validation.isValid) {
-            validationSpinner.succeed('Configuration validated successfully');
-        } else {
-            validationSpinner.fail('Configuration validation failed');
-            console.log(chalk.red('\n❌ Issues found:'));
-            validation.errors.forEach(error => {
-                console.log(chalk.red(`  • ${error}`));
-            });
-            
-            // Offer to fix issues or continue anyway
-            const { shouldContinue } = await inquirer.prompt([{
-                type: 'confirm',
-                name: 'shouldContinue',
-                message: 'Would you like to continue with these issues?',
-                default: false
-            }]);
-            
-            if (!shouldContinue) {
-                console.log(chalk.yellow('\n👋 Setup cancelled. Issues need to be resolved first.'));
-                return;
-            }
+        // Open (or resume) the checkpointed setup session
+        const session = openSession({ resume: options.resume });
+        if (options.resume && !session.resumed) {
+            console.log(chalk.yellow('ℹ️  No saved setup session found - starting a new setup.\n'));
+        } else if (session.resumed) {
+            console.log(chalk.green(`♻️  Resuming setup started ${new Date(session.startedAt).toLocaleString()}`));
+            console.log(chalk.gray(`   Completed steps: ${session.completedSteps.join(', ')}\n`));
+        } else if (hasSavedSession()) {
+            console.log(chalk.gray('ℹ️  An unfinished setup was found. Run openclaw-setup --resume to continue it instead.\n'));
         }
         
-        // Step 10: NEW - Generate Post-Setup Guide
-        console.log(chalk.blue('\n📖 Generating your personalized setup guide...'));
-        const guideSpinner = ora('Creating documentation').start();
-        const postSetupGuide = generatePostSetupGuide(config, welcomeResult.preferences, {
-            subscriptionInfo,
-            systemInfo,
-            securityResults,
-            validation
+        // Run the registered setup steps (welcome → summary)
+        const { completed } = await runPipeline(setupSteps, {
+            session,
+            context: {
+                options,
+                targetVersion,
+                configPath: path.resolve(process.cwd(), 'clawdbot.yaml'),
+                guidePath: path.resolve(process.cwd(), 'OPENCLAW_SETUP_GUIDE.md')
+            }
         });
         
-        const guidePath = path.resolve(process.cwd(), 'OPENCLAW_SETUP_GUIDE.md');
-        const guideWritten = writePostSetupGuide(postSetupGuide, guidePath);
-        guideSpinner.succeed('Setup guide generated');
-        
-        // Step 11: Finalize and offer to start Clawdbot
-        await finalizeSetup(config, validation);
-        
-        // Step 12: NEW - Display personalized post-setup summary
-        displayPostSetupSummary(postSetupGuide, guideWritten ? guidePath : null);
+        if (!completed) {
+            finishRecording();
+            return;
+        }
         
         // Success banner
         showSuccessBanner();
+
+        clearSession();
+        finishRecording();
+        displayDryRunSummary();
         
     } catch (error) {
         console.error(chalk.red('\n❌ Setup failed:'), error.message);
+        finishRecording();
+        if (hasSavedSession()) {
+            console.log(chalk.gray('Completed steps were saved. Run openclaw-setup --resume to continue.'));
+        }
         console.log(chalk.gray('\nFor support, visit: https://kingos.net/support'));
         process.exit(1);
     }
 }
 
+/**
+ * Save recorded answers (when --record was given) and tell the user where they are
+ */
+function finishRecording() {
+    try {
+        const recordedPath = saveRecording();
+        if (recordedPath) {
+            console.log(chalk.blue(`📝 Answers recorded to: ${recordedPath}`));
+            console.log(chalk.gray(`   Replay with: openclaw-setup --answers ${path.basename(recordedPath)}`));
+        }
+    } catch (error) {
+        console.error(chalk.red('Failed to save recorded answers:'), error.message);
+    }
+}
+
 /**
  * Display the welcome banner
  */
@@ -175,29 +137,6 @@ function showWelcomeBanner() {
     console.log(chalk.gray('Powered by King OS Platform • https://kingos.net\n'));
 }
 
-/**
- * Display environment analysis summary
- */
-function displayEnvironmentSummary(environment) {
-    console.log(boxen(
-        chalk.white.bold('🖥️  System Environment\n\n') +
-        chalk.green(`✅ Operating System: ${environment.os.platform} ${environment.os.version}\n`) +
-        chalk.green(`✅ Architecture: ${environment.os.arch}\n`) +
-        chalk.green(`✅ Node.js: ${environment.runtime.nodeVersion}\n`) +
-        chalk.green(`✅ Package Manager: ${environment.runtime.packageManager}\n`) +
-        (environment.issues.length > 0 
-            ? chalk.yellow(`\n⚠️  Issues detected: ${environment.issues.length}\n`) +
-              environment.issues.map(issue => chalk.yellow(`   • ${issue}`)).join('\n')
-            : chalk.green('\n🎉 No issues detected!')),
-        {
-            padding: 1,
-            margin: 1,
-            borderStyle: 'round',
-            borderColor: environment.issues.length > 0 ? 'yellow' : 'green'
-        }
-    ));
-}
-
 /**
  * Display success banner
  */
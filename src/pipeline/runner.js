@@ -0,0 +1,214 @@
+/**
+ * Step Pipeline Runner - Run registered setup steps with back-navigation
+ *
+ * Each step declares the outputs it reads (`inputs`) and the one it produces
+ * (`output`). The runner walks the steps in order, restores checkpointed results,
+ * and between steps lets the user continue, go back, skip or jump to a step.
+ * Re-running a step only invalidates the steps that (directly or indirectly)
+ * consume its output; everything else is kept.
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { isNonInteractive } from '../utils/prompt.js';
+import { hasCheckpoint, getCheckpoint, saveCheckpoint, removeCheckpoints } from '../utils/session.js';
+
+const CANCELLED = Symbol('cancelled');
+
+/**
+ * Result a step returns to stop the pipeline (e.g. the user backed out)
+ */
+export function cancelled(message) {
+    return { [CANCELLED]: true, message };
+}
+
+/**
+ * Run the registered steps
+ *
+ * @param {Array<Object>} steps - Step definitions, see src/pipeline/steps.js
+ * @param {Object} options
+ * @param {Object} options.session - Setup session used for checkpoints
+ * @param {Object} options.context - Values shared by all steps (paths, CLI options)
+ * @returns {Promise<{completed: boolean, outputs: Object}>}
+ */
+export async function runPipeline(steps, { session, context }) {
+    checkStepGraph(steps);
+
+    const outputs = {};
+    const done = new Set();
+
+    // Completed steps from a resumed session count as done
+    for (const step of steps) {
+        if (step.checkpoint !== false && hasCheckpoint(session, step.id)) {
+            done.add(step.id);
+            if (step.output) {
+                outputs[step.output] = getCheckpoint(session, step.id);
+            }
+            console.log(chalk.gray(`⏭️  Step "${step.id}" restored from saved session`));
+        }
+    }
+
+    const firstIncomplete = () => steps.findIndex(step => !done.has(step.id));
+    let index = firstIncomplete();
+
+    while (index !== -1) {
+        const step = steps[index];
+        const wasDone = done.has(step.id);
+        const result = await step.run(collectInputs(step, outputs), context);
+
+        if (result && result[CANCELLED]) {
+            console.log(chalk.yellow(`\n👋 ${result.message}`));
+            return { completed: false, outputs };
+        }
+
+        if (wasDone) {
+            invalidateDependents(steps, step, { outputs, done, session });
+        }
+        completeStep(step, result, { outputs, done, session });
+
+        const nextIndex = firstIncomplete();
+        const next = await chooseNextStep(steps, index, nextIndex, { outputs, done });
+
+        if (next.action === 'skip') {
+            const skipped = steps[nextIndex];
+            completeStep(skipped, await skipped.skip(collectInputs(skipped, outputs), context), { outputs, done, session });
+            console.log(chalk.yellow(`⏭️  Skipped: ${skipped.title}`));
+            index = firstIncomplete();
+        } else if (next.action === 'goto') {
+            index = next.index;
+        } else {
+            index = nextIndex;
+        }
+    }
+
+    return { completed: true, outputs };
+}
+
+/**
+ * Store a step result in memory and (when checkpointed) in the session
+ */
+function completeStep(step, result, { outputs, done, session }) {
+    done.add(step.id);
+    if (step.output) {
+        outputs[step.output] = result;
+    }
+    if (step.checkpoint !== false) {
+        saveCheckpoint(session, step.id, result);
+    }
+}
+
+/**
+ * Pick the declared inputs of a step out of the outputs produced so far
+ */
+function collectInputs(step, outputs) {
+    return Object.fromEntries((step.inputs || []).map(name => [name, outputs[name]]));
+}
+
+/**
+ * Forget every step that consumes the output of `changedStep`, transitively
+ */
+function invalidateDependents(steps, changedStep, { outputs, done, session }) {
+    const stale = new Set(changedStep.output ? [changedStep.output] : []);
+    const invalidated = [];
+
+    for (const step of steps) {
+        if (step === changedStep) continue;
+        if (!(step.inputs || []).some(input => stale.has(input))) continue;
+
+        if (step.output) {
+            stale.add(step.output);
+            delete outputs[step.output];
+        }
+        if (done.delete(step.id)) {
+            invalidated.push(step.id);
+        }
+    }
+
+    removeCheckpoints(session, invalidated);
+
+    if (invalidated.length > 0) {
+        console.log(chalk.gray(`   ↻ Will re-run: ${invalidated.join(', ')}`));
+    }
+}
+
+/**
+ * Ask the user where to go after a step
+ */
+async function chooseNextStep(steps, index, nextIndex, { outputs, done }) {
+    const step = steps[index];
+    const nextStep = steps[nextIndex];
+
+    // Scripted runs and the final steps always move straight on
+    if (isNonInteractive() || step.navigable === false || !nextStep) {
+        return { action: 'continue' };
+    }
+
+    const previous = [...steps.slice(0, index)].reverse().find(candidate => candidate.navigable !== false);
+    const choices = [
+        { name: `▶️  Continue to ${nextStep.title}`, value: 'continue' }
+    ];
+    if (previous) {
+        choices.push({ name: `↩️  Go back to ${previous.title}`, value: 'back' });
+    }
+    if (typeof nextStep.skip === 'function') {
+        choices.push({ name: `⏭️  Skip ${nextStep.title}`, value: 'skip' });
+    }
+    choices.push({ name: '🔀 Jump to step...', value: 'jump' });
+
+    // Navigation is not part of the setup answers, so it bypasses the prompt adapter
+    const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: 'What next?',
+        choices,
+        default: 'continue'
+    }]);
+
+    if (action === 'back') {
+        return { action: 'goto', index: steps.indexOf(previous) };
+    }
+
+    if (action === 'jump') {
+        const reachable = steps
+            .map((candidate, candidateIndex) => ({ candidate, candidateIndex }))
+            .filter(({ candidate }) => candidate.navigable !== false)
+            .filter(({ candidate }) => (candidate.inputs || []).every(input => input in outputs));
+
+        const { target } = await inquirer.prompt([{
+            type: 'list',
+            name: 'target',
+            message: 'Which step would you like to run?',
+            choices: reachable.map(({ candidate, candidateIndex }) => ({
+                name: `${candidateIndex + 1}. ${candidate.title}${done.has(candidate.id) ? chalk.gray(' (re-run)') : ''}`,
+                value: candidateIndex
+            }))
+        }]);
+
+        return { action: 'goto', index: target };
+    }
+
+    return { action };
+}
+
+/**
+ * Make sure every declared input is produced by an earlier step
+ */
+function checkStepGraph(steps) {
+    const available = new Set();
+    const ids = new Set();
+
+    for (const step of steps) {
+        if (ids.has(step.id)) {
+            throw new Error(`Setup step "${step.id}" is registered twice`);
+        }
+        ids.add(step.id);
+
+        const missing = (step.inputs || []).filter(input => !available.has(input));
+        if (missing.length > 0) {
+            throw new Error(`Setup step "${step.id}" needs ${missing.join(', ')}, which no earlier step produces`);
+        }
+        if (step.output) {
+            available.add(step.output);
+        }
+    }
+}
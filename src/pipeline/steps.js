@@ -0,0 +1,312 @@
+/**
+ * Setup Steps - The registered steps of the setup wizard
+ *
+ * Each step declares:
+ *   id         - checkpoint name (see src/utils/session.js)
+ *   title      - shown in the navigation menu
+ *   inputs     - outputs of earlier steps this step reads
+ *   output     - name under which its result is made available to later steps
+ *   run        - async (inputs, context) => result, or cancelled(message)
+ *   skip       - optional; makes the step skippable and returns the result to use instead
+ *   checkpoint - false for steps that are not saved to the session
+ *   navigable  - false for the closing steps that cannot be revisited
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { welcomeFlow } from '../prompts/welcome.js';
+import { subscriptionDetectionFlow } from '../prompts/subscription.js';
+import { performSystemPreCheck, displaySystemCheck } from '../utils/systemCheck.js';
+import { environmentAnalysis, displayEnvironmentSummary } from '../prompts/environment.js';
+import { providerFlow } from '../prompts/providers.js';
+import { configureFreeModels } from '../providers/freeModels.js';
+import { subscriptionBridgeFlow } from '../prompts/subscriptionBridge.js';
+import { modelTiersFlow, getRecommendedTiers } from '../prompts/routing.js';
+import { litellmFlow, writeLiteLLMGateway } from '../prompts/litellm.js';
+import { channelsFlow } from '../prompts/channels.js';
+import { generateConfig, writeConfig } from '../generators/config.js';
+import { displayTargetVersion } from '../generators/compatibility.js';
+import { applySecurityHardening, displaySecurityResults, HARDENED_SETTINGS } from '../utils/security.js';
+import { displayGatewayToken } from '../utils/gatewayToken.js';
+import { validateSetup } from '../validators/setup.js';
+import { generatePostSetupGuide, writePostSetupGuide, displayPostSetupSummary } from '../generators/postSetup.js';
+import { finalizeSetup } from '../prompts/finalize.js';
+import { ask } from '../utils/prompt.js';
+import { cancelled } from './runner.js';
+
+export const setupSteps = [
+    // Step 1: Welcome and explanation
+    {
+        id: 'welcome',
+        title: 'Welcome & preferences',
+        inputs: [],
+        output: 'welcome',
+        async run() {
+            const result = await welcomeFlow();
+            if (!result.proceed) {
+                return cancelled('Setup cancelled. Run openclaw-setup again when you\'re ready!');
+            }
+            return result;
+        }
+    },
+
+    // Step 2: Subscription detection
+    {
+        id: 'subscription',
+        title: 'Subscription detection',
+        inputs: [],
+        output: 'subscriptionInfo',
+        async run() {
+            console.log(chalk.blue('\n🔍 Detecting your AI subscription status...'));
+            return await subscriptionDetectionFlow();
+        }
+    },
+
+    // Step 3: System pre-check
+    {
+        id: 'systemCheck',
+        title: 'System pre-check',
+        inputs: [],
+        output: 'systemInfo',
+        async run() {
+            console.log(chalk.blue('\n🖥️  Performing system pre-check...'));
+            const systemCheckSpinner = ora('Analyzing hardware capabilities').start();
+            const systemInfo = await performSystemPreCheck();
+            systemCheckSpinner.succeed('System analysis complete');
+
+            displaySystemCheck(systemInfo);
+            return systemInfo;
+        }
+    },
+
+    // Step 4: Environment analysis
+    {
+        id: 'environment',
+        title: 'Environment analysis',
+        inputs: [],
+        output: 'environment',
+        async run() {
+            console.log(chalk.blue('\n🔧 Analyzing software environment...'));
+            const envSpinner = ora('Scanning system configuration').start();
+            const environment = await environmentAnalysis();
+            envSpinner.succeed('Environment analysis complete');
+
+            displayEnvironmentSummary(environment);
+            return environment;
+        }
+    },
+
+    // Step 5: Provider selection based on subscription type
+    {
+        id: 'providers',
+        title: 'AI providers',
+        inputs: ['subscriptionInfo', 'systemInfo', 'environment'],
+        output: 'providers',
+        async run({ subscriptionInfo, systemInfo, environment }) {
+            console.log(chalk.blue('\n🧠 Setting up AI providers...'));
+
+            if (subscriptionInfo.routing.recommendedPath === 'free-models') {
+                return await configureFreeModels(systemInfo);
+            }
+            if (subscriptionInfo.routing.recommendedPath === 'proxy-setup') {
+                const providers = await subscriptionBridgeFlow(subscriptionInfo);
+                if (providers) {
+                    return providers;
+                }
+            }
+            return await providerFlow(environment, subscriptionInfo, systemInfo);
+        }
+    },
+
+    // Step 6: Assign the configured models to tiers
+    {
+        id: 'routing',
+        title: 'Model tiers',
+        inputs: ['providers', 'subscriptionInfo', 'systemInfo'],
+        output: 'routing',
+        async run({ providers, subscriptionInfo, systemInfo }) {
+            return await modelTiersFlow(providers, subscriptionInfo, systemInfo);
+        },
+        skip({ providers, subscriptionInfo, systemInfo }) {
+            return getRecommendedTiers(providers, subscriptionInfo, systemInfo);
+        }
+    },
+
+    // Step 7: Optionally put the providers behind a local LiteLLM gateway
+    {
+        id: 'litellm',
+        title: 'LiteLLM gateway',
+        inputs: ['providers', 'routing'],
+        output: 'litellm',
+        async run({ providers, routing }, { configPath }) {
+            return await litellmFlow(providers, routing, configPath);
+        },
+        skip() {
+            return null;
+        }
+    },
+
+    // Step 8: Channel selection and setup
+    {
+        id: 'channels',
+        title: 'Communication channels',
+        inputs: ['environment'],
+        output: 'channels',
+        async run({ environment }) {
+            console.log(chalk.blue('\n💬 Configuring communication channels...'));
+            return await channelsFlow(environment);
+        },
+        skip() {
+            return [];
+        }
+    },
+
+    // Step 9: Generate clawdbot.yaml configuration
+    {
+        id: 'config',
+        title: 'Generate clawdbot.yaml',
+        inputs: ['welcome', 'subscriptionInfo', 'systemInfo', 'environment', 'providers', 'routing', 'litellm', 'channels'],
+        output: 'config',
+        async run({ welcome, subscriptionInfo, systemInfo, environment, providers, routing, litellm, channels }, { targetVersion }) {
+            console.log(chalk.blue('\n⚙️  Generating configuration...'));
+            displayTargetVersion(targetVersion);
+            const configSpinner = ora('Creating clawdbot.yaml').start();
+            const config = await generateConfig({
+                environment,
+                providers,
+                routing,
+                litellm,
+                channels,
+                userPreferences: welcome.preferences,
+                subscriptionInfo,
+                systemInfo,
+                targetVersion
+            });
+            configSpinner.succeed('Configuration generated successfully');
+            // Only once clawdbot.yaml is in place, so a failed or cancelled merge leaves the gateway files alone
+            if (litellm) {
+                await writeLiteLLMGateway(litellm, providers, routing);
+            }
+            return config;
+        }
+    },
+
+    // Step 10: Apply security hardening
+    {
+        id: 'security',
+        title: 'Security hardening',
+        inputs: ['config'],
+        output: 'securityResults',
+        async run({ config }, { configPath }) {
+            console.log(chalk.blue('\n🛡️  Applying security hardening...'));
+            const securitySpinner = ora('Configuring security settings').start();
+            const securityResults = applySecurityHardening(config, configPath);
+            // Hardening edits the settings in memory; merge them into the file written by the previous step,
+            // replacing the values it changed even where the existing file had its own
+            await writeConfig(config.config, config.configPath, { strategy: 'incoming', backup: false, force: HARDENED_SETTINGS });
+            securitySpinner.succeed('Security hardening applied');
+
+            displaySecurityResults(securityResults);
+
+            // Shown here only: the token is not kept in the session or the guide
+            const { gatewayToken, ...results } = securityResults;
+            if (gatewayToken) {
+                displayGatewayToken(gatewayToken, config.config);
+            }
+            return results;
+        }
+    },
+
+    // Step 11: Validate configuration
+    {
+        id: 'validation',
+        title: 'Validation',
+        inputs: ['config', 'environment'],
+        output: 'validation',
+        async run({ config, environment }) {
+            console.log(chalk.blue('\n✅ Validating setup...'));
+            const validationSpinner = ora('Testing configuration').start();
+            const validation = await validateSetup(config, environment);
+
+            if (validation.isValid) {
+                validationSpinner.succeed('Configuration validated successfully');
+                return validation;
+            }
+
+            validationSpinner.fail('Configuration validation failed');
+            console.log(chalk.red('\n❌ Issues found:'));
+            validation.errors.forEach(error => {
+                console.log(chalk.red(`  • ${error}`));
+            });
+
+            // Offer to fix issues or continue anyway
+            const { shouldContinue } = await ask('validation', [{
+                type: 'confirm',
+                name: 'shouldContinue',
+                message: 'Would you like to continue with these issues?',
+                default: false
+            }]);
+
+            if (!shouldContinue) {
+                return cancelled('Setup cancelled. Issues need to be resolved first.\n' +
+                    '   Fix them and run openclaw-setup --resume to pick up from validation.');
+            }
+            return validation;
+        },
+        skip() {
+            return { isValid: true, skipped: true, errors: [], warnings: ['Validation skipped'], checks: [] };
+        }
+    },
+
+    // Step 12: Generate post-setup guide
+    {
+        id: 'guide',
+        title: 'Post-setup guide',
+        inputs: ['config', 'welcome', 'subscriptionInfo', 'systemInfo', 'securityResults', 'validation'],
+        output: 'guide',
+        async run({ config, welcome, subscriptionInfo, systemInfo, securityResults, validation }, { guidePath }) {
+            console.log(chalk.blue('\n📖 Generating your personalized setup guide...'));
+            const guideSpinner = ora('Creating documentation').start();
+            const postSetupGuide = generatePostSetupGuide(config, welcome.preferences, {
+                subscriptionInfo,
+                systemInfo,
+                securityResults,
+                validation
+            });
+
+            const guideWritten = writePostSetupGuide(postSetupGuide, guidePath);
+            guideSpinner.succeed('Setup guide generated');
+            return { postSetupGuide, guideWritten };
+        },
+        skip() {
+            return { postSetupGuide: null, guideWritten: false };
+        }
+    },
+
+    // Step 13: Finalize and offer to start Clawdbot
+    {
+        id: 'finalize',
+        title: 'Start Clawdbot',
+        inputs: ['config', 'providers', 'channels', 'validation'],
+        checkpoint: false,
+        navigable: false,
+        async run({ config, providers, channels, validation }) {
+            // The summary lists the providers and channels as they were configured
+            await finalizeSetup({ ...config, providers, channels }, validation);
+            return true;
+        }
+    },
+
+    // Step 14: Display personalized post-setup summary
+    {
+        id: 'summary',
+        title: 'Summary',
+        inputs: ['guide'],
+        checkpoint: false,
+        navigable: false,
+        async run({ guide }, { guidePath }) {
+            displayPostSetupSummary(guide.postSetupGuide, guide.guideWritten ? guidePath : null);
+            return true;
+        }
+    }
+];
@@ -3,7 +3,7 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
+import { ask } from '../utils/prompt.js';
 
 /**
  * Configure communication channels based on user preferences
@@ -15,7 +15,7 @@ export async function channelsFlow(environment) {
     console.log('');
 
     // Show available channels
-    const channelChoices = await inquirer.prompt([
+    const channelChoices = await ask('channels', [
         {
             type: 'checkbox',
             name: 'selectedChannels',
@@ -71,7 +71,7 @@ export async function channelsFlow(environment) {
 /**
  * Configure a specific channel
  */
-async function configureChannel(channelType, environment) {
+export async function configureChannel(channelType, environment) {
     switch (channelType) {
         case 'whatsapp':
             return await configureWhatsApp();
@@ -97,7 +97,7 @@ async function configureWhatsApp() {
     console.log(chalk.gray('You\'ll need to scan a QR code with your phone to connect.'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('channels.whatsapp', [
         {
             type: 'confirm',
             name: 'enableWhatsApp',
@@ -111,7 +111,7 @@ async function configureWhatsApp() {
     }
 
     // Advanced WhatsApp configuration
-    const advanced = await inquirer.prompt([
+    const advanced = await ask('channels.whatsapp', [
         {
             type: 'confirm',
             name: 'showAdvanced',
@@ -132,7 +132,7 @@ async function configureWhatsApp() {
     };
 
     if (advanced.showAdvanced) {
-        const advancedSettings = await inquirer.prompt([
+        const advancedSettings = await ask('channels.whatsapp', [
             {
                 type: 'confirm',
                 name: 'allowGroups',
@@ -183,7 +183,7 @@ async function configureTelegram() {
     console.log(chalk.gray('Visit https://t.me/botfather to create your bot and get a token.'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('channels.telegram', [
         {
             type: 'confirm',
             name: 'hasBotToken',
@@ -200,7 +200,7 @@ async function configureTelegram() {
         console.log(chalk.white('4. Copy the bot token that BotFather gives you'));
         console.log('');
 
-        const { continueSetup } = await inquirer.prompt([{
+        const { continueSetup } = await ask('channels.telegram', [{
             type: 'confirm',
             name: 'continueSetup',
             message: 'Have you created your bot and got the token?',
@@ -213,10 +213,11 @@ async function configureTelegram() {
         }
     }
 
-    const tokenInput = await inquirer.prompt([
+    const tokenInput = await ask('channels.telegram', [
         {
             type: 'password',
             name: 'botToken',
+            envVar: 'TELEGRAM_BOT_TOKEN',
             message: 'Enter your Telegram bot token:',
             mask: '*',
             validate: (input) => {
@@ -260,7 +261,7 @@ async function configureDiscord() {
     console.log(chalk.gray('Visit https://discord.com/developers/applications to create your bot.'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('channels.discord', [
         {
             type: 'confirm',
             name: 'hasBotToken',
@@ -278,7 +279,7 @@ async function configureDiscord() {
         console.log(chalk.white('5. Under "Privileged Gateway Intents", enable "Message Content Intent"'));
         console.log('');
 
-        const { continueSetup } = await inquirer.prompt([{
+        const { continueSetup } = await ask('channels.discord', [{
             type: 'confirm',
             name: 'continueSetup',
             message: 'Have you created your Discord bot and got the token?',
@@ -291,10 +292,11 @@ async function configureDiscord() {
         }
     }
 
-    const botConfig = await inquirer.prompt([
+    const botConfig = await ask('channels.discord', [
         {
             type: 'password',
             name: 'botToken',
+            envVar: 'DISCORD_BOT_TOKEN',
             message: 'Enter your Discord bot token:',
             mask: '*',
             validate: (input) => {
@@ -347,7 +349,7 @@ async function configureSlack() {
     console.log(chalk.gray('This is more complex - we recommend starting with other channels first.'));
     console.log('');
 
-    const { continueSlack } = await inquirer.prompt([
+    const { continueSlack } = await ask('channels.slack', [
         {
             type: 'confirm',
             name: 'continueSlack',
@@ -400,7 +402,7 @@ function configureTerminal() {
 /**
  * Get display name for channel type
  */
-function getChannelDisplayName(channelType) {
+export function getChannelDisplayName(channelType) {
     switch (channelType) {
         case 'whatsapp': return 'WhatsApp';
         case 'telegram': return 'Telegram';
@@ -0,0 +1,64 @@
+/**
+ * Credentials Flow - Ask for a key, test it, and explain a failure
+ */
+
+import chalk from 'chalk';
+import { ask, isNonInteractive } from '../utils/prompt.js';
+import { probeCredential, getProbeResultLabel } from '../providers/credentialProbe.js';
+
+/**
+ * Ask for a credential until it passes the probe or the user settles for it
+ *
+ * A failed test shows what went wrong and offers to re-enter the key, keep it
+ * anyway, or skip the provider. Answers files give the choice as
+ * `<scope>.onKeyTestFailure: keep | skip` (re-entering needs a person).
+ *
+ * @param {string} scope - Answers scope of the provider, e.g. providers.anthropic
+ * @param {string} service - Probe to run (see probeCredential)
+ * @param {Function} askCredentials - Asks for the key (and model) and returns {apiKey, model, ...}
+ * @returns {Promise<Object|null>} The credentials (with `verified`), or null to skip the provider
+ */
+export async function askVerifiedCredentials(scope, service, askCredentials) {
+    for (;;) {
+        const credentials = await askCredentials();
+
+        console.log(chalk.gray('Testing API key...'));
+        const result = await probeCredential(service, credentials);
+        if (result.ok) {
+            return { ...credentials, verified: true };
+        }
+
+        displayProbeFailure(result);
+
+        const { onKeyTestFailure } = await ask(scope, [
+            {
+                type: 'list',
+                name: 'onKeyTestFailure',
+                message: 'What would you like to do?',
+                choices: [
+                    ...(isNonInteractive() ? [] : [{ name: 'Re-enter the key', value: 'retry' }]),
+                    { name: 'Keep it anyway (fix it later)', value: 'keep' },
+                    { name: 'Skip this provider', value: 'skip' }
+                ]
+            }
+        ]);
+
+        if (onKeyTestFailure === 'skip') {
+            return null;
+        }
+        if (onKeyTestFailure === 'keep') {
+            return { ...credentials, verified: false };
+        }
+    }
+}
+
+/**
+ * Print why a credential test failed and how to fix it
+ */
+export function displayProbeFailure(result) {
+    console.log(chalk.red(`❌ API key test failed: ${getProbeResultLabel(result.type)}`));
+    console.log(chalk.gray(`   ${result.message}`));
+    if (result.hint) {
+        console.log(chalk.yellow(`   💡 ${result.hint}`));
+    }
+}
@@ -9,6 +9,8 @@ import fs from 'fs';
 import which from 'which';
 import semver from 'semver';
 import chalk from 'chalk';
+import boxen from 'boxen';
+import { isReachable, getNetworkSettings } from '../utils/http.js';
 
 /**
  * Analyze the system environment for OpenClaw compatibility
@@ -180,44 +182,29 @@ async function getNetworkInfo() {
         proxy: null
     };
     
-    // Check basic internet connectivity
-    try {
-        execSync('ping -c 1 google.com', { timeout: 5000 });
+    // Check basic internet connectivity over HTTPS (ICMP ping is often blocked by
+    // corporate firewalls, and it ignores the proxy)
+    if (await isReachable('https://www.google.com')) {
         network.hasInternet = true;
         network.dnsWorking = true;
-    } catch (error) {
-        // Try with different DNS
-        try {
-            execSync('ping -c 1 8.8.8.8', { timeout: 5000 });
-            network.hasInternet = true;
-        } catch (error) {
-            // No internet or severe connectivity issues
-        }
+    } else if (await isReachable('https://1.1.1.1')) {
+        // Reachable by IP address only: DNS is not working
+        network.hasInternet = true;
     }
     
     // Check npm registry access
     if (network.hasInternet) {
-        try {
-            execSync('npm ping', { timeout: 10000 });
-            network.npmRegistryAccessible = true;
-        } catch (error) {
-            // npm registry not accessible
-        }
+        const registry = (process.env.npm_config_registry || process.env.NPM_CONFIG_REGISTRY || 'https://registry.npmjs.org/').replace(/\/*$/, '/');
+        network.npmRegistryAccessible = await isReachable(`${registry}-/ping`);
         
         // Check GitHub access
-        try {
-            execSync('ping -c 1 github.com', { timeout: 5000 });
-            network.githubAccessible = true;
-        } catch (error) {
-            // GitHub not accessible
-        }
+        network.githubAccessible = await isReachable('https://github.com');
     }
     
-    // Check for proxy configuration
-    const httpProxy = process.env.HTTP_PROXY || process.env.http_proxy;
-    const httpsProxy = process.env.HTTPS_PROXY || process.env.https_proxy;
-    if (httpProxy || httpsProxy) {
-        network.proxy = { http: httpProxy, https: httpsProxy };
+    // Proxy the checks above (and every other request) went through
+    const { proxy } = getNetworkSettings();
+    if (proxy) {
+        network.proxy = proxy;
     }
     
     return network;
@@ -283,7 +270,9 @@ function analyzeCompatibility(environment) {
     
     // Check network connectivity
     if (!environment.network.hasInternet) {
-        issues.push('No internet connection detected. Internet access is required for setup.');
+        issues.push(environment.network.proxy
+            ? 'No internet connection detected through the proxy. Check HTTPS_PROXY, and pass --ca-file if the proxy inspects HTTPS.'
+            : 'No internet connection detected. Internet access is required for setup. Behind a proxy? Set HTTPS_PROXY.');
         environment.compatibility = 'incompatible';
     } else if (!environment.network.npmRegistryAccessible) {
         issues.push('Cannot access npm registry. Check firewall or proxy settings.');
@@ -314,4 +303,30 @@ function analyzeCompatibility(environment) {
     }
     
     environment.issues = issues;
-}
\ No newline at end of file
+}
+
+/**
+ * Display environment analysis summary
+ */
+export function displayEnvironmentSummary(environment) {
+    console.log(boxen(
+        chalk.white.bold('🖥️  System Environment\n\n') +
+        chalk.green(`✅ Operating System: ${environment.os.platform} ${environment.os.version}\n`) +
+        chalk.green(`✅ Architecture: ${environment.os.arch}\n`) +
+        chalk.green(`✅ Node.js: ${environment.runtime.nodeVersion}\n`) +
+        chalk.green(`✅ Package Manager: ${environment.runtime.packageManager}\n`) +
+        (environment.network.proxy
+            ? chalk.green(`✅ Proxy: ${new URL(environment.network.proxy.https || environment.network.proxy.http).host}\n`)
+            : '') +
+        (environment.issues.length > 0
+            ? chalk.yellow(`\n⚠️  Issues detected: ${environment.issues.length}\n`) +
+              environment.issues.map(issue => chalk.yellow(`   • ${issue}`)).join('\n')
+            : chalk.green('\n🎉 No issues detected!')),
+        {
+            padding: 1,
+            margin: 1,
+            borderStyle: 'round',
+            borderColor: environment.issues.length > 0 ? 'yellow' : 'green'
+        }
+    ));
+}
@@ -3,10 +3,11 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
+import { ask } from '../utils/prompt.js';
 import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { runCommand } from '../utils/fileOps.js';
 
 /**
  * Finalize the setup and offer to start Clawdbot
@@ -20,7 +21,7 @@ export async function finalizeSetup(config, validation) {
     displayConfigurationSummary(config);
     
     // Ask if they want to start Clawdbot now
-    const { startNow } = await inquirer.prompt([
+    const { startNow } = await ask('finalize', [
         {
             type: 'confirm',
             name: 'startNow',
@@ -95,7 +96,7 @@ async function startClawdbot(config) {
         
         // Start the gateway
         console.log(chalk.gray('Starting Clawdbot gateway...'));
-        const gatewayProcess = execSync(`${clawdbotCommand} gateway start --detach`, { 
+        const gatewayProcess = runCommand(`${clawdbotCommand} gateway start --detach`, { 
             encoding: 'utf8',
             timeout: 30000
         });
@@ -127,7 +128,7 @@ async function offerToInstallClawdbot() {
     console.log(chalk.yellow('🔍 Clawdbot is not installed on your system.'));
     console.log('');
     
-    const { installNow } = await inquirer.prompt([
+    const { installNow } = await ask('finalize', [
         {
             type: 'confirm',
             name: 'installNow',
@@ -152,7 +153,7 @@ async function offerToInstallClawdbot() {
                 console.log(chalk.gray('Using npm for installation...'));
             }
             
-            execSync(installCommand, { stdio: 'inherit' });
+            runCommand(installCommand, { stdio: 'inherit' });
             
             console.log(chalk.green('✅ Clawdbot installed successfully!'));
             console.log('');
@@ -271,7 +272,7 @@ function showConnectionInstructions(config) {
  * Offer additional resources and next steps
  */
 async function offerAdditionalResources() {
-    const { showResources } = await inquirer.prompt([
+    const { showResources } = await ask('finalize', [
         {
             type: 'confirm',
             name: 'showResources',
@@ -0,0 +1,157 @@
+/**
+ * LiteLLM Flow - Optionally route every provider through a local LiteLLM gateway
+ *
+ * With several providers, LiteLLM can serve them all from one OpenAI-compatible
+ * endpoint on localhost, balancing load, failing over in the model tier order
+ * and tracking spend. clawdbot.yaml then talks to the gateway as its only
+ * enabled provider; the providers behind it stay in the file, disabled, as
+ * documented fallbacks that can be switched back on to bypass the gateway.
+ *
+ * The flow only asks; litellm_config.yaml and the keys it reads are written by
+ * writeLiteLLMGateway once clawdbot.yaml has been written.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { ask } from '../utils/prompt.js';
+import { getSecretsMode, getEnvFilePath } from '../utils/secrets.js';
+import {
+    generateLiteLLMConfig,
+    writeLiteLLMConfig,
+    findLiteLLMMasterKey,
+    getLiteLLMStartCommand,
+    LITELLM_CONFIG_FILE,
+    DEFAULT_LITELLM_PORT,
+    LITELLM_MASTER_KEY_VAR,
+    LITELLM_DATABASE_URL_VAR
+} from '../generators/litellm.js';
+
+/**
+ * Offer the gateway
+ *
+ * @param {Array<Object>} providers - Providers from the provider step
+ * @param {{primary: string, fallback: string[], onboarding: string}|null} routing - Model tiers
+ * @param {string} configPath - Path of clawdbot.yaml; litellm_config.yaml goes next to it
+ * @returns {Promise<{configPath: string, port: number, spendTracking: boolean, databaseUrl: string|undefined,
+ *   provider: Object}|null>} The gateway and the provider that points clawdbot.yaml at it, or null without a gateway
+ */
+export async function litellmFlow(providers, routing, configPath) {
+    // One provider has nothing to balance or fail over to
+    if (!routing || providers.length < 2) {
+        return null;
+    }
+
+    console.log('');
+    console.log(chalk.white.bold('🔀 Local Model Gateway'));
+    console.log(chalk.gray(`LiteLLM can serve your ${providers.length} providers from one OpenAI-compatible endpoint on this machine,`));
+    console.log(chalk.gray('with load balancing, fallbacks in your tier order and optional spend tracking.'));
+    console.log('');
+
+    const answers = await ask('litellm', [
+        {
+            type: 'confirm',
+            name: 'useGateway',
+            message: 'Route all providers through a local LiteLLM gateway?',
+            default: false
+        },
+        {
+            type: 'input',
+            name: 'port',
+            message: 'Gateway port:',
+            default: String(DEFAULT_LITELLM_PORT),
+            when: (current) => current.useGateway,
+            filter: (input) => Number(input),
+            validate: (input) => Number.isInteger(Number(input)) && Number(input) > 0 && Number(input) < 65536
+                ? true
+                : 'Please enter a port between 1 and 65535'
+        },
+        {
+            type: 'confirm',
+            name: 'spendTracking',
+            message: 'Track spend per key in a PostgreSQL database?',
+            default: false,
+            when: (current) => current.useGateway
+        },
+        {
+            type: 'password',
+            name: 'databaseUrl',
+            envVar: LITELLM_DATABASE_URL_VAR,
+            message: 'PostgreSQL connection URL:',
+            mask: '*',
+            when: (current) => current.spendTracking,
+            validate: (input) => /^postgres(ql)?:\/\//.test(input) ? true : 'Enter a postgresql:// URL'
+        }
+    ]);
+    if (!answers.useGateway) {
+        return null;
+    }
+
+    // Keep the key of an earlier run so clients already using the gateway keep working.
+    // LiteLLM only accepts master keys that start with sk-
+    const masterKey = await findLiteLLMMasterKey() || `sk-${crypto.randomBytes(24).toString('base64url')}`;
+
+    return {
+        configPath: path.join(path.dirname(configPath), LITELLM_CONFIG_FILE),
+        port: answers.port,
+        spendTracking: answers.spendTracking,
+        databaseUrl: answers.databaseUrl,
+        provider: {
+            name: 'litellm',
+            type: 'litellm',
+            baseUrl: `http://127.0.0.1:${answers.port}/v1`,
+            apiKey: masterKey,
+            model: routing.primary,
+            displayName: 'LiteLLM gateway',
+            isPrimary: true,
+            enabled: true
+        }
+    };
+}
+
+/**
+ * Write litellm_config.yaml and save the master key and provider keys it reads
+ *
+ * @param {Object} litellm - litellmFlow result
+ * @param {Array<Object>} providers - Providers from the provider step
+ * @param {{primary: string, fallback: string[], onboarding: string}} routing - Model tiers
+ * @returns {Promise<string>} Path of litellm_config.yaml
+ */
+export async function writeLiteLLMGateway(litellm, providers, routing) {
+    const { config, secrets } = generateLiteLLMConfig(providers, routing, { spendTracking: litellm.spendTracking });
+    secrets[LITELLM_MASTER_KEY_VAR] = litellm.provider.apiKey;
+    if (litellm.spendTracking) {
+        secrets[LITELLM_DATABASE_URL_VAR] = litellm.databaseUrl;
+    }
+
+    const written = await writeLiteLLMConfig(config, secrets, path.dirname(litellm.configPath));
+    console.log(chalk.green(`✅ Gateway config written to ${written.configPath}`));
+    if (written.backupPath) {
+        console.log(chalk.gray(`   Previous gateway config backed up to ${written.backupPath}`));
+    }
+    if (written.secretsPaths.length > 0) {
+        console.log(chalk.gray(`   Keys it reads saved to ${written.secretsPaths.join(' and ')}`));
+    }
+    displayStartInstructions(written.configPath, litellm.port, Object.keys(secrets));
+
+    return written.configPath;
+}
+
+/**
+ * Explain how to install and start the gateway with the keys it needs
+ */
+function displayStartInstructions(configPath, port, envVars) {
+    console.log('');
+    console.log(chalk.white('To start the gateway:'));
+    console.log(chalk.gray('   pip install \'litellm[proxy]\''));
+    if (getSecretsMode() === 'vault') {
+        console.log(chalk.gray(`   # LiteLLM reads ${envVars.join(', ')} from the environment:`));
+        envVars.forEach(envVar => {
+            console.log(chalk.gray(`   export ${envVar}="$(openclaw-setup vault get ${envVar})"`));
+        });
+    } else {
+        console.log(chalk.gray(`   set -a; . ${getEnvFilePath()}; set +a`));
+    }
+    console.log(chalk.gray(`   ${getLiteLLMStartCommand(configPath, port)}`));
+    console.log('');
+}
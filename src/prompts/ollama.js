@@ -0,0 +1,192 @@
+/**
+ * Ollama Flow - Pick an installed Ollama model or pull a new one
+ */
+
+import chalk from 'chalk';
+import { ask } from '../utils/prompt.js';
+import { performSystemPreCheck } from '../utils/systemCheck.js';
+import { isDryRun, planAction } from '../utils/fileOps.js';
+import { getModelChoices, getDefaultModel } from '../providers/catalog.js';
+import {
+    getOllamaStatus,
+    findInstalledModel,
+    getOllamaModelSize,
+    pullOllamaModel,
+    formatBytes
+} from '../providers/ollama.js';
+
+const PROGRESS_BAR_WIDTH = 30;
+
+/**
+ * Ask for an Ollama model, offering the server's installed models first
+ *
+ * When the server is running, a model that isn't installed yet can be pulled
+ * right away (after checking it fits on disk). Without a server the catalog
+ * models are offered as before.
+ *
+ * @param {string} scope - Answers scope, e.g. providers.ollama
+ * @param {Object} options
+ * @param {string} options.baseUrl - Ollama server URL
+ * @param {string} options.message - Model question
+ * @param {string} [options.name] - Answer key of the model question (default: model)
+ * @param {number} [options.memoryGB] - Only offer catalog models that fit in this much RAM
+ * @param {boolean} [options.allowCustom] - Offer to type any model name
+ * @param {Object} [options.systemInfo] - performSystemPreCheck result, for the disk space check
+ * @returns {Promise<{model: string, serverRunning: boolean, installed: boolean}>}
+ */
+export async function askOllamaModel(scope, options) {
+    const status = await getOllamaStatus(options.baseUrl);
+    displayOllamaStatus(status, options.baseUrl);
+
+    const installedNames = status.installed.map(model => model.name);
+    const choices = [
+        ...status.installed.map(model => ({
+            name: `${model.name} ✅ installed (${formatBytes(model.size)}${model.parameterSize ? `, ${model.parameterSize}` : ''}${model.loaded ? ', loaded' : ''})`,
+            value: model.name,
+            short: model.name
+        })),
+        ...getModelChoices('ollama', { memoryGB: options.memoryGB })
+            .filter(choice => !findInstalledModel(status.installed, choice.value)),
+        ...(options.allowCustom ? [{ name: 'Custom model name', value: 'custom' }] : [])
+    ];
+
+    const name = options.name || 'model';
+    const answers = await ask(scope, [
+        {
+            type: 'list',
+            name,
+            message: options.message,
+            choices,
+            default: installedNames[0] || getDefaultModel('ollama', { memoryGB: options.memoryGB })
+        },
+        {
+            type: 'input',
+            name: 'customModel',
+            message: 'Enter the model name:',
+            when: (current) => current[name] === 'custom',
+            validate: (input) => input ? true : 'Model name is required'
+        }
+    ]);
+
+    const model = answers[name] === 'custom' ? answers.customModel : answers[name];
+    const installed = Boolean(findInstalledModel(status.installed, model));
+    if (!status.running || installed) {
+        return { model, serverRunning: status.running, installed };
+    }
+
+    return {
+        model,
+        serverRunning: true,
+        installed: await offerPull(scope, options.baseUrl, model, options.systemInfo)
+    };
+}
+
+/**
+ * Print whether the server is running and what it has installed
+ */
+function displayOllamaStatus(status, baseUrl) {
+    if (!status.running) {
+        console.log(chalk.yellow(`ℹ️  No Ollama server answered at ${baseUrl} - showing the recommended models.`));
+        return;
+    }
+
+    console.log(chalk.green(`✅ ${status.version ? `Ollama ${status.version}` : 'Ollama'} is running at ${baseUrl}`));
+    if (status.installed.length === 0) {
+        console.log(chalk.gray('   No models installed yet.'));
+    } else {
+        console.log(chalk.gray(`   ${status.installed.length} model${status.installed.length > 1 ? 's' : ''} installed:`));
+        status.installed.forEach(model => {
+            console.log(chalk.gray(`   • ${model.name} (${formatBytes(model.size)})${model.loaded ? ' - loaded' : ''}`));
+        });
+    }
+}
+
+/**
+ * Offer to pull a model that isn't installed, if there is room for it
+ *
+ * @returns {Promise<boolean>} Whether the model is now installed
+ */
+async function offerPull(scope, baseUrl, model, systemInfo) {
+    const size = await getOllamaModelSize(model);
+
+    const { pullModel } = await ask(scope, [
+        {
+            type: 'confirm',
+            name: 'pullModel',
+            message: `${model} is not installed. Download it now${size ? ` (${formatBytes(size)})` : ''}?`,
+            default: true
+        }
+    ]);
+    if (!pullModel) {
+        console.log(chalk.gray(`   Download it later with: ollama pull ${model}`));
+        return false;
+    }
+
+    // Models are several GB - make sure this one fits before starting
+    const disk = (systemInfo || await performSystemPreCheck()).disk;
+    if (!disk.free) {
+        console.log(chalk.yellow('⚠️  Could not check the free disk space - downloading anyway.'));
+    } else if (size && size / 1e9 > disk.free) {
+        console.log(chalk.red(`❌ ${model} needs ${formatBytes(size)}, but only ${disk.free}GB is free on this disk.`));
+        console.log(chalk.gray(`   Free up some space, then run: ollama pull ${model}`));
+        return false;
+    }
+
+    // Several GB of downloads are a change to this machine like any other
+    if (isDryRun()) {
+        planAction(`pull the Ollama model ${model}${size ? ` (${formatBytes(size)})` : ''}`);
+        return false;
+    }
+
+    console.log(chalk.blue(`⬇️  Pulling ${model}...`));
+    const progress = createPullProgress();
+    try {
+        await pullOllamaModel(baseUrl, model, progress.update);
+        progress.finish();
+    } catch (error) {
+        progress.finish();
+        console.log(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.gray(`   Try again later with: ollama pull ${model}`));
+        return false;
+    }
+
+    console.log(chalk.green(`✅ ${model} is installed`));
+    return true;
+}
+
+/**
+ * Progress display for a pull: a bar per layer on a terminal, one line per step otherwise
+ */
+function createPullProgress() {
+    let currentStatus = null;
+    let drawing = false;
+
+    const endLine = () => {
+        if (drawing) {
+            process.stdout.write('\n');
+            drawing = false;
+        }
+    };
+
+    return {
+        update({ status, completed = 0, total }) {
+            const label = status.replace(/sha256:([0-9a-f]{12})[0-9a-f]*/, '$1');
+            const isNewStep = status !== currentStatus;
+            if (isNewStep) {
+                endLine();
+                currentStatus = status;
+            }
+
+            if (total && process.stdout.isTTY) {
+                const ratio = Math.min(completed / total, 1);
+                const filled = Math.round(ratio * PROGRESS_BAR_WIDTH);
+                const bar = '█'.repeat(filled) + '░'.repeat(PROGRESS_BAR_WIDTH - filled);
+                process.stdout.write(`\r   ${label} ${chalk.cyan(bar)} ${String(Math.round(ratio * 100)).padStart(3)}% ${formatBytes(completed)}/${formatBytes(total)}`);
+                drawing = true;
+            } else if (isNewStep) {
+                console.log(chalk.gray(`   ${label}${total ? ` (${formatBytes(total)})` : ''}`));
+            }
+        },
+        finish: endLine
+    };
+}
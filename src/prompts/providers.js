@@ -3,8 +3,44 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
-import fetch from 'node-fetch';
+import { ask } from '../utils/prompt.js';
+import {
+    getSelectableProviders,
+    getCatalogProvider,
+    getProviderName,
+    getModelName,
+    getCatalogRecommendations,
+    getAvoidedModels,
+    getAvailableModels,
+    isOpenAICompatible,
+    checkKeyFormat
+} from '../providers/catalog.js';
+import { fetchModelList, getLiveModelChoices } from '../providers/modelList.js';
+import { getModelRecommendations } from './subscription.js';
+import { askVerifiedCredentials } from './credentials.js';
+import { askOllamaModel } from './ollama.js';
+import { getProviderEnvVar } from '../utils/secrets.js';
+import { DEFAULT_OLLAMA_URL } from '../providers/ollama.js';
+import { detectLocalServers, probeLocalServer } from '../providers/localServer.js';
+
+/**
+ * Setup prompts by provider type (labels and models come from the catalog;
+ * OpenAI-compatible vendors in the catalog share configureCompatibleVendor)
+ */
+const PROVIDER_SETUP = {
+    anthropic: configureAnthropic,
+    openai: configureOpenAI,
+    'azure-openai': configureAzureOpenAI,
+    openrouter: configureOpenRouter,
+    ollama: configureOllama,
+    'local-server': configureLocalServer,
+    custom: configureCustomProvider
+};
+
+/**
+ * Azure OpenAI api-version: a release date, optionally a preview
+ */
+const AZURE_API_VERSION = /^\d{4}-\d{2}-\d{2}(-preview)?$/;
 
 /**
  * Configure AI providers based on user preferences and subscription info
@@ -21,51 +57,32 @@ export async function providerFlow(environment, subscriptionInfo = null, systemI
     }
 
     // Show provider options with recommendations
-    const providerChoice = await inquirer.prompt([
+    const providerChoice = await ask('providers', [
         {
             type: 'list',
             name: 'primaryProvider',
             message: 'Which AI provider would you like to use as your primary?',
-            choices: [
-                {
-                    name: '🎯 Anthropic Claude (Recommended) - Most advanced, great for complex tasks',
-                    value: 'anthropic',
-                    short: 'Anthropic Claude'
-                },
-                {
-                    name: '🤖 OpenAI GPT - Popular choice, well-rounded performance',
-                    value: 'openai',
-                    short: 'OpenAI GPT'
-                },
-                {
-                    name: '🔗 OpenRouter - Access to multiple models through one API',
-                    value: 'openrouter',
-                    short: 'OpenRouter'
-                },
-                {
-                    name: '🏠 Local Models (Ollama) - Privacy-focused, runs on your hardware',
-                    value: 'ollama',
-                    short: 'Local Models'
-                },
-                {
-                    name: '⚙️  Custom Provider - I have a different provider',
-                    value: 'custom',
-                    short: 'Custom'
-                }
-            ]
+            choices: getProviderTypes().map(providerType => {
+                const provider = getCatalogProvider(providerType);
+                return {
+                    name: `${provider.icon} ${provider.displayName}${provider.recommended ? ' (Recommended)' : ''} - ${provider.description}`,
+                    value: providerType,
+                    short: provider.displayName
+                };
+            })
         }
     ]);
 
     const providers = [];
     
     // Configure primary provider
-    const primaryProvider = await configureProvider(providerChoice.primaryProvider, true);
+    const primaryProvider = await configureProvider(providerChoice.primaryProvider, true, systemInfo);
     if (primaryProvider) {
         providers.push(primaryProvider);
     }
 
     // Ask if they want to add additional providers
-    const { wantAdditional } = await inquirer.prompt([
+    const { wantAdditional } = await ask('providers', [
         {
             type: 'confirm',
             name: 'wantAdditional',
@@ -75,10 +92,10 @@ export async function providerFlow(environment, subscriptionInfo = null, systemI
     ]);
 
     if (wantAdditional) {
-        const availableProviders = ['anthropic', 'openai', 'openrouter', 'ollama', 'custom']
+        const availableProviders = getProviderTypes()
             .filter(p => p !== providerChoice.primaryProvider);
         
-        const { additionalProviders } = await inquirer.prompt([
+        const { additionalProviders } = await ask('providers', [
             {
                 type: 'checkbox',
                 name: 'additionalProviders',
@@ -91,7 +108,7 @@ export async function providerFlow(environment, subscriptionInfo = null, systemI
         ]);
 
         for (const providerType of additionalProviders) {
-            const provider = await configureProvider(providerType, false);
+            const provider = await configureProvider(providerType, false, systemInfo);
             if (provider) {
                 providers.push(provider);
             }
@@ -103,26 +120,41 @@ export async function providerFlow(environment, subscriptionInfo = null, systemI
 
 /**
  * Configure a specific AI provider
+ *
+ * @param {Object} [systemInfo] - performSystemPreCheck result, used to check disk space before pulling a local model
  */
-async function configureProvider(providerType, isPrimary) {
+export async function configureProvider(providerType, isPrimary, systemInfo = null) {
     console.log('');
     console.log(chalk.blue(`📋 Configuring ${getProviderDisplayName(providerType)}${isPrimary ? ' (Primary)' : ''}`));
     
-    switch (providerType) {
-        case 'anthropic':
-            return await configureAnthropic(isPrimary);
-        case 'openai':
-            return await configureOpenAI(isPrimary);
-        case 'openrouter':
-            return await configureOpenRouter(isPrimary);
-        case 'ollama':
-            return await configureOllama(isPrimary);
-        case 'custom':
-            return await configureCustomProvider(isPrimary);
-        default:
-            console.log(chalk.red(`Unknown provider type: ${providerType}`));
-            return null;
+    const configure = getProviderSetup(providerType);
+    if (!configure) {
+        console.log(chalk.red(`Unknown provider type: ${providerType}`));
+        return null;
+    }
+    return await configure(isPrimary, systemInfo);
+}
+
+/**
+ * Provider types the wizard can set up, in catalog order
+ */
+export function getProviderTypes() {
+    return getSelectableProviders()
+        .map(provider => provider.id)
+        .filter(providerType => getProviderSetup(providerType));
+}
+
+/**
+ * Setup prompt of a provider type, or null when this version can't set it up
+ */
+function getProviderSetup(providerType) {
+    if (PROVIDER_SETUP[providerType]) {
+        return PROVIDER_SETUP[providerType];
+    }
+    if (isOpenAICompatible(providerType)) {
+        return (isPrimary) => configureCompatibleVendor(providerType, isPrimary);
     }
+    return null;
 }
 
 /**
@@ -130,45 +162,36 @@ async function configureProvider(providerType, isPrimary) {
  */
 async function configureAnthropic(isPrimary) {
     console.log(chalk.gray('Anthropic Claude is OpenClaw\'s recommended AI provider.'));
-    console.log(chalk.gray('Get your API key from: https://console.anthropic.com/'));
+    console.log(chalk.gray(`Get your API key from: ${getCatalogProvider('anthropic').keyUrl}`));
     console.log('');
 
-    const answers = await inquirer.prompt([
-        {
-            type: 'password',
-            name: 'apiKey',
-            message: 'Enter your Anthropic API key:',
-            mask: '*',
-            validate: (input) => {
-                if (!input) return 'API key is required';
-                if (!input.startsWith('sk-ant-')) return 'Anthropic API keys start with "sk-ant-"';
-                if (input.length < 20) return 'API key seems too short';
-                return true;
+    const answers = await askVerifiedCredentials('providers.anthropic', 'anthropic', async () => {
+        const { apiKey } = await ask('providers.anthropic', [
+            {
+                type: 'password',
+                name: 'apiKey',
+                envVar: 'ANTHROPIC_API_KEY',
+                message: 'Enter your Anthropic API key:',
+                mask: '*',
+                validate: (input) => {
+                    if (!input) return 'API key is required';
+                    if (!input.startsWith('sk-ant-')) return 'Anthropic API keys start with "sk-ant-"';
+                    if (input.length < 20) return 'API key seems too short';
+                    return true;
+                }
             }
-        },
-        {
-            type: 'list',
-            name: 'model',
-            message: 'Which Claude model would you like to use?',
-            choices: [
-                { name: 'Claude 3.5 Sonnet (⭐ Recommended) - Best balance of speed and intelligence', value: 'claude-3-5-sonnet-20241022' },
-                { name: 'Claude 3.5 Haiku - Fastest, great for simple tasks', value: 'claude-3-5-haiku-20241022' },
-                { name: 'Claude 3 Opus - Most capable, use for onboarding only (expensive)', value: 'claude-3-opus-20240229' }
-            ],
-            default: 'claude-3-5-sonnet-20241022'
-        }
-    ]);
+        ]);
+        const model = await askModel('providers.anthropic', 'anthropic', 'Which Claude model would you like to use?', { apiKey });
+        return { apiKey, model };
+    });
 
-    // Test the API key
-    console.log(chalk.gray('Testing API key...'));
-    const isValid = await testAnthropicAPI(answers.apiKey, answers.model);
-    
-    if (!isValid) {
-        console.log(chalk.red('❌ API key test failed. Please check your key and try again.'));
+    if (!answers) {
+        console.log(chalk.yellow('⏭️  Skipping Anthropic. You can add it later with: openclaw-setup add-provider anthropic'));
         return null;
     }
-
-    console.log(chalk.green('✅ Anthropic API key validated successfully!'));
+    if (answers.verified) {
+        console.log(chalk.green('✅ Anthropic API key validated successfully!'));
+    }
 
     return {
         name: 'anthropic',
@@ -185,46 +208,37 @@ async function configureAnthropic(isPrimary) {
  */
 async function configureOpenAI(isPrimary) {
     console.log(chalk.gray('OpenAI provides GPT-4 and other popular models.'));
-    console.log(chalk.gray('Get your API key from: https://platform.openai.com/api-keys'));
+    console.log(chalk.gray(`Get your API key from: ${getCatalogProvider('openai').keyUrl}`));
+    getAvoidedModels('openai').forEach(model => console.log(chalk.yellow(`⚠️  Not offered: ${model}`)));
     console.log('');
 
-    const answers = await inquirer.prompt([
-        {
-            type: 'password',
-            name: 'apiKey',
-            message: 'Enter your OpenAI API key:',
-            mask: '*',
-            validate: (input) => {
-                if (!input) return 'API key is required';
-                if (!input.startsWith('sk-')) return 'OpenAI API keys start with "sk-"';
-                if (input.length < 20) return 'API key seems too short';
-                return true;
+    const answers = await askVerifiedCredentials('providers.openai', 'openai', async () => {
+        const { apiKey } = await ask('providers.openai', [
+            {
+                type: 'password',
+                name: 'apiKey',
+                envVar: 'OPENAI_API_KEY',
+                message: 'Enter your OpenAI API key:',
+                mask: '*',
+                validate: (input) => {
+                    if (!input) return 'API key is required';
+                    if (!input.startsWith('sk-')) return 'OpenAI API keys start with "sk-"';
+                    if (input.length < 20) return 'API key seems too short';
+                    return true;
+                }
             }
-        },
-        {
-            type: 'list',
-            name: 'model',
-            message: 'Which OpenAI model would you like to use?',
-            choices: [
-                { name: 'GPT-4o (Recommended) - Latest multimodal model', value: 'gpt-4o' },
-                { name: 'GPT-4o Mini - Faster and cheaper for daily use', value: 'gpt-4o-mini' },
-                { name: 'GPT-4 Turbo - Previous generation, still excellent', value: 'gpt-4-turbo' },
-                { name: '⚠️  GPT-4.1 - Avoid (known tool execution issues)', value: 'gpt-4.1', disabled: true }
-            ].filter(choice => !choice.disabled),
-            default: 'gpt-4o'
-        }
-    ]);
+        ]);
+        const model = await askModel('providers.openai', 'openai', 'Which OpenAI model would you like to use?', { apiKey });
+        return { apiKey, model };
+    });
 
-    // Test the API key
-    console.log(chalk.gray('Testing API key...'));
-    const isValid = await testOpenAIAPI(answers.apiKey, answers.model);
-    
-    if (!isValid) {
-        console.log(chalk.red('❌ API key test failed. Please check your key and try again.'));
+    if (!answers) {
+        console.log(chalk.yellow('⏭️  Skipping OpenAI. You can add it later with: openclaw-setup add-provider openai'));
         return null;
     }
-
-    console.log(chalk.green('✅ OpenAI API key validated successfully!'));
+    if (answers.verified) {
+        console.log(chalk.green('✅ OpenAI API key validated successfully!'));
+    }
 
     return {
         name: 'openai',
@@ -236,18 +250,96 @@ async function configureOpenAI(isPrimary) {
     };
 }
 
+/**
+ * Configure Azure OpenAI (an endpoint, a deployment and an api-version instead of a model)
+ */
+async function configureAzureOpenAI(isPrimary) {
+    console.log(chalk.gray('Azure OpenAI serves GPT models from deployments in your Azure subscription.'));
+    console.log(chalk.gray('The endpoint and keys are under "Keys and Endpoint" of your Azure OpenAI resource.'));
+    console.log('');
+
+    const answers = await askVerifiedCredentials('providers.azure-openai', 'azure-openai', async () => {
+        const { endpoint, apiKey, deployment, apiVersion } = await ask('providers.azure-openai', [
+            {
+                type: 'input',
+                name: 'endpoint',
+                message: 'Endpoint (e.g. https://my-resource.openai.azure.com):',
+                filter: (input) => input.trim().replace(/\/+$/, ''),
+                validate: (input) => {
+                    try {
+                        return new URL(input).protocol === 'https:' ? true : 'Azure endpoints use https://';
+                    } catch {
+                        return 'Please enter a valid URL';
+                    }
+                }
+            },
+            {
+                type: 'password',
+                name: 'apiKey',
+                envVar: 'AZURE_OPENAI_API_KEY',
+                message: 'API key:',
+                mask: '*',
+                validate: (input) => {
+                    if (!input) return 'API key is required';
+                    if (input.length < 20) return 'API key seems too short';
+                    return true;
+                }
+            },
+            {
+                type: 'input',
+                name: 'deployment',
+                message: 'Deployment name (the name you gave the model deployment):',
+                validate: (input) => input ? true : 'Deployment name is required'
+            },
+            {
+                type: 'input',
+                name: 'apiVersion',
+                message: 'API version:',
+                default: getCatalogProvider('azure-openai').apiVersion,
+                filter: (input) => input.trim(),
+                validate: (input) => typeof input === 'string' && AZURE_API_VERSION.test(input)
+                    ? true
+                    : 'API versions look like 2024-10-21 or 2025-01-01-preview'
+            }
+        ]);
+        // The probe sends the deployment name where other providers take the model
+        return { apiKey, baseUrl: endpoint, model: deployment, apiVersion };
+    });
+
+    if (!answers) {
+        console.log(chalk.yellow('⏭️  Skipping Azure OpenAI. You can add it later with: openclaw-setup add-provider azure-openai'));
+        return null;
+    }
+    if (answers.verified) {
+        console.log(chalk.green(`✅ Azure OpenAI deployment ${answers.model} answered successfully!`));
+    }
+
+    return {
+        name: 'azure-openai',
+        type: 'azure-openai',
+        apiKey: answers.apiKey,
+        baseUrl: answers.baseUrl,
+        model: answers.model,
+        deployment: answers.model,
+        apiVersion: answers.apiVersion,
+        isPrimary,
+        enabled: true
+    };
+}
+
 /**
  * Configure OpenRouter
  */
 async function configureOpenRouter(isPrimary) {
     console.log(chalk.gray('OpenRouter provides access to many AI models through a single API.'));
-    console.log(chalk.gray('Get your API key from: https://openrouter.ai/keys'));
+    console.log(chalk.gray(`Get your API key from: ${getCatalogProvider('openrouter').keyUrl}`));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('providers.openrouter', [
         {
             type: 'password',
             name: 'apiKey',
+            envVar: 'OPENROUTER_API_KEY',
             message: 'Enter your OpenRouter API key:',
             mask: '*',
             validate: (input) => {
@@ -255,19 +347,9 @@ async function configureOpenRouter(isPrimary) {
                 if (input.length < 20) return 'API key seems too short';
                 return true;
             }
-        },
-        {
-            type: 'list',
-            name: 'model',
-            message: 'Which model would you like to use?',
-            choices: [
-                { name: 'Anthropic Claude 3.5 Sonnet', value: 'anthropic/claude-3.5-sonnet' },
-                { name: 'OpenAI GPT-4o', value: 'openai/gpt-4o' },
-                { name: 'Meta Llama 3.1 70B', value: 'meta-llama/llama-3.1-70b-instruct' },
-                { name: 'Google Gemini Pro 1.5', value: 'google/gemini-pro-1.5' }
-            ]
         }
     ]);
+    answers.model = await askModel('providers.openrouter', 'openrouter', 'Which model would you like to use?', { apiKey: answers.apiKey });
 
     return {
         name: 'openrouter',
@@ -280,20 +362,66 @@ async function configureOpenRouter(isPrimary) {
     };
 }
 
+/**
+ * Configure an OpenAI-compatible vendor from the catalog (Mistral, Groq, DeepSeek, Together, Nvidia NIM)
+ */
+async function configureCompatibleVendor(providerType, isPrimary) {
+    const provider = getCatalogProvider(providerType);
+    const scope = `providers.${providerType}`;
+
+    console.log(chalk.gray(`${provider.displayName}: ${provider.description}.`));
+    console.log(chalk.gray(`Get your API key from: ${provider.keyUrl}`));
+    getAvoidedModels(providerType).forEach(model => console.log(chalk.yellow(`⚠️  Not offered: ${model}`)));
+    console.log('');
+
+    const answers = await askVerifiedCredentials(scope, providerType, async () => {
+        const { apiKey } = await ask(scope, [
+            {
+                type: 'password',
+                name: 'apiKey',
+                envVar: getProviderEnvVar({ type: providerType, name: providerType }),
+                message: `Enter your ${provider.displayName} API key:`,
+                mask: '*',
+                validate: (input) => input ? checkKeyFormat(providerType, input) : 'API key is required'
+            }
+        ]);
+        const model = await askModel(scope, providerType, `Which ${provider.displayName} model would you like to use?`, { apiKey });
+        return { apiKey, model };
+    });
+
+    if (!answers) {
+        console.log(chalk.yellow(`⏭️  Skipping ${provider.displayName}. You can add it later with: openclaw-setup add-provider ${providerType}`));
+        return null;
+    }
+    if (answers.verified) {
+        console.log(chalk.green(`✅ ${provider.displayName} API key validated successfully!`));
+    }
+
+    return {
+        name: providerType,
+        type: providerType,
+        apiKey: answers.apiKey,
+        model: answers.model,
+        baseUrl: `${provider.apiBaseUrl}/v1`,
+        isPrimary,
+        enabled: true
+    };
+}
+
 /**
  * Configure local Ollama
  */
-async function configureOllama(isPrimary) {
+async function configureOllama(isPrimary, systemInfo) {
     console.log(chalk.gray('Ollama runs AI models locally on your hardware.'));
     console.log(chalk.gray('Visit: https://ollama.ai/ to download and install Ollama first.'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const { baseUrl } = await ask('providers.ollama', [
         {
             type: 'input',
             name: 'baseUrl',
             message: 'Enter Ollama server URL:',
-            default: 'http://localhost:11434',
+            default: DEFAULT_OLLAMA_URL,
             validate: (input) => {
                 try {
                     new URL(input);
@@ -302,41 +430,112 @@ async function configureOllama(isPrimary) {
                     return 'Please enter a valid URL';
                 }
             }
-        },
-        {
-            type: 'list',
-            name: 'model',
-            message: 'Which local model would you like to use?',
-            choices: [
-                { name: 'Llama 3.1 8B (Recommended) - Good balance of speed and quality', value: 'llama3.1:8b' },
-                { name: 'Llama 3.1 70B - Highest quality, requires powerful hardware', value: 'llama3.1:70b' },
-                { name: 'Qwen 2.5 7B - Fast and efficient', value: 'qwen2.5:7b' },
-                { name: 'Custom model name', value: 'custom' }
-            ]
         }
     ]);
 
-    let modelName = answers.model;
-    if (answers.model === 'custom') {
-        const { customModel } = await inquirer.prompt([{
-            type: 'input',
-            name: 'customModel',
-            message: 'Enter the model name:',
-            validate: (input) => input ? true : 'Model name is required'
-        }]);
-        modelName = customModel;
-    }
+    const { model: modelName } = await askOllamaModel('providers.ollama', {
+        baseUrl,
+        message: 'Which local model would you like to use?',
+        allowCustom: true,
+        systemInfo
+    });
 
     return {
         name: 'ollama',
         type: 'ollama',
-        baseUrl: answers.baseUrl,
+        baseUrl,
         model: modelName,
         isPrimary,
         enabled: true
     };
 }
 
+/**
+ * Configure a local OpenAI-compatible server (LM Studio, llama.cpp, vLLM, LocalAI)
+ */
+async function configureLocalServer(isPrimary) {
+    console.log(chalk.gray('Use a model served by LM Studio, llama.cpp, vLLM, LocalAI or another OpenAI-compatible server on this machine.'));
+    console.log(chalk.gray('🔍 Looking for local servers on the usual ports...'));
+
+    const detected = await detectLocalServers();
+    if (detected.length === 0) {
+        console.log(chalk.yellow('ℹ️  No local server answered on ports 1234, 8000 or 8080 - enter its URL below.'));
+    }
+    detected.forEach(server => {
+        const models = server.requiresKey ? 'needs an API key' : `${server.models.length} model${server.models.length === 1 ? '' : 's'}`;
+        console.log(chalk.green(`✅ ${server.name} at ${server.baseUrl} (${models})`));
+    });
+    console.log('');
+
+    const { baseUrl } = await ask('providers.local-server', [
+        {
+            type: 'input',
+            name: 'baseUrl',
+            message: 'Local server URL:',
+            default: detected[0]?.baseUrl || 'http://localhost:1234/v1',
+            validate: (input) => {
+                try {
+                    new URL(input);
+                    return true;
+                } catch {
+                    return 'Please enter a valid URL';
+                }
+            }
+        }
+    ]);
+
+    let server = detected.find(entry => entry.baseUrl === baseUrl.replace(/\/+$/, '')) || await probeLocalServer(baseUrl);
+    let apiKey;
+    if (server?.requiresKey) {
+        ({ apiKey } = await ask('providers.local-server', [
+            {
+                type: 'password',
+                name: 'apiKey',
+                envVar: 'LOCAL_SERVER_API_KEY',
+                message: 'The server asks for an API key:',
+                mask: '*',
+                validate: (input) => input ? true : 'API key is required'
+            }
+        ]));
+        server = await probeLocalServer(baseUrl, apiKey);
+    }
+
+    if (!server) {
+        console.log(chalk.yellow(`⚠️  No OpenAI-compatible server answered at ${baseUrl} - start it before using OpenClaw.`));
+    } else if (server.requiresKey) {
+        console.log(chalk.yellow(`⚠️  ${baseUrl} rejected the API key - check it before using OpenClaw.`));
+    } else {
+        console.log(chalk.green(`✅ Found ${server.name}`));
+    }
+
+    // Offer the models the server has (loaded ones first); type the name when it has none
+    const models = server?.models || [];
+    const question = models.length > 0
+        ? {
+            type: 'list',
+            name: 'model',
+            message: 'Which model would you like to use?',
+            choices: models.map(model => ({
+                name: `${model.id}${model.loaded ? '' : chalk.gray(' (not loaded)')}`,
+                value: model.id,
+                short: model.id
+            }))
+        }
+        : { type: 'input', name: 'model', message: 'Model name:', validate: (input) => input ? true : 'Model name is required' };
+    const { model } = await ask('providers.local-server', [question]);
+
+    return {
+        name: server?.backend || 'local-server',
+        type: 'local-server',
+        baseUrl: server?.baseUrl || baseUrl,
+        apiKey,
+        model,
+        displayName: server?.name || 'Local server',
+        isPrimary,
+        enabled: true
+    };
+}
+
 /**
  * Configure custom provider
  */
@@ -344,7 +543,7 @@ async function configureCustomProvider(isPrimary) {
     console.log(chalk.gray('Configure a custom OpenAI-compatible API provider.'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('providers.custom', [
         {
             type: 'input',
             name: 'name',
@@ -367,16 +566,12 @@ async function configureCustomProvider(isPrimary) {
         {
             type: 'password',
             name: 'apiKey',
+            envVar: 'CUSTOM_PROVIDER_API_KEY',
             message: 'API key:',
             mask: '*'
-        },
-        {
-            type: 'input',
-            name: 'model',
-            message: 'Model name:',
-            validate: (input) => input ? true : 'Model name is required'
         }
     ]);
+    answers.model = await askModel('providers.custom', 'custom', 'Model name:', { apiKey: answers.apiKey, baseUrl: answers.baseUrl });
 
     return {
         name: answers.name.toLowerCase().replace(/\s+/g, '-'),
@@ -391,66 +586,32 @@ async function configureCustomProvider(isPrimary) {
 }
 
 /**
- * Test Anthropic API key
+ * Ask for a model, offering the ones the key can use according to the provider's
+ * model list (the catalog choices when the list can't be fetched)
  */
-async function testAnthropicAPI(apiKey, model) {
-    try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: model,
-                max_tokens: 10,
-                messages: [{ role: 'user', content: 'Hello' }]
-            })
-        });
+async function askModel(scope, providerType, message, credentials) {
+    console.log(chalk.gray('Fetching the models available to your key...'));
+    const liveModels = await fetchModelList(providerType, credentials);
+    const { choices, default: defaultModel, source } = getLiveModelChoices(providerType, liveModels);
 
-        return response.ok;
-    } catch (error) {
-        return false;
+    if (source === 'static' && choices.length > 0) {
+        console.log(chalk.yellow('⚠️  Could not fetch the model list - showing the recommended models instead.'));
     }
-}
 
-/**
- * Test OpenAI API key
- */
-async function testOpenAIAPI(apiKey, model) {
-    try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: model,
-                max_tokens: 5,
-                messages: [{ role: 'user', content: 'Hi' }]
-            })
-        });
+    // Nothing to choose from (a custom provider that doesn't list its models): type the name
+    const question = choices.length > 0
+        ? { type: 'list', name: 'model', message, choices, default: defaultModel }
+        : { type: 'input', name: 'model', message, validate: (input) => input ? true : 'Model name is required' };
 
-        return response.ok;
-    } catch (error) {
-        return false;
-    }
+    const { model } = await ask(scope, [question]);
+    return model;
 }
 
 /**
  * Get display name for provider type
  */
-function getProviderDisplayName(providerType) {
-    switch (providerType) {
-        case 'anthropic': return 'Anthropic Claude';
-        case 'openai': return 'OpenAI GPT';
-        case 'openrouter': return 'OpenRouter';
-        case 'ollama': return 'Local Models (Ollama)';
-        case 'custom': return 'Custom Provider';
-        default: return providerType;
-    }
+export function getProviderDisplayName(providerType) {
+    return getProviderName(providerType);
 }
 
 /**
@@ -460,26 +621,26 @@ function displaySmartRecommendations(subscriptionInfo, systemInfo) {
     console.log(chalk.blue.bold('💡 Smart Recommendations Based on Your Setup:'));
     console.log('');
 
+    const recommended = getModelRecommendations(subscriptionInfo, systemInfo || {});
+
     switch (subscriptionInfo.subscriptionType) {
         case 'claude-subscription':
             console.log(chalk.green('✅ Perfect! You have Claude Pro/Max'));
-            console.log(chalk.white('• Recommended: Use Claude 3.5 Sonnet for daily tasks'));
-            console.log(chalk.white('• Consider: Claude 3 Opus for onboarding/complex tasks'));
+            console.log(chalk.white(`• Recommended: Use ${getModelName(recommended.primary)} for daily tasks`));
+            console.log(chalk.white(`• Consider: ${getModelName(recommended.onboarding)} for onboarding/complex tasks`));
             console.log(chalk.yellow('• Note: Use API for better OpenClaw integration'));
             break;
 
         case 'chatgpt-subscription':
             console.log(chalk.green('✅ Great! You have ChatGPT Plus/Pro/Max'));
-            console.log(chalk.white('• Recommended: GPT-4o for balanced performance'));
-            console.log(chalk.white('• Consider: GPT-4o Mini for frequent daily use'));
-            console.log(chalk.red('• ⚠️  Avoid: GPT-4.1 (known tool execution issues)'));
+            console.log(chalk.white(`• Recommended: ${getModelName(recommended.primary)} for balanced performance`));
             break;
 
         case 'api-keys':
             console.log(chalk.green('✅ Excellent! Direct API access'));
-            console.log(chalk.white('• Primary: Claude 3.5 Sonnet (best balance)'));
-            console.log(chalk.white('• Onboarding: Claude 3 Opus (highest quality)'));
-            console.log(chalk.white('• Daily: Claude 3.5 Haiku (faster, cheaper)'));
+            console.log(chalk.white(`• Primary: ${getModelName(recommended.primary)} (best balance)`));
+            console.log(chalk.white(`• Onboarding: ${getModelName(recommended.onboarding)} (highest quality)`));
+            console.log(chalk.white(`• Daily: ${getModelName(recommended.fallback)} (faster, cheaper)`));
             break;
 
         case 'developer-tools':
@@ -490,21 +651,26 @@ function displaySmartRecommendations(subscriptionInfo, systemInfo) {
 
         case 'free-only':
             console.log(chalk.yellow('ℹ️  Free tier setup - great for getting started!'));
-            console.log(chalk.white('• Primary: Kimi K2.5 (free via Nvidia)'));
-            console.log(chalk.white('• Fallback: Google Gemini Flash'));
+            console.log(chalk.white(`• Primary: ${getModelName(recommended.primary)}`));
+            console.log(chalk.white(`• Fallback: ${getModelName(recommended.fallback)}`));
             if (systemInfo?.capabilities?.canRunLocal) {
                 console.log(chalk.white('• Bonus: Local models with your hardware'));
             }
             break;
     }
 
+    // Models the catalog marks "avoid" for this kind of setup
+    (getCatalogRecommendations(subscriptionInfo.subscriptionType).avoid || [])
+        .flatMap(getAvoidedModels)
+        .forEach(model => console.log(chalk.red(`• ⚠️  Avoid: ${model}`)));
+
     // Hardware-specific recommendations
     if (systemInfo?.capabilities?.recommendLocal) {
         console.log('');
         console.log(chalk.cyan('🏠 Local AI Recommendation:'));
         console.log(chalk.white('• Your hardware can run local models efficiently'));
         console.log(chalk.white('• Consider Ollama for privacy and offline use'));
-        console.log(chalk.white('• Suggested: Llama 3.1 8B or Qwen 2.5 7B'));
+        console.log(chalk.white(`• Suggested: ${getAvailableModels('ollama', { memoryGB: systemInfo.memory?.total }).slice(0, 2).map(model => model.name).join(' or ')}`));
     } else if (systemInfo?.capabilities?.canRunLocal) {
         console.log('');
         console.log(chalk.yellow('💻 Limited Local AI:'));
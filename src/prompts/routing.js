@@ -0,0 +1,160 @@
+/**
+ * Model Tiers - Assign the configured models to the primary, fallback and onboarding tiers
+ *
+ * The primary model handles everyday requests, the fallback chain is tried in
+ * order when it fails, and the onboarding model handles the first, more
+ * demanding conversations. The subscription-based recommendations from
+ * getModelRecommendations are offered as the defaults.
+ */
+
+import chalk from 'chalk';
+import { ask } from '../utils/prompt.js';
+import { getModelRecommendations } from './subscription.js';
+
+/**
+ * Let the user place each configured provider in a tier
+ *
+ * @param {Array<Object>} providers - Providers from the provider step
+ * @returns {Promise<{primary: string, fallback: string[], onboarding: string}|null>} Provider names per tier, or null without providers
+ */
+export async function modelTiersFlow(providers, subscriptionInfo, systemInfo) {
+    const recommended = getRecommendedTiers(providers, subscriptionInfo, systemInfo);
+    if (!recommended || providers.length === 1) {
+        return recommended;
+    }
+
+    console.log('');
+    console.log(chalk.white.bold('🎚️  Model Tiers'));
+    console.log(chalk.gray('Requests go to the primary model; if it fails, the fallbacks are tried in order.'));
+    console.log('');
+    console.log(chalk.white(`   Primary:    ${recommended.primary}`));
+    console.log(chalk.white(`   Fallback:   ${recommended.fallback.join(' → ') || 'none'}`));
+    console.log(chalk.white(`   Onboarding: ${recommended.onboarding}`));
+    console.log('');
+
+    const { useRecommended } = await ask('routing', [{
+        type: 'confirm',
+        name: 'useRecommended',
+        message: 'Use these model tiers?',
+        default: true
+    }]);
+
+    if (useRecommended) {
+        return recommended;
+    }
+
+    const choices = providers.map(provider => ({ name: `${provider.name} (${provider.model})`, value: provider.name }));
+
+    const { primary } = await ask('routing', [{
+        type: 'list',
+        name: 'primary',
+        message: 'Primary model (handles everyday requests):',
+        choices,
+        default: recommended.primary
+    }]);
+
+    const { fallback: picked } = await ask('routing', [{
+        type: 'checkbox',
+        name: 'fallback',
+        message: 'Fallback models (you choose the order they are tried in next):',
+        choices: orderBy(choices.filter(choice => choice.value !== primary), recommended.fallback)
+            .map(choice => ({ ...choice, checked: recommended.fallback.includes(choice.value) }))
+    }]);
+    const fallback = await askFallbackOrder(orderBy(picked, recommended.fallback), choices);
+
+    const { onboarding } = await ask('routing', [{
+        type: 'list',
+        name: 'onboarding',
+        message: 'Onboarding model (first conversations and setup help):',
+        choices,
+        default: recommended.onboarding
+    }]);
+
+    return { primary, fallback, onboarding };
+}
+
+/**
+ * Ask which fallback is tried first, second, ... until one is left
+ *
+ * Answers files give them as `routing.fallback1`, `routing.fallback2`, ...
+ *
+ * @param {string[]} picked - Chosen fallbacks, recommended ones first (the defaults)
+ * @param {Array<Object>} choices - Provider choices
+ * @returns {Promise<string[]>} The fallback chain, first to last
+ */
+async function askFallbackOrder(picked, choices) {
+    const ordered = [];
+    const remaining = [...picked];
+
+    while (remaining.length > 1) {
+        const position = ordered.length + 1;
+        const name = `fallback${position}`;
+        const { [name]: next } = await ask('routing', [{
+            type: 'list',
+            name,
+            message: position === 1
+                ? 'Fallback 1 (tried first when the primary fails):'
+                : `Fallback ${position} (tried when fallback ${position - 1} fails too):`,
+            choices: choices.filter(choice => remaining.includes(choice.value)),
+            default: remaining[0]
+        }]);
+        ordered.push(next);
+        remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return [...ordered, ...remaining];
+}
+
+/**
+ * Tiers to use without asking: the recommendations, matched to the configured providers
+ *
+ * @returns {{primary: string, fallback: string[], onboarding: string}|null}
+ */
+export function getRecommendedTiers(providers, subscriptionInfo, systemInfo) {
+    if (!providers || providers.length === 0) {
+        return null;
+    }
+
+    const recommendations = subscriptionInfo
+        ? getModelRecommendations(subscriptionInfo, systemInfo || {})
+        : {};
+
+    // The provider the user picked as primary beats the recommendation
+    const primary = providers.find(provider => provider.isPrimary)
+        || findProvider(providers, recommendations.primary)
+        || providers[0];
+    const recommendedFallback = findProvider(providers, recommendations.fallback);
+    const fallback = orderBy(
+        providers.filter(provider => provider !== primary),
+        recommendedFallback ? [recommendedFallback.name] : [],
+        provider => provider.name
+    ).map(provider => provider.name);
+    const onboarding = findProvider(providers, recommendations.onboarding) || primary;
+
+    return { primary: primary.name, fallback, onboarding: onboarding.name };
+}
+
+/**
+ * Find the provider a recommendation refers to (by provider name or model id)
+ */
+function findProvider(providers, recommendation) {
+    if (!recommendation) {
+        return null;
+    }
+    return providers.find(provider =>
+        provider.name === recommendation ||
+        provider.model === recommendation ||
+        provider.model?.endsWith(`/${recommendation}`)
+    ) || null;
+}
+
+/**
+ * Sort items so the preferred names come first (keeping the rest in their order)
+ */
+function orderBy(items, preferred, getName = item => item.value ?? item) {
+    const rank = item => {
+        const index = preferred.indexOf(getName(item));
+        return index === -1 ? preferred.length : index;
+    };
+    return [...items].sort((a, b) => rank(a) - rank(b));
+}
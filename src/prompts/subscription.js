@@ -3,10 +3,14 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
+import { ask } from '../utils/prompt.js';
+import { getCatalogRecommendations, getAvoidedModels } from '../providers/catalog.js';
 
 /**
  * Detect user's AI subscription status and provide appropriate routing
+ *
+ * Asks again until the user accepts the suggested route. In answers mode the
+ * prompt adapter stops a declined route from being asked forever.
  */
 export async function subscriptionDetectionFlow() {
     console.log('');
@@ -14,7 +18,23 @@ export async function subscriptionDetectionFlow() {
     console.log(chalk.gray('Let\'s understand your current AI setup to provide the best recommendations.'));
     console.log('');
 
-    const { currentUsage } = await inquirer.prompt([
+    for (;;) {
+        const { currentUsage, routingInfo, proceedWithRoute } = await askSubscriptionRoute();
+        if (proceedWithRoute) {
+            return {
+                subscriptionType: currentUsage,
+                routing: routingInfo
+            };
+        }
+        console.log(chalk.yellow('\nLet\'s try a different approach...'));
+    }
+}
+
+/**
+ * Ask how the user uses AI, show the matching route and ask whether it works for them
+ */
+async function askSubscriptionRoute() {
+    const { currentUsage } = await ask('subscription', [
         {
             type: 'list',
             name: 'currentUsage',
@@ -56,7 +76,7 @@ export async function subscriptionDetectionFlow() {
     displayRoutingInfo(currentUsage, routingInfo);
 
     // Get confirmation to proceed
-    const { proceedWithRoute } = await inquirer.prompt([
+    const { proceedWithRoute } = await ask('subscription', [
         {
             type: 'confirm',
             name: 'proceedWithRoute',
@@ -65,16 +85,7 @@ export async function subscriptionDetectionFlow() {
         }
     ]);
 
-    if (!proceedWithRoute) {
-        console.log(chalk.yellow('\nLet\'s try a different approach...'));
-        // Recursive call to allow user to choose different option
-        return await subscriptionDetectionFlow();
-    }
-
-    return {
-        subscriptionType: currentUsage,
-        routing: routingInfo
-    };
+    return { currentUsage, routingInfo, proceedWithRoute };
 }
 
 /**
@@ -89,7 +100,8 @@ function getRoutingInfo(subscriptionType) {
                 recommendedPath: 'proxy-setup',
                 warnings: [
                     'ChatGPT subscriptions don\'t include API access',
-                    'We\'ll help you set up API proxying through your subscription'
+                    'We\'ll set up a local bridge that signs in with your subscription and serves it as an API',
+                    'Using a subscription this way may break OpenAI\'s terms - the next step explains the risk'
                 ],
                 benefits: [
                     'Use your existing ChatGPT Plus/Pro/Max subscription',
@@ -105,11 +117,12 @@ function getRoutingInfo(subscriptionType) {
                 recommendedPath: 'proxy-setup',
                 warnings: [
                     'Claude Pro/Max subscriptions don\'t include direct API access',
-                    'We\'ll help you set up web interface proxying'
+                    'We\'ll set up a local bridge that signs in with your subscription and serves it as an API',
+                    'Using a subscription this way may break Anthropic\'s terms - the next step explains the risk'
                 ],
                 benefits: [
                     'Leverage your existing Claude subscription',
-                    'Access to Claude 3 Opus and Sonnet',
+                    'Access to Claude Opus and Sonnet',
                     'Cost-effective for high usage'
                 ]
             };
@@ -244,55 +257,25 @@ export function canUseLocalModels(subscriptionInfo, systemInfo) {
 }
 
 /**
- * Get model recommendations based on subscription
+ * Get model recommendations based on subscription (from the model catalog)
  */
 export function getModelRecommendations(subscriptionInfo, systemInfo) {
+    const catalogRecommendations = getCatalogRecommendations(subscriptionInfo.subscriptionType);
     const recommendations = {
-        primary: null,
-        fallback: null,
-        onboarding: null,
-        warnings: []
+        primary: catalogRecommendations.primary || null,
+        fallback: catalogRecommendations.fallback || null,
+        onboarding: catalogRecommendations.onboarding || null,
+        warnings: [
+            ...(catalogRecommendations.avoid || []).flatMap(providerId =>
+                getAvoidedModels(providerId).map(model => `Avoid ${model}`)),
+            ...(catalogRecommendations.notes || [])
+        ]
     };
     
-    switch (subscriptionInfo.subscriptionType) {
-        case 'claude-subscription':
-            recommendations.primary = 'claude-3-5-sonnet-20241022';
-            recommendations.onboarding = 'claude-3-opus-20240229';
-            recommendations.fallback = 'kimi-k25-free';
-            break;
-            
-        case 'chatgpt-subscription':
-            recommendations.primary = 'gpt-4o';
-            recommendations.onboarding = 'gpt-4o';  // No GPT-5 equivalent yet
-            recommendations.fallback = 'kimi-k25-free';
-            recommendations.warnings.push('Avoid GPT-4.1 due to known issues with tool execution');
-            break;
-            
-        case 'api-keys':
-            recommendations.primary = 'claude-3-5-sonnet-20241022';
-            recommendations.onboarding = 'claude-3-opus-20240229';
-            recommendations.fallback = 'claude-3-5-haiku-20241022';
-            recommendations.warnings.push('Claude Sonnet recommended as best balance of speed and intelligence');
-            break;
-            
-        case 'developer-tools':
-            recommendations.primary = 'gpt-4o';
-            recommendations.onboarding = 'gpt-4o';
-            recommendations.fallback = 'gpt-4o-mini';
-            break;
-            
-        case 'free-only':
-            recommendations.primary = 'kimi-k25-free';
-            recommendations.fallback = 'gemini-flash-free';
-            recommendations.onboarding = 'kimi-k25-free';
-            recommendations.warnings.push('Free models may be less reliable for complex tasks');
-            
-            // Add local option if hardware supports it
-            if (systemInfo.memory >= 16) {
-                recommendations.localOption = 'llama3.1:8b';
-            }
-            break;
+    // Add local option if hardware supports it
+    if (catalogRecommendations.local && systemInfo.memory >= 16) {
+        recommendations.localOption = catalogRecommendations.local;
     }
     
     return recommendations;
-}
\ No newline at end of file
+}
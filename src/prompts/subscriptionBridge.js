@@ -0,0 +1,255 @@
+/**
+ * Subscription Bridge Flow - Use a Claude Pro/Max or ChatGPT Plus/Pro plan through a local bridge
+ *
+ * Subscriptions have no API keys, so OpenClaw talks to a bridge on localhost
+ * that signs in with the subscription instead. The flow explains the vendor's
+ * terms first and only continues once they are acknowledged; then it installs
+ * the bridge, writes its config, signs in, starts it and checks that it
+ * answers before pointing the provider's baseUrl at it.
+ */
+
+import chalk from 'chalk';
+import { ask } from '../utils/prompt.js';
+import { isDryRun, runCommand } from '../utils/fileOps.js';
+import { getSubscriptionBridge, getModelChoices, getDefaultModel, getCatalogRecommendations } from '../providers/catalog.js';
+import {
+    isBridgeInstalled,
+    getInstallCommand,
+    writeBridgeConfig,
+    getLoginCommand,
+    getStartCommand,
+    startBridge,
+    waitForBridge
+} from '../providers/subscriptionBridge.js';
+
+/**
+ * Set up a subscription bridge for the detected subscription
+ *
+ * @param {Object} subscriptionInfo - subscriptionDetectionFlow result
+ * @returns {Promise<Array<Object>|null>} The bridge provider, or null to set up API keys instead
+ *   (no bridge for this subscription, or the terms were not accepted)
+ */
+export async function subscriptionBridgeFlow(subscriptionInfo) {
+    const bridge = getSubscriptionBridge(subscriptionInfo.subscriptionType);
+    if (!bridge) {
+        return null;
+    }
+    const { subscription } = bridge;
+
+    console.log('');
+    console.log(chalk.white.bold(`🔌 ${subscription.label} Setup`));
+    console.log(chalk.gray(`${subscription.label} plans don't come with API keys. ${bridge.name} (${bridge.homepage})`));
+    console.log(chalk.gray(`signs in with your ${subscription.vendor} account and serves it to OpenClaw as an API on this machine.`));
+    console.log('');
+
+    if (!await acceptTerms(bridge)) {
+        console.log(chalk.yellow('ℹ️  No bridge then - let\'s set up API keys instead.'));
+        return null;
+    }
+
+    let installed = isBridgeInstalled(bridge);
+    if (!installed) {
+        installed = await offerInstall(bridge);
+    }
+
+    const { configPath, baseUrl, apiKey } = writeBridgeConfig(bridge);
+    console.log(chalk.green(`✅ ${bridge.name} config written to ${configPath}`));
+
+    let started = false;
+    if (installed) {
+        const answers = await ask('subscriptionBridge', [
+            {
+                type: 'confirm',
+                name: 'signIn',
+                message: `Sign in to your ${subscription.label} account now? (opens your browser; skip if you already have)`,
+                default: true
+            },
+            {
+                type: 'confirm',
+                name: 'startBridge',
+                message: `Start ${bridge.name} in the background now?`,
+                default: true
+            }
+        ]);
+        if (answers.signIn) {
+            signIn(bridge, configPath);
+        }
+        if (answers.startBridge) {
+            started = start(bridge, configPath);
+        }
+    }
+
+    // Only wait for a bridge that was just started; otherwise one check is enough
+    console.log(chalk.gray(`🔍 Checking ${baseUrl}...`));
+    const status = await waitForBridge(baseUrl, apiKey, started && !isDryRun() ? 10000 : 0);
+    displayBridgeStatus(bridge, baseUrl, status);
+
+    const model = await askBridgeModel(bridge, subscriptionInfo.subscriptionType, status.models);
+    if (!status.running || !status.keyAccepted) {
+        displayRemainingSteps(bridge, configPath, installed);
+    }
+
+    return [{
+        name: subscriptionInfo.subscriptionType,
+        type: 'subscription-bridge',
+        baseUrl,
+        apiKey,
+        model,
+        displayName: `${subscription.label} via ${bridge.name}`,
+        isPrimary: true,
+        enabled: true
+    }];
+}
+
+/**
+ * Explain the vendor's terms and ask the user to acknowledge them (default: no)
+ */
+async function acceptTerms(bridge) {
+    const { subscription } = bridge;
+
+    console.log(chalk.yellow.bold(`⚠️  Before you continue: ${subscription.vendor}'s terms`));
+    console.log(chalk.yellow(`   ${subscription.terms}`));
+    console.log(chalk.yellow(`   Read them: ${subscription.termsUrl}`));
+    console.log(chalk.gray(`   ${bridge.name} is a third-party project, not made or endorsed by ${subscription.vendor} or OpenClaw.`));
+    console.log('');
+
+    const { acceptTerms } = await ask('subscriptionBridge', [
+        {
+            type: 'confirm',
+            name: 'acceptTerms',
+            message: `I understand the risk and want to use my ${subscription.label} plan through ${bridge.name}`,
+            default: false
+        }
+    ]);
+    return acceptTerms;
+}
+
+/**
+ * Offer to install the bridge, or explain how to when there is no install command for this platform
+ *
+ * @returns {Promise<boolean>} Whether the bridge is now installed
+ */
+async function offerInstall(bridge) {
+    const installCommand = getInstallCommand(bridge);
+    if (!installCommand) {
+        console.log(chalk.yellow(`ℹ️  ${bridge.name} is not installed, and there is no automatic install for ${process.platform}.`));
+        console.log(chalk.gray(`   Download a release from ${bridge.homepage}/releases and put ${bridge.command} on your PATH.`));
+        return false;
+    }
+
+    const { installBridge } = await ask('subscriptionBridge', [
+        {
+            type: 'confirm',
+            name: 'installBridge',
+            message: `${bridge.name} is not installed. Install it now (${installCommand})?`,
+            default: true
+        }
+    ]);
+    if (!installBridge) {
+        return false;
+    }
+
+    console.log(chalk.blue(`📦 Installing ${bridge.name}...`));
+    try {
+        runCommand(installCommand, { stdio: 'inherit' });
+    } catch (error) {
+        console.log(chalk.red(`❌ Failed to install ${bridge.name}: ${error.message}`));
+        console.log(chalk.gray(`   Install it by hand: ${installCommand}`));
+        return false;
+    }
+
+    if (!isDryRun() && !isBridgeInstalled(bridge)) {
+        console.log(chalk.yellow(`⚠️  ${bridge.command} is still not on your PATH - open a new terminal or check the install.`));
+        return false;
+    }
+    console.log(chalk.green(`✅ ${bridge.name} installed`));
+    return true;
+}
+
+/**
+ * Run the bridge's browser sign-in; a failure only means signing in later
+ */
+function signIn(bridge, configPath) {
+    const command = getLoginCommand(bridge, configPath);
+    console.log(chalk.blue(`🔑 Signing in: ${command}`));
+    try {
+        runCommand(command, { stdio: 'inherit' });
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Sign-in did not finish: ${error.message}`));
+        console.log(chalk.gray(`   Run it again later: ${command}`));
+    }
+}
+
+/**
+ * Start the bridge in the background
+ *
+ * @returns {boolean} Whether it was started
+ */
+function start(bridge, configPath) {
+    try {
+        const logPath = startBridge(bridge, configPath);
+        console.log(chalk.blue(`🚀 Started ${bridge.name} (log: ${logPath})`));
+        return true;
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not start ${bridge.name}: ${error.message}`));
+        return false;
+    }
+}
+
+/**
+ * Print whether the bridge answered on localhost
+ */
+function displayBridgeStatus(bridge, baseUrl, status) {
+    if (!status.running) {
+        console.log(chalk.yellow(`⚠️  ${bridge.name} is not answering at ${baseUrl} yet.`));
+    } else if (!status.keyAccepted) {
+        console.log(chalk.yellow(`⚠️  ${bridge.name} at ${baseUrl} rejected OpenClaw's client key - it may be running with another config.`));
+    } else {
+        console.log(chalk.green(`✅ ${bridge.name} is answering at ${baseUrl} (${status.models.length} model${status.models.length === 1 ? '' : 's'})`));
+    }
+}
+
+/**
+ * Ask for a model: the bridge's own list when it answered, the catalog's otherwise
+ */
+async function askBridgeModel(bridge, subscriptionType, served) {
+    const { provider, modelPrefix } = bridge.subscription;
+    const recommended = getCatalogRecommendations(subscriptionType).primary || getDefaultModel(provider);
+
+    // A bridge signed in to several accounts lists all their models; offer this subscription's
+    const models = served.filter(model => model.startsWith(modelPrefix));
+    const choices = models.length > 0
+        ? models.map(model => ({ name: model, value: model }))
+        : getModelChoices(provider);
+    const values = choices.map(choice => choice.value);
+
+    const { model } = await ask('subscriptionBridge', [
+        {
+            type: 'list',
+            name: 'model',
+            message: 'Which model would you like to use?',
+            choices,
+            default: values.find(value => value === recommended)
+                || values.find(value => value.startsWith(recommended))
+                || values[0]
+        }
+    ]);
+    return model;
+}
+
+/**
+ * Print what is left to do before the bridge can serve OpenClaw
+ */
+function displayRemainingSteps(bridge, configPath, installed) {
+    console.log('');
+    console.log(chalk.white('To finish setting up the bridge:'));
+    let step = 1;
+    if (!installed) {
+        const installCommand = getInstallCommand(bridge);
+        console.log(chalk.gray(`   ${step++}. Install ${bridge.name}: ${installCommand || `${bridge.homepage}/releases`}`));
+    }
+    console.log(chalk.gray(`   ${step++}. Sign in: ${getLoginCommand(bridge, configPath)}`));
+    console.log(chalk.gray(`   ${step++}. Start it: ${getStartCommand(bridge, configPath)}`));
+    console.log(chalk.gray(`   ${step}. Check it with: openclaw-setup validate`));
+    console.log('');
+}
@@ -3,7 +3,7 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
+import { ask } from '../utils/prompt.js';
 
 /**
  * Welcome flow - explains OpenClaw and gets user consent
@@ -28,7 +28,7 @@ export async function welcomeFlow() {
     console.log(chalk.green('Estimated time: 20-30 minutes'));
     console.log('');
 
-    const answers = await inquirer.prompt([
+    const answers = await ask('welcome', [
         {
             type: 'confirm',
             name: 'proceed',
@@ -45,7 +45,7 @@ export async function welcomeFlow() {
     console.log('');
     console.log(chalk.blue('Let me learn a bit about your preferences:'));
     
-    const preferences = await inquirer.prompt([
+    const preferences = await ask('welcome', [
         {
             type: 'list',
             name: 'experience',
@@ -0,0 +1,341 @@
+/**
+ * Model Catalog - Providers, models and recommendations from a versioned data file
+ *
+ * src/catalog/models.v<version>.json lists every provider the wizard offers, its
+ * models with their capabilities (tool use, vision, context window), prices in
+ * USD per million tokens, retirement dates and "avoid" notes, plus the free
+ * options, the subscription bridges (local proxies that sign in with a chat
+ * subscription) and per-subscription recommendations. Prompts and
+ * recommendations read from here instead of hard-coding model IDs.
+ *
+ * `--catalog <file>` loads a user catalog (JSON or YAML, same format) on top:
+ * providers, models, free options and subscription bridges are matched by id
+ * and their fields replaced, new ones are added, and each subscription type's
+ * recommendations are replaced field by field.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { readFile } from '../utils/fileOps.js';
+
+export const CATALOG_VERSION = 1;
+
+let catalog = null;
+
+/**
+ * Load a user catalog on top of the built-in one (null for the built-in catalog only)
+ *
+ * @param {string|null} [catalogFile] - Path of the override catalog
+ */
+export function setCatalogFile(catalogFile = null) {
+    catalog = loadBuiltInCatalog();
+    if (catalogFile) {
+        catalog = mergeCatalogs(catalog, loadCatalogFile(catalogFile));
+    }
+}
+
+/**
+ * The catalog in use
+ */
+export function getCatalog() {
+    if (!catalog) {
+        setCatalogFile();
+    }
+    return catalog;
+}
+
+/**
+ * Catalog entry for a provider type (anthropic, openai, ollama, ...)
+ */
+export function getCatalogProvider(providerId) {
+    const provider = getCatalog().providers[providerId];
+    if (!provider) {
+        throw new Error(`Provider "${providerId}" is not in the model catalog`);
+    }
+    return provider;
+}
+
+/**
+ * Provider types offered in the provider step, in catalog order
+ */
+export function getSelectableProviders() {
+    return Object.entries(getCatalog().providers)
+        .filter(([, provider]) => !provider.free)
+        .map(([id, provider]) => ({ id, ...provider }));
+}
+
+/**
+ * Check whether a provider speaks the OpenAI chat completions API at its `apiBaseUrl`
+ * (Mistral, Groq, DeepSeek, ...), so the shared setup prompt, model list and key test apply
+ */
+export function isOpenAICompatible(providerId) {
+    return getCatalog().providers[providerId]?.compatibleApi === 'openai';
+}
+
+/**
+ * Check an API key against the provider's `keyFormat`
+ *
+ * @returns {true|string} true, or what the provider's keys look like
+ */
+export function checkKeyFormat(providerId, apiKey) {
+    const keyFormat = getCatalog().providers[providerId]?.keyFormat;
+    if (!keyFormat || new RegExp(keyFormat.pattern).test(apiKey)) {
+        return true;
+    }
+    return keyFormat.message || `This doesn't look like a ${getProviderName(providerId)} API key`;
+}
+
+/**
+ * Display name of a provider type
+ */
+export function getProviderName(providerId) {
+    return getCatalog().providers[providerId]?.displayName || providerId;
+}
+
+/**
+ * Models that can still be chosen: not retired and not marked "avoid"
+ *
+ * @param {string} providerId
+ * @param {Object} [options]
+ * @param {number} [options.memoryGB] - Leave out local models that need more memory
+ */
+export function getAvailableModels(providerId, options = {}) {
+    return getCatalogProvider(providerId).models.filter(model =>
+        !isRetired(model) &&
+        !model.avoid &&
+        (options.memoryGB === undefined || !model.minMemoryGB || model.minMemoryGB <= options.memoryGB)
+    );
+}
+
+/**
+ * Recommended model of a provider (the first available one when none is flagged)
+ */
+export function getDefaultModel(providerId, options = {}) {
+    const models = getAvailableModels(providerId, options);
+    return (models.find(model => model.recommended) || models[0])?.id;
+}
+
+/**
+ * Prompt choices for a provider's models, recommended one first
+ *
+ * @returns {Array<{name: string, value: string, short: string}>}
+ */
+export function getModelChoices(providerId, options = {}) {
+    const models = getAvailableModels(providerId, options);
+    return [...models.filter(model => model.recommended), ...models.filter(model => !model.recommended)]
+        .map(model => ({
+            name: formatModelChoice(model),
+            value: model.id,
+            short: model.name
+        }));
+}
+
+/**
+ * Models of a provider marked "avoid", e.g. "GPT-4.1 (known tool execution issues)"
+ *
+ * @returns {string[]}
+ */
+export function getAvoidedModels(providerId) {
+    return getCatalogProvider(providerId).models
+        .filter(model => model.avoid)
+        .map(model => `${model.name} (${model.avoid})`);
+}
+
+/**
+ * Look up a model ID in every provider
+ *
+ * @returns {{providerId: string, model: Object}|null}
+ */
+export function findCatalogModel(modelId) {
+    for (const [providerId, provider] of Object.entries(getCatalog().providers)) {
+        const model = provider.models.find(entry => entry.id === modelId);
+        if (model) {
+            return { providerId, model };
+        }
+    }
+    return null;
+}
+
+/**
+ * Display name of a model ID or free provider name (kimi-k25-free), or the ID
+ * itself when the catalog doesn't know it
+ */
+export function getModelName(modelId) {
+    const freeOption = getFreeOptions().find(option => `${option.id}-free` === modelId);
+    return freeOption?.name || findCatalogModel(modelId)?.model.name || modelId;
+}
+
+/**
+ * Free services offered to users without a subscription
+ */
+export function getFreeOptions() {
+    return getCatalog().freeOptions;
+}
+
+/**
+ * First subscription bridge that supports a subscription type, or null
+ *
+ * @returns {{id: string, name: string, homepage: string, command: string, port: number, install: Object, subscription: Object}|null}
+ *   The bridge, with `subscription` set to its entry for the subscription type
+ */
+export function getSubscriptionBridge(subscriptionType) {
+    const bridge = (getCatalog().subscriptionBridges || []).find(entry => entry.subscriptions?.[subscriptionType]);
+    return bridge ? { ...bridge, subscription: bridge.subscriptions[subscriptionType] } : null;
+}
+
+/**
+ * Model recommendations for a subscription type
+ *
+ * @returns {{primary?: string, fallback?: string, onboarding?: string, local?: string, avoid?: string[], notes?: string[]}}
+ */
+export function getCatalogRecommendations(subscriptionType) {
+    return getCatalog().recommendations[subscriptionType] || {};
+}
+
+/**
+ * Check whether a model's retirement date has passed
+ */
+export function isRetired(model, now = new Date()) {
+    return Boolean(model.deprecated) && new Date(model.deprecated) <= now;
+}
+
+/**
+ * One-line summary of a model's capabilities and price
+ */
+export function describeModel(model) {
+    const details = [];
+    const capabilities = model.capabilities || {};
+
+    if (capabilities.contextWindow) {
+        details.push(`${formatTokens(capabilities.contextWindow)} context`);
+    }
+    if (capabilities.toolUse === false) {
+        details.push('no tool use');
+    }
+    if (capabilities.vision) {
+        details.push('vision');
+    }
+    if (model.pricing) {
+        details.push(model.pricing.input === 0 && model.pricing.output === 0
+            ? 'free'
+            : `$${model.pricing.input}/$${model.pricing.output} per 1M tokens`);
+    }
+    if (model.download) {
+        details.push(`${model.download} download`);
+    }
+
+    return details.join(', ');
+}
+
+/**
+ * Prompt label: name, recommendation, description, details and retirement note
+ */
+function formatModelChoice(model) {
+    let label = model.name;
+    if (model.recommended) {
+        label += ' (⭐ Recommended)';
+    }
+    if (model.description) {
+        label += ` - ${model.description}`;
+    }
+
+    const details = describeModel(model);
+    if (details) {
+        label += ` [${details}]`;
+    }
+    if (model.deprecated) {
+        label += ` ⚠️  retires ${model.deprecated}`;
+    }
+    return label;
+}
+
+/**
+ * 200000 → "200K", 1048576 → "1M"
+ */
+function formatTokens(tokens) {
+    if (tokens >= 1000000) {
+        return `${Math.round(tokens / 1000000)}M`;
+    }
+    return tokens >= 1000 ? `${Math.round(tokens / 1000)}K` : String(tokens);
+}
+
+/**
+ * The catalog shipped with the setup agent
+ */
+function loadBuiltInCatalog() {
+    const catalogUrl = new URL(`../catalog/models.v${CATALOG_VERSION}.json`, import.meta.url);
+    return JSON.parse(fs.readFileSync(catalogUrl, 'utf8'));
+}
+
+/**
+ * Read and check a user catalog
+ */
+function loadCatalogFile(catalogFile) {
+    const catalogPath = path.resolve(process.cwd(), catalogFile);
+    const content = readFile(catalogPath);
+    if (content === null) {
+        throw new Error(`Catalog file not found: ${catalogPath}`);
+    }
+
+    let override;
+    try {
+        override = yaml.load(content);
+    } catch (error) {
+        throw new Error(`${catalogPath} is not valid JSON or YAML: ${error.message}`);
+    }
+
+    if (!override || typeof override !== 'object') {
+        throw new Error(`${catalogPath} is empty or not a mapping`);
+    }
+    if (override.version !== CATALOG_VERSION) {
+        throw new Error(`${catalogPath} is catalog version ${override.version ?? '(missing)'}, but this setup agent reads version ${CATALOG_VERSION}`);
+    }
+
+    for (const [providerId, provider] of Object.entries(override.providers || {})) {
+        const invalid = (provider.models || []).find(model => typeof model?.id !== 'string');
+        if (invalid) {
+            throw new Error(`${catalogPath}: every model of providers.${providerId} needs an "id"`);
+        }
+    }
+
+    return override;
+}
+
+/**
+ * Apply a user catalog on top of the built-in one
+ */
+function mergeCatalogs(base, override) {
+    const providers = { ...base.providers };
+    for (const [providerId, provider] of Object.entries(override.providers || {})) {
+        const current = providers[providerId] || { displayName: providerId, models: [] };
+        providers[providerId] = {
+            ...current,
+            ...provider,
+            models: mergeById(current.models, provider.models || [])
+        };
+    }
+
+    return {
+        ...base,
+        updated: override.updated || base.updated,
+        providers,
+        freeOptions: mergeById(base.freeOptions, override.freeOptions || []),
+        subscriptionBridges: mergeById(base.subscriptionBridges || [], override.subscriptionBridges || []),
+        recommendations: Object.fromEntries(
+            [...new Set([...Object.keys(base.recommendations), ...Object.keys(override.recommendations || {})])]
+                .map(type => [type, { ...base.recommendations[type], ...override.recommendations?.[type] }])
+        )
+    };
+}
+
+/**
+ * Replace the fields of entries with the same id and append new entries
+ */
+function mergeById(entries, overrides) {
+    const merged = entries.map(entry => {
+        const override = overrides.find(item => item.id === entry.id);
+        return override ? { ...entry, ...override } : entry;
+    });
+    return [...merged, ...overrides.filter(item => !entries.some(entry => entry.id === item.id))];
+}
@@ -0,0 +1,314 @@
+/**
+ * Credential Probe - Test an API key or bot token and say exactly what is wrong
+ *
+ * Each probe makes one small request with the credential and turns the outcome
+ * into a typed result: the key works, the key is invalid, the account has no
+ * credit, the model doesn't exist for this key, the key is rate limited, the
+ * network or TLS failed, or the request timed out. Results carry the
+ * provider's own error message and a hint on how to fix it.
+ *
+ * API hosts come from `apiBaseUrl` in the model catalog, like the model lists.
+ */
+
+import { getCatalogProvider, getDefaultModel, getProviderName, isOpenAICompatible } from './catalog.js';
+import { httpFetch } from '../utils/http.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+export const PROBE_RESULTS = {
+    OK: 'ok',
+    INVALID_KEY: 'invalid-key',
+    INSUFFICIENT_CREDIT: 'insufficient-credit',
+    MODEL_NOT_FOUND: 'model-not-found',
+    RATE_LIMITED: 'rate-limited',
+    NETWORK_ERROR: 'network-error',
+    TIMEOUT: 'timeout',
+    PROVIDER_ERROR: 'provider-error'
+};
+
+const RESULT_LABELS = {
+    [PROBE_RESULTS.OK]: 'Key works',
+    [PROBE_RESULTS.INVALID_KEY]: 'Invalid key',
+    [PROBE_RESULTS.INSUFFICIENT_CREDIT]: 'Insufficient credit',
+    [PROBE_RESULTS.MODEL_NOT_FOUND]: 'Model not found',
+    [PROBE_RESULTS.RATE_LIMITED]: 'Rate limited',
+    [PROBE_RESULTS.NETWORK_ERROR]: 'Network error',
+    [PROBE_RESULTS.TIMEOUT]: 'Timed out',
+    [PROBE_RESULTS.PROVIDER_ERROR]: 'Provider error'
+};
+
+/**
+ * How each service is probed: the request to make, and which errors mean a bad credential
+ */
+const PROBES = {
+    anthropic: {
+        // A one-token message checks the key, the model and the account balance at once
+        usesModel: true,
+        request: ({ apiKey, model }, baseUrl) => ({
+            url: `${baseUrl}/v1/messages`,
+            method: 'POST',
+            headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+            body: { model, max_tokens: 1, messages: [{ role: 'user', content: 'Hi' }] }
+        })
+    },
+    openai: {
+        usesModel: true,
+        request: ({ apiKey, model }, baseUrl) => ({
+            url: `${baseUrl}/v1/chat/completions`,
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            body: { model, max_completion_tokens: 16, messages: [{ role: 'user', content: 'Hi' }] }
+        })
+    },
+    'azure-openai': {
+        // Azure routes on the deployment name (passed as the model) and takes the key in an api-key header
+        usesModel: true,
+        request: ({ apiKey, model, apiVersion }, baseUrl) => ({
+            url: `${baseUrl}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion || getCatalogProvider('azure-openai').apiVersion)}`,
+            method: 'POST',
+            headers: { 'api-key': apiKey },
+            body: { max_completion_tokens: 16, messages: [{ role: 'user', content: 'Hi' }] }
+        }),
+        hint: (type, { model }) => {
+            if (type === PROBE_RESULTS.MODEL_NOT_FOUND) {
+                return `There is no deployment named ${model} at this endpoint - check the deployment name under "Deployments" in Azure AI Foundry`;
+            }
+            if (type === PROBE_RESULTS.PROVIDER_ERROR) {
+                return 'Check the endpoint, deployment and api-version against your Azure OpenAI resource';
+            }
+            return null;
+        }
+    },
+    'google-ai': {
+        // Reading model metadata checks the key (and the model, if given) without using quota
+        request: ({ apiKey, model }, baseUrl) => ({
+            url: `${baseUrl}/v1beta/models${model ? `/${model}` : ''}?key=${encodeURIComponent(apiKey)}`,
+            method: 'GET'
+        }),
+        isInvalidKey: (status, error) => status === 400 && /api key not valid|API_KEY_INVALID/i.test(`${error.message} ${JSON.stringify(error.details || '')}`)
+    },
+    telegram: {
+        name: 'Telegram',
+        keyUrl: 'https://t.me/botfather',
+        request: ({ apiKey }, baseUrl) => ({
+            url: `${baseUrl}/bot${apiKey}/getMe`,
+            method: 'GET'
+        }),
+        defaultBaseUrl: 'https://api.telegram.org',
+        // The Bot API answers 404 for a token that doesn't belong to a bot
+        isInvalidKey: (status) => status === 404
+    }
+};
+
+/**
+ * Probe of the OpenAI-compatible vendors in the catalog (Mistral, Groq, DeepSeek, Together, Nvidia NIM)
+ */
+const OPENAI_COMPATIBLE_PROBE = {
+    usesModel: true,
+    request: ({ apiKey, model }, baseUrl) => ({
+        url: `${baseUrl}/v1/chat/completions`,
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: { model, max_tokens: 1, messages: [{ role: 'user', content: 'Hi' }] }
+    })
+};
+
+/**
+ * Test a credential against its service
+ *
+ * @param {string} service - anthropic, openai, azure-openai, google-ai, telegram or an OpenAI-compatible vendor from the catalog
+ * @param {Object} credentials
+ * @param {string} credentials.apiKey - API key or bot token
+ * @param {string} [credentials.model] - Model to test (Anthropic and OpenAI default to the catalog's recommended model; the deployment name for Azure)
+ * @param {string} [credentials.apiVersion] - Azure OpenAI api-version (default: the catalog's apiVersion)
+ * @param {string} [credentials.baseUrl] - API host (default: the catalog's apiBaseUrl)
+ * @returns {Promise<{ok: boolean, type: string, status: number|null, message: string, hint: string|null}>}
+ */
+export async function probeCredential(service, credentials) {
+    const probe = getProbe(service);
+    if (!probe) {
+        throw new Error(`No credential probe for "${service}"`);
+    }
+
+    const baseUrl = (credentials.baseUrl || probe.defaultBaseUrl || getCatalogProvider(service).apiBaseUrl).replace(/\/+$/, '');
+    const model = probe.usesModel ? credentials.model || getDefaultModel(service) : undefined;
+    const request = probe.request({ ...credentials, model }, baseUrl);
+    const context = { service, model, baseUrl };
+
+    let response;
+    try {
+        response = await httpFetch(request.url, {
+            method: request.method,
+            headers: {
+                'Accept': 'application/json',
+                ...(request.body ? { 'Content-Type': 'application/json' } : {}),
+                ...request.headers
+            },
+            body: request.body ? JSON.stringify(request.body) : undefined,
+            timeout: REQUEST_TIMEOUT_MS
+        });
+    } catch (error) {
+        return classifyRequestError(error, context, redactRequest(error.message, request.url, credentials.apiKey, baseUrl));
+    }
+
+    if (response.ok) {
+        return createResult(PROBE_RESULTS.OK, response.status, 'The key works', context);
+    }
+
+    let body = null;
+    try {
+        body = await response.json();
+    } catch {
+        // Not JSON (a proxy error page, say): the status code is all there is
+    }
+    return classifyErrorResponse(probe, response, body, context);
+}
+
+/**
+ * One line describing a failed probe, e.g. for validation warnings
+ *
+ * "Invalid key - invalid x-api-key. Check the key for typos or create a new one at ..."
+ */
+export function describeProbeResult(result) {
+    const message = result.message.replace(/\.+$/, '');
+    return `${RESULT_LABELS[result.type]} - ${message}${result.hint ? `. ${result.hint}` : ''}`;
+}
+
+/**
+ * Short label of a result type ("Invalid key", "Rate limited", ...)
+ */
+export function getProbeResultLabel(type) {
+    return RESULT_LABELS[type] || type;
+}
+
+/**
+ * Turn an HTTP error answer into a result
+ */
+function classifyErrorResponse(probe, response, body, context) {
+    const status = response.status;
+    const error = extractError(body);
+    const message = error.message || `HTTP ${status} ${response.statusText}`.trim();
+    const code = `${error.type || ''} ${error.code || ''} ${error.status || ''}`;
+
+    if (status === 401 || status === 403 || probe.isInvalidKey?.(status, error)) {
+        return createResult(PROBE_RESULTS.INVALID_KEY, status, message, context);
+    }
+    if (status === 402 || /insufficient_quota|billing/i.test(code) || /credit balance/i.test(message)) {
+        return createResult(PROBE_RESULTS.INSUFFICIENT_CREDIT, status, message, context);
+    }
+    if (status === 404 || /model_not_found/i.test(code) || /model.*(not found|does not exist)/i.test(message)) {
+        return createResult(PROBE_RESULTS.MODEL_NOT_FOUND, status, message, context);
+    }
+    if (status === 429) {
+        return createResult(PROBE_RESULTS.RATE_LIMITED, status, message, context);
+    }
+    if (status === 408 || status === 504) {
+        return createResult(PROBE_RESULTS.TIMEOUT, status, message, context);
+    }
+    return createResult(PROBE_RESULTS.PROVIDER_ERROR, status, message, context);
+}
+
+/**
+ * Turn a request that never got an answer into a result
+ *
+ * @param {string} message - The error message, without the request URL or key
+ */
+function classifyRequestError(error, context, message) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        return createResult(PROBE_RESULTS.TIMEOUT, null, `No answer from ${context.baseUrl} within ${REQUEST_TIMEOUT_MS / 1000}s`, context);
+    }
+
+    const code = error.code || '';
+    const result = createResult(PROBE_RESULTS.NETWORK_ERROR, null, message, context);
+    if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+        result.hint = `${new URL(context.baseUrl).hostname} could not be resolved - check your internet connection and DNS`;
+    } else if (code === 'ECONNREFUSED') {
+        result.hint = `Nothing is listening at ${context.baseUrl} - check the URL and that the server is running`;
+    } else if (/CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY/i.test(code)) {
+        result.hint = 'The TLS certificate was rejected - if a proxy or firewall inspects HTTPS, point NODE_EXTRA_CA_CERTS at its CA certificate';
+    }
+    return result;
+}
+
+/**
+ * Take the request URL out of an error message (Telegram puts the bot token in the
+ * path, Google the key in the query), and any other copy of the key
+ */
+function redactRequest(message, url, apiKey, baseUrl) {
+    let redacted = String(message).split(url).join(baseUrl);
+    if (apiKey) {
+        redacted = redacted.split(apiKey).join('****').split(encodeURIComponent(apiKey)).join('****');
+    }
+    return redacted;
+}
+
+/**
+ * Build a result with the remediation hint for its type
+ */
+function createResult(type, status, message, context) {
+    return {
+        ok: type === PROBE_RESULTS.OK,
+        type,
+        status,
+        message,
+        hint: getHint(type, context)
+    };
+}
+
+/**
+ * What the user can do about a result
+ */
+function getHint(type, { service, model }) {
+    const probe = getProbe(service);
+    const probeHint = probe.hint?.(type, { service, model });
+    if (probeHint) {
+        return probeHint;
+    }
+
+    const name = probe.name || getProviderName(service);
+    const keyUrl = probe.keyUrl || getCatalogProvider(service).keyUrl;
+
+    switch (type) {
+        case PROBE_RESULTS.INVALID_KEY:
+            return `Check the key for typos or create a new one at ${keyUrl}`;
+        case PROBE_RESULTS.INSUFFICIENT_CREDIT:
+            return `The key is valid, but the ${name} account has no credit - add credit or a payment method, then try again`;
+        case PROBE_RESULTS.MODEL_NOT_FOUND:
+            return `The key is valid, but it can't use ${model || 'this model'} - pick another model`;
+        case PROBE_RESULTS.RATE_LIMITED:
+            return 'The key is valid, but it is being rate limited - wait a minute and try again';
+        case PROBE_RESULTS.NETWORK_ERROR:
+            return 'Check your internet connection, proxy and firewall settings';
+        case PROBE_RESULTS.TIMEOUT:
+            return `${name} did not answer in time - check your connection or try again later`;
+        case PROBE_RESULTS.PROVIDER_ERROR:
+            return `${name} reported an error - try again later`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Probe for a service: its own, or the shared one of OpenAI-compatible vendors
+ */
+function getProbe(service) {
+    return PROBES[service] || (isOpenAICompatible(service) ? OPENAI_COMPATIBLE_PROBE : null);
+}
+
+/**
+ * The error object of the different API styles
+ *
+ * Anthropic/OpenAI: {error: {type|code, message}}, Google: {error: {status, message, details}},
+ * Telegram: {ok: false, description}, Mistral: {message}, Nvidia: {title, detail}
+ */
+function extractError(body) {
+    if (!body || typeof body !== 'object') {
+        return {};
+    }
+    if (body.error && typeof body.error === 'object') {
+        return body.error;
+    }
+    return {
+        message: typeof body.error === 'string' ? body.error : body.description || body.detail || body.message
+    };
+}
@@ -3,8 +3,12 @@
  */
 
 import chalk from 'chalk';
-import inquirer from 'inquirer';
-import fetch from 'node-fetch';
+import { ask, isNonInteractive } from '../utils/prompt.js';
+import { fetchModelList, getLiveModelChoices } from './modelList.js';
+import { askVerifiedCredentials } from '../prompts/credentials.js';
+import { getFreeOptions, getCatalogProvider, getModelChoices, getDefaultModel, checkKeyFormat } from './catalog.js';
+import { DEFAULT_OLLAMA_URL } from './ollama.js';
+import { askOllamaModel } from '../prompts/ollama.js';
 
 /**
  * Configure free AI models for users without subscriptions
@@ -27,7 +31,7 @@ export async function configureFreeModels(systemInfo) {
     }
 
     // Offer fallback model
-    const { wantFallback } = await inquirer.prompt([
+    const { wantFallback } = await ask('freeModels', [
         {
             type: 'confirm',
             name: 'wantFallback',
@@ -45,7 +49,7 @@ export async function configureFreeModels(systemInfo) {
 
     // Suggest local option if hardware supports it
     if (systemInfo.capabilities.canRunLocal) {
-        const { wantLocal } = await inquirer.prompt([
+        const { wantLocal } = await ask('freeModels', [
             {
                 type: 'confirm',
                 name: 'wantLocal',
@@ -55,7 +59,7 @@ export async function configureFreeModels(systemInfo) {
         ]);
 
         if (wantLocal) {
-            const localModel = await configureLocalModel(systemInfo);
+            const localModel = await configureLocalModel(systemInfo, 'freeModels.local');
             if (localModel) {
                 models.push(localModel);
             }
@@ -88,27 +92,17 @@ function displayFreeModelWarning() {
  * Select primary free model
  */
 async function selectPrimaryFreeModel(systemInfo) {
-    const { primaryChoice } = await inquirer.prompt([
+    const { primaryChoice } = await ask('freeModels', [
         {
             type: 'list',
             name: 'primaryChoice',
             message: 'Which free AI service would you like as your primary?',
             choices: [
-                {
-                    name: '🌟 Kimi K2.5 (via Nvidia NIM) - Recommended free option',
-                    value: 'kimi-k25',
-                    short: 'Kimi K2.5'
-                },
-                {
-                    name: '✨ Google Gemini Flash - Fast and capable',
-                    value: 'gemini-flash',
-                    short: 'Gemini Flash'
-                },
-                {
-                    name: '🤖 Hugging Face Transformers - Open source models',
-                    value: 'huggingface',
-                    short: 'Hugging Face'
-                },
+                ...getFreeOptions().map(option => ({
+                    name: `${option.icon} ${option.name} - ${option.description}`,
+                    value: option.id,
+                    short: option.name
+                })),
                 {
                     name: '🏠 Local only (Ollama) - Privacy focused',
                     value: 'local-only',
@@ -127,9 +121,12 @@ async function selectPrimaryFreeModel(systemInfo) {
             return await configureHuggingFace();
         case 'local-only':
             if (systemInfo.capabilities.canRunLocal) {
-                return await configureLocalModel(systemInfo);
+                return await configureLocalModel(systemInfo, 'freeModels.primary');
             } else {
                 console.log(chalk.red('❌ Local models require at least 8GB RAM. Please choose a cloud option.'));
+                if (isNonInteractive()) {
+                    throw new Error('Answer "freeModels.primaryChoice: local-only" needs at least 8GB RAM on this machine');
+                }
                 return await selectPrimaryFreeModel(systemInfo); // Recursive retry
             }
         default:
@@ -141,29 +138,19 @@ async function selectPrimaryFreeModel(systemInfo) {
  * Select fallback free model
  */
 async function selectFallbackFreeModel(excludeModel) {
-    const choices = [
-        {
-            name: '🌟 Kimi K2.5 (via Nvidia NIM)',
-            value: 'kimi-k25',
-            short: 'Kimi K2.5'
-        },
-        {
-            name: '✨ Google Gemini Flash',
-            value: 'gemini-flash',
-            short: 'Gemini Flash'
-        },
-        {
-            name: '🤖 Hugging Face Free Tier',
-            value: 'huggingface',
-            short: 'Hugging Face'
-        }
-    ].filter(choice => choice.value !== excludeModel);
+    const choices = getFreeOptions()
+        .map(option => ({
+            name: `${option.icon} ${option.name}`,
+            value: option.id,
+            short: option.name
+        }))
+        .filter(choice => choice.value !== excludeModel);
 
     if (choices.length === 0) {
         return null;
     }
 
-    const { fallbackChoice } = await inquirer.prompt([
+    const { fallbackChoice } = await ask('freeModels', [
         {
             type: 'list',
             name: 'fallbackChoice',
@@ -174,11 +161,11 @@ async function selectFallbackFreeModel(excludeModel) {
 
     switch (fallbackChoice) {
         case 'kimi-k25':
-            return await configureKimiK25(false);
+            return await configureKimiK25(false, 'freeModels.fallback');
         case 'gemini-flash':
-            return await configureGeminiFlash(false);
+            return await configureGeminiFlash(false, 'freeModels.fallback');
         case 'huggingface':
-            return await configureHuggingFace(false);
+            return await configureHuggingFace(false, 'freeModels.fallback');
         default:
             return null;
     }
@@ -187,12 +174,12 @@ async function selectFallbackFreeModel(excludeModel) {
 /**
  * Configure Kimi K2.5 via Nvidia NIM
  */
-async function configureKimiK25(isPrimary = true) {
+async function configureKimiK25(isPrimary = true, scope = 'freeModels.primary') {
     console.log(chalk.gray('Kimi K2.5 is available for free through Nvidia\'s NIM service.'));
-    console.log(chalk.gray('No API key required - just needs a free Nvidia account.'));
+    console.log(chalk.gray('It needs a free Nvidia API key - no payment details required.'));
     console.log('');
 
-    const { proceedKimi } = await inquirer.prompt([
+    const { proceedKimi } = await ask(scope, [
         {
             type: 'confirm',
             name: 'proceedKimi',
@@ -205,25 +192,57 @@ async function configureKimiK25(isPrimary = true) {
         return null;
     }
 
+    const { hasNvidiaKey } = await ask(scope, [
+        {
+            type: 'confirm',
+            name: 'hasNvidiaKey',
+            message: 'Do you already have an Nvidia API key (nvapi-...)?',
+            default: false
+        }
+    ]);
+
+    const option = getFreeOption('kimi-k25');
+    const provider = getCatalogProvider(option.provider);
+    let apiKey = null;
+    if (hasNvidiaKey) {
+        const credentials = await askVerifiedCredentials(scope, option.provider, async () => {
+            const { nvidiaKey } = await ask(scope, [
+                {
+                    type: 'password',
+                    name: 'nvidiaKey',
+                    envVar: 'NVIDIA_API_KEY',
+                    message: 'Enter your Nvidia API key:',
+                    mask: '*',
+                    validate: (input) => input ? checkKeyFormat(option.provider, input) : 'API key is required'
+                }
+            ]);
+            return { apiKey: nvidiaKey, model: option.model };
+        });
+
+        if (!credentials) {
+            return null;
+        }
+        apiKey = credentials.apiKey;
+        if (credentials.verified) {
+            console.log(chalk.green('✅ Nvidia API key validated!'));
+        }
+    }
+
     return {
         name: 'kimi-k25-free',
-        type: 'nvidia-nim',
-        model: 'kimi/kimi-k2.5',
-        baseUrl: 'https://integrate.api.nvidia.com/v1',
-        apiKey: 'free-tier', // Special marker for free tier
+        type: option.provider,
+        model: option.model,
+        baseUrl: `${provider.apiBaseUrl}/v1`,
+        apiKey: apiKey || 'setup-required',
         isPrimary: isPrimary,
         enabled: true,
-        limits: {
-            requestsPerHour: 100,
-            tokensPerRequest: 4096,
-            note: 'Free tier limits - upgrade to Nvidia API for more'
-        },
-        setup: {
+        limits: option.limits,
+        setup: apiKey ? null : {
             instructions: [
-                'Visit https://build.nvidia.com/nim',
+                `Visit ${provider.keyUrl}`,
                 'Create a free account or sign in',
-                'Find Kimi K2.5 in the model catalog',
-                'Use the provided endpoint for free inference'
+                'Generate an API key (it starts with nvapi-)',
+                'Add the key to your configuration'
             ]
         }
     };
@@ -232,12 +251,12 @@ async function configureKimiK25(isPrimary = true) {
 /**
  * Configure Google Gemini Flash
  */
-async function configureGeminiFlash(isPrimary = true) {
+async function configureGeminiFlash(isPrimary = true, scope = 'freeModels.primary') {
     console.log(chalk.gray('Google Gemini Flash offers a generous free tier.'));
     console.log(chalk.gray('Get your free API key from Google AI Studio.'));
     console.log('');
 
-    const { setupGemini } = await inquirer.prompt([
+    const { setupGemini } = await ask(scope, [
         {
             type: 'confirm',
             name: 'setupGemini',
@@ -250,7 +269,7 @@ async function configureGeminiFlash(isPrimary = true) {
         return null;
     }
 
-    const { hasApiKey } = await inquirer.prompt([
+    const { hasApiKey } = await ask(scope, [
         {
             type: 'confirm',
             name: 'hasApiKey',
@@ -259,49 +278,56 @@ async function configureGeminiFlash(isPrimary = true) {
         }
     ]);
 
+    const option = getFreeOption('gemini-flash');
     let apiKey = null;
+    let model = option.model;
     if (hasApiKey) {
-        const { geminiKey } = await inquirer.prompt([
-            {
-                type: 'password',
-                name: 'geminiKey',
-                message: 'Enter your Google AI Studio API key:',
-                mask: '*',
-                validate: (input) => {
-                    if (!input) return 'API key is required';
-                    if (input.length < 20) return 'API key seems too short';
-                    return true;
+        const credentials = await askVerifiedCredentials(scope, option.provider, async () => {
+            const { geminiKey } = await ask(scope, [
+                {
+                    type: 'password',
+                    name: 'geminiKey',
+                    envVar: 'GEMINI_API_KEY',
+                    message: 'Enter your Google AI Studio API key:',
+                    mask: '*',
+                    validate: (input) => {
+                        if (!input) return 'API key is required';
+                        if (input.length < 20) return 'API key seems too short';
+                        return true;
+                    }
                 }
-            }
-        ]);
-        apiKey = geminiKey;
-
-        // Test the API key
-        console.log(chalk.gray('Testing API key...'));
-        const isValid = await testGeminiAPI(apiKey);
-        if (!isValid) {
-            console.log(chalk.red('❌ API key test failed. Proceeding without validation.'));
-        } else {
+            ]);
+            return { apiKey: geminiKey };
+        });
+
+        if (!credentials) {
+            return null;
+        }
+        apiKey = credentials.apiKey;
+
+        if (credentials.verified) {
             console.log(chalk.green('✅ Gemini API key validated!'));
+
+            const liveModels = await fetchModelList(option.provider, { apiKey });
+            const { choices, default: availableModel } = getLiveModelChoices(option.provider, liveModels);
+            if (liveModels && !choices.some(choice => choice.value === model) && availableModel) {
+                console.log(chalk.yellow(`⚠️  ${model} is not available to this key - using ${availableModel} instead.`));
+                model = availableModel;
+            }
         }
     }
 
     return {
         name: 'gemini-flash-free',
         type: 'google-ai',
-        model: 'gemini-1.5-flash',
+        model,
         apiKey: apiKey || 'setup-required',
         isPrimary: isPrimary,
         enabled: true,
-        limits: {
-            requestsPerMinute: 15,
-            requestsPerDay: 1500,
-            tokensPerRequest: 1000000,
-            note: 'Generous free tier - 1,500 requests per day'
-        },
+        limits: option.limits,
         setup: apiKey ? null : {
             instructions: [
-                'Visit https://makersuite.google.com/app/apikey',
+                `Visit ${getCatalogProvider(option.provider).keyUrl}`,
                 'Sign in with your Google account',
                 'Create a new API key',
                 'Copy the key and add it to your configuration'
@@ -313,12 +339,12 @@ async function configureGeminiFlash(isPrimary = true) {
 /**
  * Configure Hugging Face free tier
  */
-async function configureHuggingFace(isPrimary = true) {
+async function configureHuggingFace(isPrimary = true, scope = 'freeModels.primary') {
     console.log(chalk.gray('Hugging Face provides free inference for many open source models.'));
     console.log(chalk.gray('Create a free account to get started.'));
     console.log('');
 
-    const { setupHF } = await inquirer.prompt([
+    const { setupHF } = await ask(scope, [
         {
             type: 'confirm',
             name: 'setupHF',
@@ -331,7 +357,7 @@ async function configureHuggingFace(isPrimary = true) {
         return null;
     }
 
-    const { hasHFToken } = await inquirer.prompt([
+    const { hasHFToken } = await ask(scope, [
         {
             type: 'confirm',
             name: 'hasHFToken',
@@ -342,10 +368,11 @@ async function configureHuggingFace(isPrimary = true) {
 
     let token = null;
     if (hasHFToken) {
-        const { hfToken } = await inquirer.prompt([
+        const { hfToken } = await ask(scope, [
             {
                 type: 'password',
                 name: 'hfToken',
+                envVar: 'HF_TOKEN',
                 message: 'Enter your Hugging Face token:',
                 mask: '*'
             }
@@ -354,32 +381,17 @@ async function configureHuggingFace(isPrimary = true) {
     }
 
     // Model selection
-    const { hfModel } = await inquirer.prompt([
+    const { hfModel } = await ask(scope, [
         {
             type: 'list',
             name: 'hfModel',
             message: 'Which Hugging Face model would you like to use?',
-            choices: [
-                {
-                    name: 'Microsoft DialoGPT-medium - Good for conversation',
-                    value: 'microsoft/DialoGPT-medium'
-                },
-                {
-                    name: 'Google FLAN-T5-large - Instruction following',
-                    value: 'google/flan-t5-large'
-                },
-                {
-                    name: 'Meta Llama 2 7B Chat - General purpose',
-                    value: 'meta-llama/Llama-2-7b-chat-hf'
-                },
-                {
-                    name: 'Mistral 7B Instruct - Fast and capable',
-                    value: 'mistralai/Mistral-7B-Instruct-v0.1'
-                }
-            ]
+            choices: getModelChoices('huggingface'),
+            default: getDefaultModel('huggingface')
         }
     ]);
 
+    const option = getFreeOption('huggingface');
     return {
         name: 'huggingface-free',
         type: 'huggingface',
@@ -388,12 +400,10 @@ async function configureHuggingFace(isPrimary = true) {
         baseUrl: 'https://api-inference.huggingface.co/models',
         isPrimary: isPrimary,
         enabled: true,
-        limits: {
-            note: 'Free tier with rate limits - may have cold starts'
-        },
+        limits: option.limits,
         setup: token ? null : {
             instructions: [
-                'Visit https://huggingface.co/settings/tokens',
+                `Visit ${getCatalogProvider(option.provider).keyUrl}`,
                 'Sign in or create a free account',
                 'Create a new access token with "read" permissions',
                 'Copy the token and add it to your configuration'
@@ -405,7 +415,7 @@ async function configureHuggingFace(isPrimary = true) {
 /**
  * Configure local Ollama model
  */
-async function configureLocalModel(systemInfo) {
+async function configureLocalModel(systemInfo, scope = 'freeModels.primary') {
     console.log(chalk.gray('Ollama allows you to run AI models locally for complete privacy.'));
     console.log(chalk.gray('Models will be downloaded and stored on your system.'));
     console.log('');
@@ -421,7 +431,7 @@ async function configureLocalModel(systemInfo) {
         console.log(chalk.yellow('ℹ️  Ollama not detected - will provide installation instructions'));
     }
 
-    const { proceedLocal } = await inquirer.prompt([
+    const { proceedLocal } = await ask(scope, [
         {
             type: 'confirm',
             name: 'proceedLocal',
@@ -434,77 +444,48 @@ async function configureLocalModel(systemInfo) {
         return null;
     }
 
-    // Model size recommendation based on RAM
+    // Only offer models that fit in this machine's RAM
     const memoryGB = systemInfo.memory.total || 0;
-    let recommendedModels = [];
-
-    if (memoryGB >= 32) {
-        recommendedModels = [
-            { name: 'Llama 3.1 70B - Highest quality (requires 64GB+ RAM)', value: 'llama3.1:70b', size: '40GB' },
-            { name: 'Llama 3.1 8B - Recommended balance', value: 'llama3.1:8b', size: '4.7GB' },
-            { name: 'Qwen 2.5 7B - Fast and efficient', value: 'qwen2.5:7b', size: '4.4GB' }
-        ];
-    } else if (memoryGB >= 16) {
-        recommendedModels = [
-            { name: 'Llama 3.1 8B - Recommended for your system', value: 'llama3.1:8b', size: '4.7GB' },
-            { name: 'Qwen 2.5 7B - Slightly faster', value: 'qwen2.5:7b', size: '4.4GB' },
-            { name: 'Gemma 2 9B - Google\'s model', value: 'gemma2:9b', size: '5.4GB' }
-        ];
-    } else {
-        recommendedModels = [
-            { name: 'Qwen 2.5 7B - Best for limited RAM', value: 'qwen2.5:7b', size: '4.4GB' },
-            { name: 'Llama 3.1 8B - May be slower', value: 'llama3.1:8b', size: '4.7GB' },
-            { name: 'Gemma 2 2B - Smallest option', value: 'gemma2:2b', size: '1.6GB' }
-        ];
-    }
 
-    const { localModel } = await inquirer.prompt([
-        {
-            type: 'list',
-            name: 'localModel',
-            message: `Which local model would you like? (You have ~${memoryGB}GB RAM)`,
-            choices: recommendedModels.map(model => ({
-                name: `${model.name} (${model.size})`,
-                value: model.value,
-                short: model.value
-            }))
-        }
-    ]);
+    const { model: localModel, serverRunning, installed } = await askOllamaModel(scope, {
+        baseUrl: DEFAULT_OLLAMA_URL,
+        name: 'localModel',
+        message: `Which local model would you like? (You have ~${memoryGB}GB RAM)`,
+        memoryGB,
+        systemInfo
+    });
+
+    // Only list the steps that are still left to do
+    const instructions = [
+        ...(ollamaInstalled || serverRunning ? [] : ['Install Ollama from https://ollama.ai/']),
+        ...(serverRunning ? [] : ['Start Ollama service: ollama serve']),
+        ...(installed ? [] : ['Run: ollama pull ' + localModel]),
+        'Test with: ollama run ' + localModel + ' "Hello"'
+    ];
 
     return {
         name: 'ollama-local',
         type: 'ollama',
         model: localModel,
-        baseUrl: 'http://localhost:11434',
+        baseUrl: DEFAULT_OLLAMA_URL,
         isPrimary: false, // Local is usually fallback unless they chose local-only
         enabled: true,
         requirements: {
-            ollama: !ollamaInstalled
+            ollama: !ollamaInstalled && !serverRunning
         },
-        setup: ollamaInstalled ? null : {
-            instructions: [
-                'Install Ollama from https://ollama.ai/',
-                'Run: ollama pull ' + localModel,
-                'Start Ollama service: ollama serve',
-                'Test with: ollama run ' + localModel + ' "Hello"'
-            ]
-        }
+        setup: installed ? null : { instructions }
     };
 }
 
 /**
- * Test Gemini API key
+ * Catalog entry of a free option (kimi-k25, gemini-flash, huggingface)
  */
-async function testGeminiAPI(apiKey) {
-    try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`, {
-            method: 'GET',
-            timeout: 10000
-        });
-        return response.ok;
-    } catch (error) {
-        return false;
+function getFreeOption(optionId) {
+    const option = getFreeOptions().find(entry => entry.id === optionId);
+    if (!option) {
+        throw new Error(`Free option "${optionId}" is not in the model catalog`);
     }
+    return option;
 }
 
 /**
@@ -0,0 +1,129 @@
+/**
+ * Local Server Discovery - Find OpenAI-compatible model servers running on this machine
+ *
+ * LM Studio, the llama.cpp server, vLLM and LocalAI all serve the OpenAI API
+ * under /v1, on their own default ports. Each port is asked for /v1/models and
+ * the backend is told apart by what it answers: vLLM and llama.cpp name
+ * themselves in `owned_by`, LM Studio has its own /api/v0/models listing and
+ * LocalAI reports its backends at /system. Anything else that lists models is
+ * kept as a generic OpenAI-compatible server.
+ */
+
+import { httpFetch } from '../utils/http.js';
+
+const REQUEST_TIMEOUT_MS = 3000;
+
+/**
+ * Backends that can be identified, with the port they listen on by default
+ */
+export const LOCAL_SERVER_BACKENDS = {
+    lmstudio: { name: 'LM Studio', port: 1234 },
+    llamacpp: { name: 'llama.cpp server', port: 8080 },
+    vllm: { name: 'vLLM', port: 8000 },
+    localai: { name: 'LocalAI', port: 8080 }
+};
+
+const GENERIC_BACKEND = { id: 'local-server', name: 'OpenAI-compatible server' };
+
+/**
+ * Probe the default ports on localhost and return the servers that answer
+ *
+ * @returns {Promise<Array<Object>>} probeLocalServer results, in port order
+ */
+export async function detectLocalServers() {
+    const ports = [...new Set(Object.values(LOCAL_SERVER_BACKENDS).map(backend => backend.port))].sort((a, b) => a - b);
+    const servers = await Promise.all(ports.map(port => probeLocalServer(`http://localhost:${port}`)));
+    return servers.filter(Boolean);
+}
+
+/**
+ * Ask a server which backend it is and which models it serves
+ *
+ * @param {string} url - Server URL, with or without the /v1 suffix
+ * @param {string} [apiKey] - Key for servers started with one (vLLM --api-key, LocalAI API_KEY)
+ * @returns {Promise<{backend: string, name: string, baseUrl: string, requiresKey: boolean, models: Array<{id: string, loaded: boolean}>}|null>}
+ *   null when nothing OpenAI-compatible answers at the URL
+ */
+export async function probeLocalServer(url, apiKey) {
+    const root = url.replace(/\/+$/, '').replace(/\/v1$/, '');
+    const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+
+    const listing = await getJson(`${root}/v1/models`, headers);
+    if (!listing) {
+        return null;
+    }
+    if (listing.status === 401 || listing.status === 403) {
+        return createServer(GENERIC_BACKEND.id, root, [], true);
+    }
+    if (!Array.isArray(listing.body?.data)) {
+        return null;
+    }
+
+    const models = listing.body.data.map(model => ({ id: model.id, loaded: true }));
+    const owners = listing.body.data.map(model => model.owned_by);
+    if (owners.includes('vllm')) {
+        return createServer('vllm', root, models);
+    }
+    if (owners.includes('llamacpp')) {
+        return createServer('llamacpp', root, models);
+    }
+
+    // LM Studio lists every downloaded model, with whether it is loaded and what kind it is
+    const lmStudio = await getJson(`${root}/api/v0/models`, headers);
+    if (lmStudio?.status === 200 && Array.isArray(lmStudio.body?.data)) {
+        const chatModels = lmStudio.body.data
+            .filter(model => !model.type || model.type === 'llm' || model.type === 'vlm')
+            .map(model => ({ id: model.id, loaded: model.state === 'loaded' }));
+        return createServer('lmstudio', root, chatModels);
+    }
+
+    const localAi = await getJson(`${root}/system`, headers);
+    if (localAi?.status === 200 && Array.isArray(localAi.body?.backends)) {
+        const loaded = new Set((localAi.body.loaded_models || []).map(model => model.id));
+        return createServer('localai', root, models.map(model => ({ id: model.id, loaded: loaded.has(model.id) })));
+    }
+
+    return createServer(GENERIC_BACKEND.id, root, models);
+}
+
+/**
+ * Display name of a backend id (lmstudio → "LM Studio")
+ */
+export function getLocalServerName(backend) {
+    return LOCAL_SERVER_BACKENDS[backend]?.name || GENERIC_BACKEND.name;
+}
+
+/**
+ * Build a probe result; loaded models are listed first
+ */
+function createServer(backend, root, models, requiresKey = false) {
+    return {
+        backend,
+        name: getLocalServerName(backend),
+        baseUrl: `${root}/v1`,
+        requiresKey,
+        models: [...models].sort((a, b) => Number(b.loaded) - Number(a.loaded))
+    };
+}
+
+/**
+ * GET a JSON endpoint: {status, body}, or null when nothing answers
+ */
+async function getJson(url, headers) {
+    try {
+        const response = await httpFetch(url, {
+            headers: { 'Accept': 'application/json', ...headers },
+            timeout: REQUEST_TIMEOUT_MS,
+            retries: 0
+        });
+        let body = null;
+        try {
+            body = await response.json();
+        } catch {
+            // Not JSON: some other kind of server on this port
+        }
+        return { status: response.status, body };
+    } catch {
+        return null;
+    }
+}
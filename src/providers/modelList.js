@@ -0,0 +1,146 @@
+/**
+ * Live Model Lists - Ask a provider which models an API key can use
+ *
+ * Once a key is entered, the provider prompts fetch the provider's model list
+ * and offer the catalog models that appear in it (recommended first), so users
+ * only see models their key can actually use. When the list can't be fetched
+ * (offline, wrong key, provider down) the static catalog choices are used.
+ *
+ * API hosts come from `apiBaseUrl` in the model catalog, so a `--catalog` file
+ * can point them at a local mock server.
+ */
+
+import { getCatalogProvider, getModelChoices, getDefaultModel, getAvailableModels, isOpenAICompatible } from './catalog.js';
+import { httpFetch } from '../utils/http.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * How each provider lists its models: request URL and headers, and where the IDs are in the response
+ */
+const MODEL_LIST_APIS = {
+    anthropic: {
+        url: (baseUrl) => `${baseUrl}/v1/models?limit=1000`,
+        headers: (apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }),
+        parse: (body) => body.data.map(model => model.id)
+    },
+    openai: {
+        url: (baseUrl) => `${baseUrl}/v1/models`,
+        headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+        parse: (body) => body.data.map(model => model.id)
+    },
+    openrouter: {
+        url: (baseUrl) => `${baseUrl}/v1/models`,
+        headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+        parse: (body) => body.data.map(model => model.id)
+    },
+    custom: {
+        // OpenAI-compatible; custom base URLs usually already end in /v1
+        url: (baseUrl) => `${baseUrl}${/\/v\d+$/.test(baseUrl) ? '' : '/v1'}/models`,
+        headers: (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        parse: (body) => body.data.map(model => model.id)
+    },
+    'google-ai': {
+        url: (baseUrl, apiKey) => `${baseUrl}/v1beta/models?pageSize=1000&key=${encodeURIComponent(apiKey)}`,
+        headers: () => ({}),
+        // Only models that can chat, without the "models/" prefix
+        parse: (body) => body.models
+            .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''))
+    }
+};
+
+/**
+ * Model list of the OpenAI-compatible vendors in the catalog (Together answers with a bare array)
+ */
+const OPENAI_COMPATIBLE_API = {
+    url: (baseUrl) => `${baseUrl}/v1/models`,
+    headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+    parse: (body) => (Array.isArray(body) ? body : body.data).map(model => model.id)
+};
+
+/**
+ * Fetch the IDs of the models an API key can use
+ *
+ * @param {string} providerType - anthropic, openai, openrouter, custom (OpenAI-compatible), google-ai
+ *   or an OpenAI-compatible vendor from the catalog
+ * @param {Object} credentials
+ * @param {string} [credentials.apiKey]
+ * @param {string} [credentials.baseUrl] - API host (default: the catalog's apiBaseUrl)
+ * @returns {Promise<string[]|null>} Model IDs, or null when the list could not be fetched
+ */
+export async function fetchModelList(providerType, credentials = {}) {
+    const api = MODEL_LIST_APIS[providerType] || (isOpenAICompatible(providerType) ? OPENAI_COMPATIBLE_API : null);
+    if (!api) {
+        return null;
+    }
+    const baseUrl = (credentials.baseUrl || getCatalogProvider(providerType).apiBaseUrl || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+        return null;
+    }
+
+    try {
+        const response = await httpFetch(api.url(baseUrl, credentials.apiKey), {
+            headers: { 'Accept': 'application/json', ...api.headers(credentials.apiKey) },
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        if (!response.ok) {
+            return null;
+        }
+        return api.parse(await response.json());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Model choices for a provider, limited to what the key can use when the list is available
+ *
+ * The choices are the catalog models the key can use (a dated snapshot in the
+ * list counts as its catalog alias). A provider without catalog models
+ * (a custom provider), or a key that can use none of them, gets every model in
+ * the live list.
+ *
+ * @param {string} providerType - Provider type, as in the catalog
+ * @param {string[]|null} liveModels - Result of fetchModelList
+ * @returns {{choices: Array<Object>, default: string|undefined, source: string}} source is 'live' or 'static'
+ */
+export function getLiveModelChoices(providerType, liveModels) {
+    const staticChoices = {
+        choices: getModelChoices(providerType),
+        default: getDefaultModel(providerType),
+        source: 'static'
+    };
+    if (!liveModels || liveModels.length === 0) {
+        return staticChoices;
+    }
+
+    const isAvailable = modelId => liveModels.some(liveId => isSameModel(modelId, liveId));
+    const knownChoices = getModelChoices(providerType).filter(choice => isAvailable(choice.value));
+    if (knownChoices.length > 0) {
+        const recommended = getAvailableModels(providerType).find(model => model.recommended && isAvailable(model.id));
+        return {
+            choices: knownChoices,
+            default: recommended ? recommended.id : knownChoices[0].value,
+            source: 'live'
+        };
+    }
+
+    const sorted = [...new Set(liveModels)].sort();
+    return {
+        choices: sorted.map(id => ({ name: id, value: id })),
+        default: sorted[0],
+        source: 'live'
+    };
+}
+
+/**
+ * Check whether a listed model is a catalog model or a dated snapshot of it
+ * (claude-sonnet-4-5-20250929, gpt-5-2025-08-07)
+ */
+function isSameModel(catalogId, liveId) {
+    if (liveId === catalogId) {
+        return true;
+    }
+    return liveId.startsWith(`${catalogId}-`) && /^(\d{8}|\d{4}-\d{2}-\d{2})$/.test(liveId.slice(catalogId.length + 1));
+}
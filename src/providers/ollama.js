@@ -0,0 +1,168 @@
+/**
+ * Ollama Discovery - Ask a local Ollama server which models it has and pull new ones
+ *
+ * Uses the Ollama REST API: /api/version to see whether the server is running,
+ * /api/tags for the installed models, /api/ps for the ones loaded in memory
+ * and /api/pull (streamed) to download a model. Download sizes come from the
+ * model catalog or, for other models, from the Ollama registry's manifest.
+ */
+
+import { httpFetch } from '../utils/http.js';
+import { findCatalogModel } from './catalog.js';
+
+export const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+
+const OLLAMA_REGISTRY_URL = 'https://registry.ollama.ai';
+
+/**
+ * Check an Ollama server and list its models
+ *
+ * @param {string} [baseUrl] - Server URL (default http://localhost:11434)
+ * @returns {Promise<{running: boolean, version?: string, installed: Array<{name: string, size: number, parameterSize?: string, loaded: boolean}>}>}
+ */
+export async function getOllamaStatus(baseUrl = DEFAULT_OLLAMA_URL) {
+    const version = await getJson(baseUrl, '/api/version');
+    if (!version) {
+        return { running: false, installed: [] };
+    }
+
+    const [tags, ps] = await Promise.all([getJson(baseUrl, '/api/tags'), getJson(baseUrl, '/api/ps')]);
+    const loaded = new Set((ps?.models || []).map(model => model.name));
+
+    return {
+        running: true,
+        version: version.version,
+        installed: (tags?.models || []).map(model => ({
+            name: model.name,
+            size: model.size,
+            parameterSize: model.details?.parameter_size,
+            loaded: loaded.has(model.name)
+        }))
+    };
+}
+
+/**
+ * Find a model among the installed ones ("llama3.1" matches "llama3.1:latest")
+ *
+ * @returns {Object|undefined} Entry from getOllamaStatus().installed
+ */
+export function findInstalledModel(installed, model) {
+    const name = model.includes(':') ? model : `${model}:latest`;
+    return installed.find(entry => entry.name === name);
+}
+
+/**
+ * Download size of a model in bytes, or null when it can't be found out
+ *
+ * The catalog's `download` field is used when the model is in the catalog;
+ * otherwise the layer sizes in the registry manifest are added up.
+ */
+export async function getOllamaModelSize(model) {
+    const entry = findCatalogModel(model);
+    if (entry?.model.download) {
+        return parseSize(entry.model.download);
+    }
+
+    const [repository, tag = 'latest'] = model.split(':');
+    const path = repository.includes('/') ? repository : `library/${repository}`;
+    try {
+        const response = await httpFetch(`${OLLAMA_REGISTRY_URL}/v2/${path}/manifests/${tag}`, {
+            headers: { 'Accept': 'application/vnd.docker.distribution.manifest.v2+json' }
+        });
+        if (!response.ok) {
+            return null;
+        }
+        const manifest = await response.json();
+        return (manifest.layers || []).reduce((total, layer) => total + (layer.size || 0), 0) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Pull a model, reporting progress as it downloads
+ *
+ * @param {string} baseUrl - Server URL
+ * @param {string} model - Model name, e.g. llama3.1:8b
+ * @param {Function} [onProgress] - Called with {status, completed, total} for each progress update
+ * @returns {Promise<void>} Rejects with the server's error when the pull fails
+ */
+export async function pullOllamaModel(baseUrl, model, onProgress = () => {}) {
+    const response = await httpFetch(`${baseUrl.replace(/\/+$/, '')}/api/pull`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, stream: true }),
+        timeout: 0,
+        retries: 0
+    });
+    if (!response.ok) {
+        throw new Error(`Ollama could not pull ${model}: ${await readError(response)}`);
+    }
+
+    // The answer is one JSON object per line until {"status": "success"}
+    let buffered = '';
+    let succeeded = false;
+    for await (const chunk of response.body) {
+        buffered += chunk.toString();
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines.filter(text => text.trim())) {
+            const update = JSON.parse(line);
+            if (update.error) {
+                throw new Error(`Ollama could not pull ${model}: ${update.error}`);
+            }
+            succeeded = succeeded || update.status === 'success';
+            onProgress({ status: update.status, completed: update.completed, total: update.total });
+        }
+    }
+
+    if (!succeeded) {
+        throw new Error(`Ollama stopped before ${model} was downloaded`);
+    }
+}
+
+/**
+ * 4700000000 → "4.7 GB"
+ */
+export function formatBytes(bytes) {
+    if (bytes >= 1e9) {
+        return `${(bytes / 1e9).toFixed(1)} GB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1e6))} MB`;
+}
+
+/**
+ * "4.7GB" → 4700000000
+ */
+function parseSize(text) {
+    const match = String(text).match(/^([\d.]+)\s*(KB|MB|GB|TB)$/i);
+    if (!match) {
+        return null;
+    }
+    const units = { KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12 };
+    return Math.round(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+
+/**
+ * GET a JSON endpoint of the Ollama server, or null when it doesn't answer
+ */
+async function getJson(baseUrl, endpoint) {
+    try {
+        const response = await httpFetch(`${baseUrl.replace(/\/+$/, '')}${endpoint}`, { timeout: 5000, retries: 0 });
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Error message of a failed Ollama request
+ */
+async function readError(response) {
+    try {
+        return (await response.json()).error || `HTTP ${response.status}`;
+    } catch {
+        return `HTTP ${response.status}`;
+    }
+}
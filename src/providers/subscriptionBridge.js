@@ -0,0 +1,150 @@
+/**
+ * Subscription Bridge - Install, configure and start a local proxy that serves a chat subscription as an API
+ *
+ * A bridge such as CLIProxyAPI signs in to a Claude Pro/Max or ChatGPT
+ * Plus/Pro account and serves it as an OpenAI-compatible API on localhost.
+ * Which bridges exist, how to install them and how they sign in comes from the
+ * catalog's `subscriptionBridges`. Each bridge keeps its config, sign-in
+ * tokens and log in ~/.openclaw/<bridge id>/, and only answers requests that
+ * carry the client key generated for OpenClaw.
+ */
+
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+import { execSync } from 'child_process';
+import { writeFile, readFile, runCommand } from '../utils/fileOps.js';
+import { probeLocalServer } from './localServer.js';
+
+const HEALTH_CHECK_INTERVAL_MS = 500;
+
+/**
+ * Directory holding a bridge's config, sign-in tokens and log
+ */
+export function getBridgeDir(bridge) {
+    return path.join(os.homedir(), '.openclaw', bridge.id);
+}
+
+/**
+ * Path of a bridge's config file
+ */
+export function getBridgeConfigPath(bridge) {
+    return path.join(getBridgeDir(bridge), 'config.yaml');
+}
+
+/**
+ * Check whether the bridge's command is on the PATH
+ */
+export function isBridgeInstalled(bridge) {
+    try {
+        execSync(`${process.platform === 'win32' ? 'where' : 'which'} ${bridge.command}`, { stdio: 'pipe' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Install command for this platform, or null when the bridge has to be installed by hand
+ */
+export function getInstallCommand(bridge) {
+    return bridge.install?.[process.platform] || null;
+}
+
+/**
+ * Write the bridge config, keeping the port and client key of an existing one
+ *
+ * The bridge listens on 127.0.0.1 only. The file holds the client key, so it
+ * is written with mode 600.
+ *
+ * @returns {{configPath: string, port: number, apiKey: string, baseUrl: string}}
+ */
+export function writeBridgeConfig(bridge) {
+    const configPath = getBridgeConfigPath(bridge);
+    const existing = readExistingConfig(configPath);
+    const port = existing?.port || bridge.port;
+    const apiKey = existing?.['api-keys']?.[0] || `sk-openclaw-${crypto.randomBytes(24).toString('base64url')}`;
+
+    const config = {
+        ...existing,
+        host: '127.0.0.1',
+        port,
+        'auth-dir': path.join(getBridgeDir(bridge), 'auth'),
+        'api-keys': [apiKey, ...(existing?.['api-keys'] || []).filter(key => key !== apiKey)]
+    };
+    writeFile(configPath, yaml.dump(config, { lineWidth: -1 }), { mode: 0o600 });
+
+    return { configPath, port, apiKey, baseUrl: `http://127.0.0.1:${port}/v1` };
+}
+
+/**
+ * Command that signs the bridge in to the subscription's account
+ */
+export function getLoginCommand(bridge, configPath) {
+    return `${bridge.command} --config "${configPath}" ${bridge.subscription.loginFlag}`;
+}
+
+/**
+ * Command that runs the bridge in the foreground
+ */
+export function getStartCommand(bridge, configPath) {
+    return `${bridge.command} --config "${configPath}"`;
+}
+
+/**
+ * Start the bridge in the background, logging to bridge.log next to its config
+ *
+ * @returns {string} Path of the log file
+ */
+export function startBridge(bridge, configPath) {
+    if (process.platform === 'win32') {
+        throw new Error(`Starting ${bridge.name} in the background is not supported on Windows`);
+    }
+
+    const logPath = path.join(getBridgeDir(bridge), 'bridge.log');
+    runCommand(`nohup ${getStartCommand(bridge, configPath)} > "${logPath}" 2>&1 &`, { stdio: 'ignore', timeout: 10000 });
+    return logPath;
+}
+
+/**
+ * Wait for the bridge to answer on localhost
+ *
+ * @param {string} baseUrl - Bridge URL (http://127.0.0.1:<port>/v1)
+ * @param {string} apiKey - Client key from the bridge config
+ * @param {number} [timeoutMs] - How long to keep trying
+ * @returns {Promise<{running: boolean, keyAccepted: boolean, models: string[]}>}
+ */
+export async function waitForBridge(baseUrl, apiKey, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const server = await probeLocalServer(baseUrl, apiKey);
+        if (server) {
+            return {
+                running: true,
+                keyAccepted: !server.requiresKey,
+                models: server.models.map(model => model.id)
+            };
+        }
+        if (Date.now() >= deadline) {
+            return { running: false, keyAccepted: false, models: [] };
+        }
+        await new Promise(resolve => setTimeout(resolve, HEALTH_CHECK_INTERVAL_MS));
+    }
+}
+
+/**
+ * Parse an existing bridge config, or null when there is none (or it can't be read)
+ */
+function readExistingConfig(configPath) {
+    const content = readFile(configPath);
+    if (content === null) {
+        return null;
+    }
+    try {
+        const config = yaml.load(content);
+        return config && typeof config === 'object' ? config : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Config Backups - Keep every previous clawdbot.yaml so a bad run can be undone
+ *
+ * Before clawdbot.yaml is replaced, the old file is copied to
+ * ~/.openclaw/backups/clawdbot.<timestamp>.v<agent version>.yaml. The timestamp
+ * is the backup's identifier for `openclaw-setup rollback --to <timestamp>`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { copyFile } from './fileOps.js';
+
+const AGENT_VERSION = '1.1.0-beta.1';
+const BACKUP_PATTERN = /^clawdbot\.(\d{8}T\d{6}\d{3}Z)\.v(.+)\.yaml$/;
+
+/**
+ * Directory holding config backups
+ */
+export function getBackupDir() {
+    return path.join(os.homedir(), '.openclaw', 'backups');
+}
+
+/**
+ * Copy the current config into the backup directory
+ *
+ * Only `clawdbot` backups are offered by rollback; other names (litellm_config)
+ * are kept for restoring by hand.
+ *
+ * @param {string} configPath - File to back up
+ * @param {string} [name] - Prefix of the backup file name
+ * @returns {string|null} Path of the backup, or null when there was nothing to back up
+ */
+export function backupConfig(configPath, name = 'clawdbot') {
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+
+    const backupPath = path.join(getBackupDir(), `${name}.${formatTimestamp(new Date())}.v${AGENT_VERSION}.yaml`);
+    copyFile(configPath, backupPath);
+    return backupPath;
+}
+
+/**
+ * List the available backups, newest first
+ *
+ * @returns {Array<{timestamp: string, version: string, path: string, createdAt: Date}>}
+ */
+export function listBackups() {
+    let files;
+    try {
+        files = fs.readdirSync(getBackupDir());
+    } catch (error) {
+        return [];
+    }
+
+    return files
+        .map(file => file.match(BACKUP_PATTERN))
+        .filter(Boolean)
+        .map(([file, timestamp, version]) => ({
+            timestamp,
+            version,
+            path: path.join(getBackupDir(), file),
+            createdAt: parseTimestamp(timestamp)
+        }))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Find a backup by its timestamp (a unique prefix is enough)
+ */
+export function findBackup(timestamp) {
+    const matches = listBackups().filter(backup => backup.timestamp.startsWith(timestamp));
+
+    if (matches.length === 0) {
+        throw new Error(`No backup found for "${timestamp}". Run openclaw-setup rollback --list to see the available backups.`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`"${timestamp}" matches ${matches.length} backups. Use more of the timestamp.`);
+    }
+
+    return matches[0];
+}
+
+/**
+ * Compact, sortable, filename-safe UTC timestamp (e.g. 20250127T093015123Z)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * Turn a backup timestamp back into a Date
+ */
+function parseTimestamp(timestamp) {
+    const [, year, month, day, hour, minute, second, millis] =
+        timestamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, millis));
+}
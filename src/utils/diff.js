@@ -0,0 +1,133 @@
+/**
+ * Unified Diff - Minimal line-based diff for previewing file changes
+ */
+
+import chalk from 'chalk';
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Create a unified diff between two texts
+ *
+ * @param {string|null} oldText - Current content, or null when the file does not exist
+ * @param {string} newText - Content that would be written
+ * @param {string} fileName - Name shown in the diff header
+ * @returns {string} Unified diff, or an empty string when nothing changes
+ */
+export function createUnifiedDiff(oldText, newText, fileName) {
+    const oldLines = oldText === null ? [] : splitLines(oldText);
+    const newLines = splitLines(newText);
+    const operations = diffLines(oldLines, newLines);
+
+    if (operations.every(operation => operation.type === 'same')) {
+        return '';
+    }
+
+    const header = [
+        `--- ${oldText === null ? '/dev/null' : `a/${fileName}`}`,
+        `+++ b/${fileName}`
+    ];
+
+    return [...header, ...buildHunks(operations)].join('\n');
+}
+
+/**
+ * Colorize a unified diff for the terminal
+ */
+export function colorizeDiff(diffText) {
+    return diffText.split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return chalk.gray(line);
+    }).join('\n');
+}
+
+/**
+ * Split text into lines, ignoring the final newline
+ */
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Compute line operations (same/add/remove) using a longest-common-subsequence table
+ */
+function diffLines(oldLines, newLines) {
+    const rows = oldLines.length;
+    const cols = newLines.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            table[i][j] = oldLines[i] === newLines[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldLines[i] === newLines[j]) {
+            operations.push({ type: 'same', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            operations.push({ type: 'remove', line: oldLines[i], oldIndex: i++, newIndex: j });
+        } else {
+            operations.push({ type: 'add', line: newLines[j], oldIndex: i, newIndex: j++ });
+        }
+    }
+    while (i < rows) {
+        operations.push({ type: 'remove', line: oldLines[i], oldIndex: i++, newIndex: j });
+    }
+    while (j < cols) {
+        operations.push({ type: 'add', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+
+    return operations;
+}
+
+/**
+ * Group operations into hunks with surrounding context
+ */
+function buildHunks(operations) {
+    const changed = operations
+        .map((operation, index) => (operation.type === 'same' ? -1 : index))
+        .filter(index => index !== -1);
+
+    // Merge nearby changes into [start, end] ranges of operation indexes
+    const ranges = [];
+    for (const index of changed) {
+        const start = Math.max(0, index - CONTEXT_LINES);
+        const end = Math.min(operations.length - 1, index + CONTEXT_LINES);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last[1] + 1) {
+            last[1] = end;
+        } else {
+            ranges.push([start, end]);
+        }
+    }
+
+    const lines = [];
+    for (const [start, end] of ranges) {
+        const slice = operations.slice(start, end + 1);
+        const oldCount = slice.filter(operation => operation.type !== 'add').length;
+        const newCount = slice.filter(operation => operation.type !== 'remove').length;
+        const oldStart = oldCount === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1;
+        const newStart = newCount === 0 ? slice[0].newIndex : slice[0].newIndex + 1;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const operation of slice) {
+            const prefix = operation.type === 'add' ? '+' : operation.type === 'remove' ? '-' : ' ';
+            lines.push(prefix + operation.line);
+        }
+    }
+
+    return lines;
+}
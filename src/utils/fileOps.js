@@ -0,0 +1,252 @@
+/**
+ * File Operations - Every file write, permission change and shell command the
+ * setup agent performs goes through here so that `--dry-run` can preview them
+ *
+ * In dry-run mode nothing touches the disk or runs: writes are kept in memory
+ * (so later steps such as validation can still read the generated config) and
+ * each planned change is printed as a unified diff or a "would run" line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { createUnifiedDiff, colorizeDiff } from './diff.js';
+
+let dryRun = false;
+const pendingWrites = new Map();
+const plannedOperations = [];
+
+/**
+ * Enable or disable dry-run mode
+ */
+export function setDryRun(enabled) {
+    dryRun = Boolean(enabled);
+}
+
+/**
+ * Whether changes are only being previewed
+ */
+export function isDryRun() {
+    return dryRun;
+}
+
+/**
+ * Write a file, or print the diff it would apply in dry-run mode
+ *
+ * The content goes to a temp file next to the target which is then renamed into
+ * place, so an interrupted run never leaves a half-written file behind. An
+ * existing file keeps its permissions unless `options.mode` is given.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ * @param {Object} [options]
+ * @param {number} [options.mode] - Permissions of the written file
+ * @param {Function} [options.redact] - Masks secrets in the old and new content before a dry-run diff is printed
+ */
+export function writeFile(filePath, content, options = {}) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!dryRun) {
+        writeFileAtomic(resolvedPath, content, options);
+        return;
+    }
+
+    const current = readFile(resolvedPath);
+    const redact = options.redact || (text => text);
+    const diff = createUnifiedDiff(current === null ? null : redact(current), redact(content), displayPath(resolvedPath));
+    pendingWrites.set(resolvedPath, content);
+    plannedOperations.push({
+        type: current === null ? 'create' : 'modify',
+        path: resolvedPath,
+        unchanged: diff === ''
+    });
+
+    console.log('');
+    console.log(chalk.magenta.bold(`📝 [dry-run] Would ${current === null ? 'create' : 'update'} ${resolvedPath}` +
+        (options.mode ? ` (mode ${formatMode(options.mode)})` : '')));
+    console.log(diff ? colorizeDiff(diff) : chalk.gray('   (no changes)'));
+}
+
+/**
+ * Copy a file (e.g. to keep a backup), or describe the copy in dry-run mode
+ */
+export function copyFile(sourcePath, targetPath) {
+    const resolvedSource = path.resolve(sourcePath);
+    const resolvedTarget = path.resolve(targetPath);
+
+    if (!dryRun) {
+        fs.mkdirSync(path.dirname(resolvedTarget), { recursive: true, mode: 0o700 });
+        fs.copyFileSync(resolvedSource, resolvedTarget);
+        return;
+    }
+
+    plannedOperations.push({ type: 'copy', path: resolvedTarget, source: resolvedSource });
+    console.log(chalk.magenta(`📋 [dry-run] Would copy ${resolvedSource} to ${resolvedTarget}`));
+}
+
+/**
+ * Change file permissions, or describe the change in dry-run mode
+ */
+export function chmod(filePath, mode) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!dryRun) {
+        fs.chmodSync(resolvedPath, mode);
+        return;
+    }
+
+    let currentMode = 'new file';
+    try {
+        currentMode = formatMode(fs.statSync(resolvedPath).mode & 0o777);
+    } catch (error) {
+        // File only exists as a pending write
+    }
+
+    plannedOperations.push({ type: 'chmod', path: resolvedPath, mode });
+    console.log(chalk.magenta(`🔒 [dry-run] Would chmod ${formatMode(mode)} ${resolvedPath} (currently ${currentMode})`));
+}
+
+/**
+ * Run a shell command that changes the system, or print it in dry-run mode
+ *
+ * Read-only probes (`which`, `--version`) should keep using execSync directly.
+ */
+export function runCommand(command, options = {}) {
+    if (!dryRun) {
+        return execSync(command, options);
+    }
+
+    plannedOperations.push({ type: 'command', command });
+    console.log(chalk.magenta(`⚙️  [dry-run] Would run: ${command}`));
+    return '';
+}
+
+/**
+ * Describe a change made some other way (an Ollama pull over its API) that a dry run skips
+ *
+ * @param {string} action - What would be done, e.g. "pull the Ollama model llama3.2"
+ */
+export function planAction(action) {
+    plannedOperations.push({ type: 'action', action });
+    console.log(chalk.magenta(`⚙️  [dry-run] Would ${action}`));
+}
+
+/**
+ * Read a file, seeing pending dry-run writes; returns null when it does not exist
+ */
+export function readFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (pendingWrites.has(resolvedPath)) {
+        return pendingWrites.get(resolvedPath);
+    }
+
+    try {
+        return fs.readFileSync(resolvedPath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a file exists, counting pending dry-run writes
+ */
+export function fileExists(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    return pendingWrites.has(resolvedPath) || fs.existsSync(resolvedPath);
+}
+
+/**
+ * Print everything a dry run would have done
+ */
+export function displayDryRunSummary() {
+    if (!dryRun) return;
+
+    const writes = plannedOperations.filter(operation => ['create', 'modify', 'copy'].includes(operation.type));
+    const permissions = plannedOperations.filter(operation => operation.type === 'chmod');
+    const commands = plannedOperations.filter(operation => operation.type === 'command');
+    const actions = plannedOperations.filter(operation => operation.type === 'action');
+
+    console.log('');
+    console.log(chalk.magenta.bold('🧪 Dry run complete - nothing was written or executed'));
+    console.log('');
+
+    console.log(chalk.white.bold(`Files (${writes.length}):`));
+    writes.forEach(operation => {
+        const label = operation.unchanged ? 'unchanged' : operation.type;
+        console.log(chalk.white(`   • ${label.padEnd(9)} ${operation.path}`));
+    });
+
+    console.log(chalk.white.bold(`Permission changes (${permissions.length}):`));
+    permissions.forEach(operation => {
+        console.log(chalk.white(`   • chmod ${formatMode(operation.mode)} ${operation.path}`));
+    });
+
+    console.log(chalk.white.bold(`Commands (${commands.length}):`));
+    commands.forEach(operation => {
+        console.log(chalk.white(`   • ${operation.command}`));
+    });
+
+    if (actions.length > 0) {
+        console.log(chalk.white.bold(`Other changes (${actions.length}):`));
+        actions.forEach(operation => {
+            console.log(chalk.white(`   • ${operation.action}`));
+        });
+    }
+    console.log('');
+}
+
+/**
+ * Write through a temp file in the same directory and rename it over the target
+ */
+function writeFileAtomic(resolvedPath, content, options) {
+    const tempPath = path.join(
+        path.dirname(resolvedPath),
+        `.${path.basename(resolvedPath)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true, mode: 0o700 });
+
+    let mode = options.mode;
+    if (mode === undefined) {
+        try {
+            mode = fs.statSync(resolvedPath).mode & 0o777;
+        } catch (error) {
+            // New file - default permissions
+        }
+    }
+
+    try {
+        const fd = fs.openSync(tempPath, 'wx', mode ?? 0o666);
+        try {
+            fs.writeFileSync(fd, content, { encoding: options.encoding || 'utf8' });
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        // openSync's mode is subject to the umask; restore an existing file's exact mode
+        if (mode !== undefined) {
+            fs.chmodSync(tempPath, mode);
+        }
+        fs.renameSync(tempPath, resolvedPath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Format a numeric mode as octal (e.g. 700)
+ */
+function formatMode(mode) {
+    return mode.toString(8).padStart(3, '0');
+}
+
+/**
+ * Show paths relative to the working directory in diff headers
+ */
+function displayPath(resolvedPath) {
+    const relative = path.relative(process.cwd(), resolvedPath);
+    return relative.startsWith('..') ? resolvedPath : relative;
+}
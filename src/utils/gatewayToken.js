@@ -0,0 +1,94 @@
+/**
+ * Gateway Token - Create, store and show the token clients use to reach the gateway
+ *
+ * With `authentication.mode: token` the gateway rejects every client that doesn't
+ * send its token. The token is 32 random bytes (base64url) and never goes into
+ * clawdbot.yaml: it is stored as OPENCLAW_GATEWAY_TOKEN in ~/.openclaw/.env
+ * (mode 600), or in the vault in vault mode, and the YAML references it.
+ */
+
+import crypto from 'crypto';
+import chalk from 'chalk';
+import qrcode from 'qrcode-terminal';
+import { storeGeneratedSecret } from './secrets.js';
+
+export const GATEWAY_TOKEN_ENV_VAR = 'OPENCLAW_GATEWAY_TOKEN';
+
+const DEFAULT_GATEWAY_HOST = '127.0.0.1';
+const DEFAULT_GATEWAY_PORT = 18789;
+
+/**
+ * Create a new high-entropy gateway token
+ */
+export function generateGatewayToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Queue a token for the secret store and point authentication.token at it
+ *
+ * The token is written by the next saveSecrets (writeConfig calls it).
+ *
+ * @param {Object} config - Parsed configuration (changed in place)
+ * @param {string} token - The new token
+ * @returns {string} The reference now in authentication.token
+ */
+export function storeGatewayToken(config, token) {
+    if (!config.authentication) {
+        config.authentication = { mode: 'token' };
+    }
+    config.authentication.token = storeGeneratedSecret(GATEWAY_TOKEN_ENV_VAR, token, config.authentication.token);
+    return config.authentication.token;
+}
+
+/**
+ * Address clients connect to, e.g. ws://127.0.0.1:18789
+ *
+ * @param {Object} config - Parsed configuration
+ * @param {string} [protocol] - 'ws' for clients, 'http' for the Control UI
+ */
+export function getGatewayUrl(config, protocol = 'ws') {
+    const host = config.gateway?.host || DEFAULT_GATEWAY_HOST;
+    const port = config.gateway?.port || DEFAULT_GATEWAY_PORT;
+    return `${protocol}://${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+/**
+ * Print a token with the settings a client needs to connect
+ *
+ * @param {string} token - The plain token
+ * @param {Object} config - Parsed configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.qr] - Also print a QR code of the Control UI link
+ */
+export function displayGatewayToken(token, config, options = {}) {
+    const url = getGatewayUrl(config);
+
+    console.log(chalk.white.bold('🔑 Gateway access token'));
+    console.log(chalk.gray('   Anyone with this token can use your gateway - keep it somewhere safe.'));
+    console.log('');
+    console.log(chalk.cyan(`   ${token}`));
+    console.log('');
+    console.log(chalk.white('   Connect a client:'));
+    console.log(chalk.gray(`     export OPENCLAW_GATEWAY_URL=${url}`));
+    console.log(chalk.gray(`     export ${GATEWAY_TOKEN_ENV_VAR}=${token}`));
+    console.log(chalk.gray(`     # clients send it as: Authorization: Bearer $${GATEWAY_TOKEN_ENV_VAR}`));
+    console.log('');
+
+    if (options.qr) {
+        const controlUiLink = `${getGatewayUrl(config, 'http')}/?token=${token}`;
+        console.log(chalk.white(`   Scan to open the Control UI (${getGatewayUrl(config, 'http')}):`));
+        qrcode.generate(controlUiLink, { small: true }, code => console.log(code));
+        if (isLoopback(config.gateway?.host || DEFAULT_GATEWAY_HOST)) {
+            console.log(chalk.gray('   The gateway only listens on this machine, so the link works here or through a tunnel (e.g. Tailscale).'));
+        }
+        console.log('');
+    }
+}
+
+/**
+ * Check for a localhost-only bind address
+ */
+function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
@@ -0,0 +1,252 @@
+/**
+ * HTTP Client - Every network request the setup agent makes goes through here
+ *
+ * Requests honour the standard proxy variables (HTTPS_PROXY, HTTP_PROXY and
+ * NO_PROXY, upper or lower case) and trust extra CA certificates from
+ * NODE_EXTRA_CA_CERTS or `--ca-file`, so the wizard works behind a corporate
+ * proxy that inspects HTTPS. Each attempt has its own timeout; dropped
+ * connections, 429s and 5xx answers are retried with exponential backoff,
+ * waiting for Retry-After when the server sends one.
+ *
+ * Loopback addresses (a local Ollama, a mock server) never go through the proxy.
+ */
+
+import fs from 'fs';
+import https from 'https';
+import path from 'path';
+import tls from 'tls';
+import fetch from 'node-fetch';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { HttpProxyAgent } from 'http-proxy-agent';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+/**
+ * Answers worth another try: rate limits, server errors and Anthropic's "overloaded"
+ */
+const RETRY_STATUSES = [429, 500, 502, 503, 504, 529];
+
+/**
+ * Connection errors worth another try (a refused connection or a timeout is not)
+ */
+const RETRY_ERROR_CODES = ['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+let caFile = null;
+let caCertificates = null;
+const agents = new Map();
+
+/**
+ * Trust the CA certificates in a PEM file for every request (null for the system CAs only)
+ *
+ * @param {string|null} [file] - PEM bundle, e.g. a corporate proxy's root certificate
+ */
+export function setCaFile(file = null) {
+    caFile = file ? path.resolve(process.cwd(), file) : null;
+    caCertificates = null;
+    agents.clear();
+
+    if (caFile && !fs.existsSync(caFile)) {
+        throw new Error(`CA file not found: ${caFile}`);
+    }
+}
+
+/**
+ * Make an HTTP request through the proxy, with a timeout per attempt and retries
+ *
+ * Takes the same options as fetch, plus:
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds per attempt, including reading the body (default 10s, 0 for none)
+ * @param {number} [options.retries] - Extra attempts after a retryable failure (default 2)
+ * @returns {Promise<Response>} The last response; rejects with the last error when no attempt got one
+ */
+export async function httpFetch(url, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, ...fetchOptions } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...fetchOptions,
+                agent: getAgent(url),
+                signal: timeout ? AbortSignal.timeout(timeout) : undefined
+            });
+        } catch (error) {
+            if (attempt >= retries || !RETRY_ERROR_CODES.includes(error.code)) {
+                throw error;
+            }
+            await sleep(getRetryDelay(attempt));
+            continue;
+        }
+
+        if (attempt >= retries || !RETRY_STATUSES.includes(response.status)) {
+            return response;
+        }
+        const delay = getRetryDelay(attempt, response.headers.get('retry-after'));
+        if (delay === null) {
+            return response;
+        }
+        await sleep(delay);
+    }
+}
+
+/**
+ * Check whether a URL answers at all (any HTTP status counts)
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function isReachable(url, options = {}) {
+    try {
+        await httpFetch(url, { method: 'HEAD', retries: 0, timeout: 5000, ...options });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Proxy a URL is requested through, or null for a direct connection
+ */
+export function getProxyForUrl(url) {
+    const { protocol, hostname, port } = new URL(url);
+    if (isLoopback(hostname) || isExcluded(hostname, port || (protocol === 'https:' ? '443' : '80'))) {
+        return null;
+    }
+    const proxy = protocol === 'https:'
+        ? getEnv('HTTPS_PROXY') || getEnv('HTTP_PROXY')
+        : getEnv('HTTP_PROXY');
+    return proxy || null;
+}
+
+/**
+ * Proxy and CA settings in effect, for the generated clawdbot.yaml
+ *
+ * @returns {{proxy: {http?: string, https?: string, noProxy?: string[]}|null, caFile: string|null}}
+ */
+export function getNetworkSettings() {
+    const proxy = {};
+    if (getEnv('HTTP_PROXY')) {
+        proxy.http = getEnv('HTTP_PROXY');
+    }
+    if (getEnv('HTTPS_PROXY')) {
+        proxy.https = getEnv('HTTPS_PROXY');
+    }
+    if (Object.keys(proxy).length > 0 && getNoProxyList().length > 0) {
+        proxy.noProxy = getNoProxyList();
+    }
+
+    return {
+        proxy: Object.keys(proxy).length > 0 ? proxy : null,
+        caFile: caFile || process.env.NODE_EXTRA_CA_CERTS || null
+    };
+}
+
+/**
+ * Agent for a URL: a proxy agent, an agent with the extra CAs, or none (Node's default)
+ */
+function getAgent(url) {
+    const { protocol } = new URL(url);
+    const proxy = getProxyForUrl(url);
+    const ca = getCaCertificates();
+    const key = `${protocol}${proxy || ''}`;
+
+    if (!agents.has(key)) {
+        let agent;
+        if (proxy && protocol === 'https:') {
+            agent = new HttpsProxyAgent(proxy);
+            if (ca) {
+                // The TLS connection to the target only gets the per-request options, so add the CAs there
+                const connect = agent.connect.bind(agent);
+                agent.connect = (request, options) => connect(request, { ...options, ca });
+            }
+        } else if (proxy) {
+            agent = new HttpProxyAgent(proxy);
+        } else if (protocol === 'https:' && ca) {
+            agent = new https.Agent({ ca });
+        }
+        agents.set(key, agent);
+    }
+    return agents.get(key);
+}
+
+/**
+ * System CAs plus those from --ca-file and NODE_EXTRA_CA_CERTS (null when there are none extra)
+ */
+function getCaCertificates() {
+    if (caCertificates === null) {
+        const files = [caFile, process.env.NODE_EXTRA_CA_CERTS].filter(Boolean);
+        caCertificates = files.length > 0
+            ? [...tls.rootCertificates, ...files.filter(file => fs.existsSync(file)).map(file => fs.readFileSync(file, 'utf8'))]
+            : false;
+    }
+    return caCertificates || null;
+}
+
+/**
+ * Whether NO_PROXY excludes a host ("example.com", ".example.com", "example.com:8080" or "*")
+ */
+function isExcluded(hostname, port) {
+    return getNoProxyList().some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+        const [host, entryPort] = entry.split(':');
+        if (entryPort && entryPort !== port) {
+            return false;
+        }
+        const domain = host.replace(/^\*?\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * NO_PROXY entries
+ */
+function getNoProxyList() {
+    return (getEnv('NO_PROXY') || '')
+        .split(/[\s,]+/)
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Proxy variables are read in either case; lower case wins as it does for curl
+ */
+function getEnv(name) {
+    return process.env[name.toLowerCase()] || process.env[name] || '';
+}
+
+/**
+ * Check for a localhost-only address
+ */
+function isLoopback(hostname) {
+    return hostname === 'localhost' || hostname === '[::1]' || hostname === '::1' || hostname.startsWith('127.');
+}
+
+/**
+ * Milliseconds to wait before the next attempt, or null when Retry-After asks for too long
+ *
+ * Exponential (0.5s, 1s, 2s, ...) with jitter unless the server says how long to wait.
+ */
+function getRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return delay > MAX_RETRY_DELAY_MS ? null : Math.max(delay, 0);
+        }
+    }
+    const delay = BASE_RETRY_DELAY_MS * 2 ** attempt;
+    return Math.min(delay + Math.random() * delay / 2, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
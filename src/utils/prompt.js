@@ -0,0 +1,299 @@
+/**
+ * Prompt Adapter - Single entry point for every question the wizard asks
+ *
+ * Interactive runs go straight to inquirer. When an answers document has been
+ * loaded (`openclaw-setup --answers setup.yaml`), each question is resolved from
+ * that document instead, using the same `validate`/`filter` rules the prompt
+ * would apply, so a scripted run produces exactly what an interactive run would.
+ *
+ * Any run can also be recorded (`--record answers.yaml`) into a document of the
+ * same shape. Secrets (password prompts) are recorded as `${ENV_VAR}` placeholders
+ * and expanded from the environment again when the file is replayed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import inquirer from 'inquirer';
+import { writeFile } from './fileOps.js';
+
+const VERSION = '1.1.0-beta.1';
+
+/**
+ * How often one answer may be used before a run is treated as stuck. An answers
+ * document gives the same answer every time, so a flow that asks again after
+ * a "no" would otherwise loop forever.
+ */
+const MAX_ANSWER_USES = 5;
+
+let answersDocument = null;
+let answersSource = null;
+let answerUses = new Map();
+let recording = null;
+
+/**
+ * Ask a group of questions
+ *
+ * `scope` is the dotted path of the questions inside an answers document,
+ * e.g. `providers.anthropic` for the Anthropic key and model prompts.
+ */
+export async function ask(scope, questions) {
+    const answers = answersDocument
+        ? await resolveFromAnswers(scope, questions)
+        : await inquirer.prompt(questions);
+
+    if (recording) {
+        recordAnswers(scope, questions, answers);
+    }
+
+    return answers;
+}
+
+/**
+ * Load an answers file (YAML or JSON) and switch prompts to non-interactive mode
+ */
+export function loadAnswersFile(filePath) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Answers file not found: ${resolvedPath}`);
+    }
+
+    let document;
+    try {
+        // js-yaml parses JSON as well, so one loader covers both formats
+        document = yaml.load(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse answers file ${resolvedPath}: ${error.message}`);
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error(`Answers file ${resolvedPath} must contain a mapping of sections to answers`);
+    }
+
+    useAnswers(document, resolvedPath);
+    return document;
+}
+
+/**
+ * Use an in-memory answers document for all following prompts
+ */
+export function useAnswers(document, source = 'answers document') {
+    answersDocument = document;
+    answersSource = source;
+    answerUses = new Map();
+}
+
+/**
+ * Whether prompts are being answered from a document rather than a person
+ */
+export function isNonInteractive() {
+    return answersDocument !== null;
+}
+
+/**
+ * Resolve a group of questions from the loaded answers document
+ */
+async function resolveFromAnswers(scope, questions) {
+    const section = getSection(scope);
+    const answers = {};
+
+    for (const question of questions) {
+        if (typeof question.when === 'function' && !(await question.when(answers))) {
+            continue;
+        }
+        if (question.when === false) {
+            continue;
+        }
+
+        const answerPath = `${scope}.${question.name}`;
+        const uses = (answerUses.get(answerPath) || 0) + 1;
+        if (uses > MAX_ANSWER_USES) {
+            throw new Error(
+                `"${answerPath}" was asked ${MAX_ANSWER_USES} times with the same answer from ${answersSource}; ` +
+                'a later answer keeps sending the setup back to it. Change the answers so the setup can move on.'
+            );
+        }
+        answerUses.set(answerPath, uses);
+
+        let value = section ? section[question.name] : undefined;
+
+        if (value === undefined || value === null) {
+            throw new Error(
+                `Missing answer for "${answerPath}" in ${answersSource}` +
+                (question.message ? ` (${question.message})` : '')
+            );
+        }
+
+        // YAML reads an unquoted 2024-10-21 as a date; prompts only ever produce text
+        if (value instanceof Date) {
+            value = formatDate(value);
+        }
+
+        if (typeof value === 'string') {
+            value = expandEnvPlaceholders(value, answerPath);
+        }
+
+        // Free-text answers go through the same filter the prompt would apply
+        if (typeof question.filter === 'function' && typeof value === 'string') {
+            value = await question.filter(value, answers);
+        }
+
+        checkChoice(question, value, answerPath);
+
+        if (typeof question.validate === 'function') {
+            const result = await question.validate(value, answers);
+            if (result !== true) {
+                const reason = typeof result === 'string' ? result : 'rejected by validation';
+                throw new Error(`Invalid answer for "${answerPath}" in ${answersSource}: ${reason}`);
+            }
+        }
+
+        answers[question.name] = value;
+    }
+
+    return answers;
+}
+
+/**
+ * Turn a date from the answers file back into the text it was written as (2024-10-21, or a full timestamp)
+ */
+function formatDate(date) {
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Replace `${ENV_VAR}` placeholders with values from the environment
+ */
+function expandEnvPlaceholders(value, answerPath) {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (placeholder, name) => {
+        if (process.env[name] === undefined) {
+            throw new Error(
+                `Answer for "${answerPath}" in ${answersSource} references ${placeholder}, ` +
+                `but ${name} is not set in the environment`
+            );
+        }
+        return process.env[name];
+    });
+}
+
+/**
+ * Start capturing every answer given during this run
+ */
+export function startRecording(filePath) {
+    recording = {
+        filePath: path.resolve(process.cwd(), filePath),
+        document: {},
+        secrets: new Set()
+    };
+}
+
+/**
+ * Write the captured answers to the recording file
+ *
+ * @returns {string|null} Path of the written file, or null when not recording
+ */
+export function saveRecording() {
+    if (!recording) {
+        return null;
+    }
+
+    const secrets = [...recording.secrets];
+    const header = [
+        `# OpenClaw Setup Agent answers - recorded by v${VERSION} on ${new Date().toISOString()}`,
+        '# Replay with: openclaw-setup --answers ' + path.basename(recording.filePath),
+        ...(secrets.length > 0
+            ? ['#', '# Secrets are not stored in this file. Export these before replaying:', ...secrets.map(name => `#   ${name}`)]
+            : []),
+        '',
+        ''
+    ].join('\n');
+
+    const body = yaml.dump(recording.document, { indent: 2, lineWidth: 100, noRefs: true });
+    writeFile(recording.filePath, header + body, { mode: 0o600 });
+
+    return recording.filePath;
+}
+
+/**
+ * Store answers under their scope, swapping secrets for env placeholders
+ */
+function recordAnswers(scope, questions, answers) {
+    const section = scope.split('.').reduce((parent, key) => {
+        if (!parent[key] || typeof parent[key] !== 'object') {
+            parent[key] = {};
+        }
+        return parent[key];
+    }, recording.document);
+
+    for (const question of questions) {
+        if (!(question.name in answers)) continue;
+
+        if (question.type === 'password') {
+            const envVar = question.envVar || toEnvVarName(scope, question.name);
+            recording.secrets.add(envVar);
+            section[question.name] = `\${${envVar}}`;
+        } else {
+            section[question.name] = answers[question.name];
+        }
+    }
+}
+
+/**
+ * Derive an environment variable name for a secret without an explicit `envVar`
+ */
+function toEnvVarName(scope, name) {
+    return ['OPENCLAW', ...scope.split('.'), name]
+        .join('_')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9_]/g, '_')
+        .toUpperCase();
+}
+
+/**
+ * Walk the answers document down to the section for a scope
+ */
+function getSection(scope) {
+    return scope.split('.').reduce((section, key) => {
+        if (!section || typeof section !== 'object') return undefined;
+        return section[key];
+    }, answersDocument);
+}
+
+/**
+ * Make sure list/checkbox/confirm answers are values the prompt could have produced
+ */
+function checkChoice(question, value, answerPath) {
+    if (question.type === 'confirm' && typeof value !== 'boolean') {
+        throw new Error(`Invalid answer for "${answerPath}" in ${answersSource}: expected true or false`);
+    }
+
+    if (!Array.isArray(question.choices)) {
+        return;
+    }
+
+    const allowed = question.choices
+        .filter(choice => choice && choice.type !== 'separator')
+        .map(choice => (typeof choice === 'object' ? choice.value : choice));
+
+    if (question.type === 'list' && !allowed.includes(value)) {
+        throw new Error(
+            `Invalid answer for "${answerPath}" in ${answersSource}: ` +
+            `expected one of ${allowed.join(', ')}`
+        );
+    }
+
+    if (question.type === 'checkbox') {
+        if (!Array.isArray(value)) {
+            throw new Error(`Invalid answer for "${answerPath}" in ${answersSource}: expected a list`);
+        }
+        const unknown = value.filter(item => !allowed.includes(item));
+        if (unknown.length > 0) {
+            throw new Error(
+                `Invalid answer for "${answerPath}" in ${answersSource}: ` +
+                `unknown value(s) ${unknown.join(', ')} (expected any of ${allowed.join(', ')})`
+            );
+        }
+    }
+}
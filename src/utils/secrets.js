@@ -0,0 +1,340 @@
+/**
+ * Secrets - Keep API keys and bot tokens out of clawdbot.yaml
+ *
+ * In `env` mode the generator stores each secret in ~/.openclaw/.env (mode 600)
+ * and writes a `${ANTHROPIC_API_KEY}`-style reference into the YAML instead.
+ * In `vault` mode it stores them in the encrypted vault (see ./vault.js) and
+ * writes `${vault:ANTHROPIC_API_KEY}`. In the default `inline` mode secrets are
+ * written into the YAML as before. Secrets the setup agent generates itself (the
+ * gateway token) always go to the .env file or vault, whatever the mode.
+ * `${VAR}` references are resolved from the process environment first, then the
+ * .env file; `${vault:NAME}` references from the vault.
+ */
+
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { writeFile, readFile } from './fileOps.js';
+import { unlockVault, getVaultEntry, setVaultEntry, saveVault } from './vault.js';
+
+export const SECRETS_MODES = ['inline', 'env', 'vault'];
+
+/**
+ * Environment variable names for the API keys of vendors that are configured at
+ * most once (the same names `--record` uses for its placeholders). Provider types
+ * that can be added several times (custom, local-server and subscription bridge
+ * providers) are named after the provider instead.
+ */
+const PROVIDER_ENV_VARS = {
+    anthropic: 'ANTHROPIC_API_KEY',
+    openai: 'OPENAI_API_KEY',
+    'azure-openai': 'AZURE_OPENAI_API_KEY',
+    openrouter: 'OPENROUTER_API_KEY',
+    mistral: 'MISTRAL_API_KEY',
+    groq: 'GROQ_API_KEY',
+    deepseek: 'DEEPSEEK_API_KEY',
+    together: 'TOGETHER_API_KEY',
+    'nvidia-nim': 'NVIDIA_API_KEY',
+    litellm: 'LITELLM_MASTER_KEY',
+    'google-ai': 'GEMINI_API_KEY',
+    huggingface: 'HF_TOKEN'
+};
+
+/**
+ * Channel settings that hold secrets
+ */
+const CHANNEL_SECRET_FIELDS = ['botToken', 'appToken', 'signingSecret'];
+
+/**
+ * Marker values the generator uses where no real secret exists yet
+ */
+const PLACEHOLDER_VALUES = new Set(['free-tier', 'setup-required']);
+
+const REFERENCE_PATTERN = /\$\{(vault:)?([A-Z0-9_]+)\}/g;
+const SINGLE_REFERENCE_PATTERN = /^\$\{(vault:)?([A-Z0-9_]+)\}$/;
+
+let secretsMode = 'inline';
+const pendingSecrets = new Map();
+
+/**
+ * Choose where secrets are written ('inline', 'env' or 'vault')
+ */
+export function setSecretsMode(mode = 'inline') {
+    if (!SECRETS_MODES.includes(mode)) {
+        throw new Error(`Unknown secrets mode "${mode}". Choose one of: ${SECRETS_MODES.join(', ')}`);
+    }
+    secretsMode = mode;
+}
+
+/**
+ * Current secrets mode
+ */
+export function getSecretsMode() {
+    return secretsMode;
+}
+
+/**
+ * Location of the secrets env file
+ */
+export function getEnvFilePath() {
+    return path.join(os.homedir(), '.openclaw', '.env');
+}
+
+/**
+ * Environment variable that holds a provider's API key (ACME_API_KEY for a provider named acme)
+ */
+export function getProviderEnvVar(provider) {
+    return PROVIDER_ENV_VARS[provider.type] || toEnvVarName(provider.name, 'apiKey');
+}
+
+/**
+ * Move a provider's API key out of the YAML (in env mode)
+ */
+export function storeProviderSecret(provider) {
+    return storeSecret(getProviderEnvVar(provider), provider.apiKey, `providers.${provider.name}.apiKey`);
+}
+
+/**
+ * Move the secret settings of a channel out of the YAML (in env mode)
+ */
+export function storeChannelSecrets(channelName, channelConfig) {
+    CHANNEL_SECRET_FIELDS
+        .filter(field => typeof channelConfig[field] === 'string')
+        .forEach(field => {
+            channelConfig[field] = storeSecret(toEnvVarName(channelName, field), channelConfig[field], `channels.${channelName}.${field}`);
+        });
+    return channelConfig;
+}
+
+/**
+ * Queue a secret for the env file or vault and return the value to put in the YAML
+ *
+ * @param {string} envVar - Name to store the secret under
+ * @param {string} value - The secret
+ * @param {string} [owner] - Setting the reference goes into (providers.acme.apiKey); with it,
+ *   saveSecrets refuses to replace a stored value that another setting still refers to
+ */
+export function storeSecret(envVar, value, owner) {
+    if (secretsMode === 'inline' || !value || PLACEHOLDER_VALUES.has(value) || isSecretReference(value)) {
+        return value;
+    }
+
+    return queueSecret(envVar, value, secretsMode, owner);
+}
+
+/**
+ * Queue a secret the setup agent created itself, which never goes into the YAML
+ *
+ * It is stored in the vault in vault mode and in ~/.openclaw/.env otherwise.
+ * When the setting already holds a reference, the secret replaces the entry that
+ * reference points to.
+ *
+ * @param {string} envVar - Name to store the secret under
+ * @param {string} value - The secret
+ * @param {string} [currentValue] - Current value of the setting
+ * @returns {string} The reference to put in the YAML
+ */
+export function storeGeneratedSecret(envVar, value, currentValue) {
+    const reference = isSecretReference(currentValue) ? currentValue.match(SINGLE_REFERENCE_PATTERN) : null;
+    if (reference) {
+        return queueSecret(reference[2], value, reference[1] ? 'vault' : 'env');
+    }
+    return queueSecret(envVar, value, secretsMode === 'vault' ? 'vault' : 'env');
+}
+
+/**
+ * Write queued secrets to ~/.openclaw/.env and/or the vault, keeping any other entries
+ *
+ * A stored value is only replaced when no other setting of the existing config
+ * refers to it; otherwise nothing is written and an error names that setting.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - The existing clawdbot.yaml, parsed
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function saveSecrets(options = {}) {
+    const pending = new Map(pendingSecrets);
+    pendingSecrets.clear();
+
+    const byStore = { env: {}, vault: {} };
+    pending.forEach(({ value, store }, name) => {
+        byStore[store][name] = value;
+    });
+
+    const references = findSecretReferences(options.config);
+    const vault = Object.keys(byStore.vault).length > 0 ? await unlockVault({ create: true }) : null;
+    const envFile = loadEnvFile();
+    pending.forEach(({ value, store, owner }, name) => {
+        const stored = store === 'vault' ? getVaultEntry(vault, name) : envFile[name];
+        const users = (references.get(`${store}:${name}`) || []).filter(setting => setting !== owner);
+        if (owner && stored !== undefined && stored !== value && users.length > 0) {
+            throw new Error(
+                `Not replacing ${name} for ${owner}: ${users.join(', ')} in clawdbot.yaml still uses the value stored under it. ` +
+                'Give the provider another name, or point that setting at its own secret first.'
+            );
+        }
+    });
+
+    const written = [];
+    if (vault) {
+        Object.entries(byStore.vault).forEach(([name, value]) => setVaultEntry(vault, name, value));
+        written.push(saveVault(vault));
+    }
+    if (Object.keys(byStore.env).length > 0) {
+        written.push(saveEnvFile(byStore.env));
+    }
+    return written;
+}
+
+/**
+ * Add entries to ~/.openclaw/.env (mode 600)
+ *
+ * @returns {string} Path of the env file
+ */
+function saveEnvFile(newEntries) {
+    const envPath = getEnvFilePath();
+    const entries = { ...loadEnvFile(), ...newEntries };
+    const content = [
+        '# OpenClaw secrets - referenced from clawdbot.yaml as ${NAME}',
+        '# Keep this file private (mode 600) and out of version control and support tickets.',
+        '',
+        ...Object.entries(entries).map(([name, value]) => `${name}=${formatEnvValue(value)}`),
+        ''
+    ].join('\n');
+
+    writeFile(envPath, content, { mode: 0o600, redact: redactEnvValues });
+    return envPath;
+}
+
+/**
+ * Replace every value of an env file with a short fingerprint, so a dry-run diff shows
+ * which entries change without printing them
+ */
+function redactEnvValues(content) {
+    return content.replace(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*)(.+)$/gm, (line, assignment, value) =>
+        `${assignment}<redacted ${crypto.createHash('sha256').update(value).digest('hex').slice(0, 8)}>`);
+}
+
+/**
+ * Remember a secret until saveSecrets and return its reference
+ */
+function queueSecret(name, value, store, owner) {
+    const queued = pendingSecrets.get(name);
+    if (owner && queued?.owner && queued.owner !== owner && queued.value !== value) {
+        throw new Error(`${owner} and ${queued.owner} would both store their secret as ${name}. Give one of them another name.`);
+    }
+    pendingSecrets.set(name, { value, store, owner });
+    return store === 'vault' ? `\${vault:${name}}` : `\${${name}}`;
+}
+
+/**
+ * Check whether a value is a marker the generator uses where no real secret exists yet
+ */
+export function isPlaceholderSecret(value) {
+    return PLACEHOLDER_VALUES.has(value);
+}
+
+/**
+ * Check whether a value is exactly one `${VAR}` or `${vault:NAME}` reference
+ */
+export function isSecretReference(value) {
+    return typeof value === 'string' && SINGLE_REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * Deep-copy a value with every secret reference replaced by its value
+ *
+ * The vault is only unlocked (asking for its passphrase) when a `${vault:NAME}`
+ * reference is present.
+ *
+ * @returns {Promise<{value: *, missing: string[]}>} Resolved copy, plus the references that could not be resolved
+ */
+export async function resolveSecretReferences(value) {
+    const envFile = loadEnvFile();
+    const vault = JSON.stringify(value).includes('${vault:') ? await unlockVault() : null;
+    const missing = new Set();
+
+    const resolve = item => {
+        if (typeof item === 'string') {
+            return item.replace(REFERENCE_PATTERN, (reference, vaultPrefix, name) => {
+                const resolved = vaultPrefix
+                    ? getVaultEntry(vault, name)
+                    : process.env[name] ?? envFile[name];
+                if (resolved === undefined) {
+                    missing.add(reference);
+                    return reference;
+                }
+                return resolved;
+            });
+        }
+        if (Array.isArray(item)) {
+            return item.map(resolve);
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, resolve(child)]));
+        }
+        return item;
+    };
+
+    return { value: resolve(value), missing: [...missing] };
+}
+
+/**
+ * Parse ~/.openclaw/.env (KEY=value lines, optional quotes and `export`)
+ */
+export function loadEnvFile() {
+    const content = readFile(getEnvFilePath());
+    if (content === null) {
+        return {};
+    }
+
+    const entries = {};
+    for (const line of content.split('\n')) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) continue;
+
+        let [, name, value] = match;
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            value = value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+        } else if (value.startsWith('\'') && value.endsWith('\'') && value.length >= 2) {
+            value = value.slice(1, -1);
+        }
+        entries[name] = value;
+    }
+    return entries;
+}
+
+/**
+ * Settings of a config that are a secret reference, by `env:NAME` or `vault:NAME`
+ *
+ * @returns {Map<string, string[]>} Dotted paths of the settings
+ */
+function findSecretReferences(config, keyPath = [], references = new Map()) {
+    if (isSecretReference(config)) {
+        const [, vaultPrefix, name] = config.match(SINGLE_REFERENCE_PATTERN);
+        const key = `${vaultPrefix ? 'vault' : 'env'}:${name}`;
+        references.set(key, [...(references.get(key) || []), keyPath.join('.')]);
+    } else if (config && typeof config === 'object') {
+        Object.entries(config).forEach(([key, child]) => findSecretReferences(child, [...keyPath, key], references));
+    }
+    return references;
+}
+
+/**
+ * Quote env values that contain anything beyond plain token characters
+ */
+function formatEnvValue(value) {
+    return /^[A-Za-z0-9_\-.:\/+=@]*$/.test(value)
+        ? value
+        : `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Derive an env var name such as TELEGRAM_BOT_TOKEN from a name and field
+ */
+function toEnvVarName(name, field) {
+    return `${name}_${field}`
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9_]/g, '_')
+        .toUpperCase();
+}
@@ -7,23 +7,40 @@ import path from 'path';
 import os from 'os';
 import chalk from 'chalk';
 import { execSync } from 'child_process';
+import { chmod } from './fileOps.js';
+import { isSecretReference } from './secrets.js';
+import { generateGatewayToken, storeGatewayToken } from './gatewayToken.js';
+
+/**
+ * Settings hardening replaces in an existing clawdbot.yaml (everything else it only adds when missing)
+ */
+export const HARDENED_SETTINGS = ['gateway.host', 'authentication.mode', 'authentication.token', 'dmPolicy', 'groupPolicy'];
 
 /**
  * Apply security hardening to the generated configuration
+ *
+ * Field names follow the config schema (src/schema/clawdbot.v1.schema.json).
+ * A newly generated gateway token is returned as `gatewayToken` so the caller can
+ * show it once; it is stored by the next writeConfig.
+ *
+ * @param {Object} configData - Generated config data ({ config, configPath }) or a plain config
+ * @param {string} configPath - Config file whose permissions are restricted
  */
-export function applySecurityHardening(config, configPath) {
+export function applySecurityHardening(configData, configPath) {
     console.log(chalk.blue('\n🛡️  Applying security hardening...'));
     
+    const config = configData.config || configData;
+    
     const securityResults = {
         applied: [],
         warnings: [],
         recommendations: []
     };
 
-    // 1. Set gateway address to localhost only
-    if (config.gateway && config.gateway.address !== '127.0.0.1') {
-        config.gateway.address = '127.0.0.1';
-        securityResults.applied.push('Gateway address set to 127.0.0.1 (localhost only)');
+    // 1. Bind the gateway to localhost only
+    if (config.gateway && config.gateway.host !== '127.0.0.1') {
+        config.gateway.host = '127.0.0.1';
+        securityResults.applied.push('Gateway host set to 127.0.0.1 (localhost only)');
     }
 
     // 2. Enable token authentication
@@ -34,6 +51,11 @@ export function applySecurityHardening(config, configPath) {
         config.authentication.mode = 'token';
         securityResults.applied.push('Authentication mode set to "token"');
     }
+    if (!config.authentication.token) {
+        securityResults.gatewayToken = generateGatewayToken();
+        storeGatewayToken(config, securityResults.gatewayToken);
+        securityResults.applied.push(`Gateway access token generated (stored as ${config.authentication.token}, not in clawdbot.yaml)`);
+    }
 
     // 3. Set restrictive policies
     if (!config.dmPolicy || config.dmPolicy !== 'pairing') {
@@ -48,25 +70,9 @@ export function applySecurityHardening(config, configPath) {
 
     // 4. Secure file permissions
     if (configPath) {
-        try {
-            // Set restrictive permissions (700 = rwx------)
-            fs.chmodSync(configPath, 0o700);
-            securityResults.applied.push('Configuration file permissions set to 700 (owner only)');
-        } catch (error) {
-            securityResults.warnings.push('Could not set secure file permissions: ' + error.message);
-        }
-
-        // Also secure the directory
-        try {
-            const configDir = path.dirname(configPath);
-            const stats = fs.statSync(configDir);
-            if ((stats.mode & 0o777) !== 0o700) {
-                fs.chmodSync(configDir, 0o700);
-                securityResults.applied.push('Configuration directory permissions secured');
-            }
-        } catch (error) {
-            securityResults.warnings.push('Could not secure configuration directory: ' + error.message);
-        }
+        const permissions = secureConfigPermissions(configPath);
+        securityResults.applied.push(...permissions.applied);
+        securityResults.warnings.push(...permissions.warnings);
     }
 
     // 5. Add security headers and settings
@@ -75,12 +81,12 @@ export function applySecurityHardening(config, configPath) {
     }
 
     // Rate limiting
-    if (!config.security.rateLimit) {
-        config.security.rateLimit = {
+    if (!config.security.rateLimiting) {
+        config.security.rateLimiting = {
             enabled: true,
             maxRequests: 60,
-            windowMinutes: 1,
-            blockDuration: 300 // 5 minutes
+            windowMs: 60000,
+            blockDurationMs: 300000 // 5 minutes
         };
         securityResults.applied.push('Rate limiting enabled (60 requests/minute)');
     }
@@ -127,6 +133,38 @@ export function applySecurityHardening(config, configPath) {
     return securityResults;
 }
 
+/**
+ * Restrict the config file and its directory to the owner
+ *
+ * @param {string} configPath - Config file
+ * @returns {{applied: string[], warnings: string[]}}
+ */
+export function secureConfigPermissions(configPath) {
+    const results = { applied: [], warnings: [] };
+
+    try {
+        // Set restrictive permissions (700 = rwx------)
+        chmod(configPath, 0o700);
+        results.applied.push('Configuration file permissions set to 700 (owner only)');
+    } catch (error) {
+        results.warnings.push('Could not set secure file permissions: ' + error.message);
+    }
+
+    // Also secure the directory
+    try {
+        const configDir = path.dirname(configPath);
+        const stats = fs.statSync(configDir);
+        if ((stats.mode & 0o777) !== 0o700) {
+            chmod(configDir, 0o700);
+            results.applied.push('Configuration directory permissions secured');
+        }
+    } catch (error) {
+        results.warnings.push('Could not secure configuration directory: ' + error.message);
+    }
+
+    return results;
+}
+
 /**
  * Generate security recommendations based on configuration
  */
@@ -186,9 +224,15 @@ function generateSecurityRecommendations(securityResults, config) {
  * Check if configuration contains API keys
  */
 function hasAPIKeys(config) {
-    if (!config.providers) return false;
+    // Accepts the generated config data ({ config, configPath }) or a plain config
+    const providers = config.config ? config.config.providers : config.providers;
+    if (!providers) return false;
     
-    for (const provider of config.providers) {
+    for (const provider of Object.values(providers)) {
+        // A ${VAR} reference means the key lives in ~/.openclaw/.env
+        if (isSecretReference(provider.apiKey)) {
+            return true;
+        }
         if (provider.apiKey && provider.apiKey !== 'setup-required') {
             return true;
         }
@@ -290,15 +334,18 @@ export function validateSecurityConfig(config) {
     const suggestions = [];
 
     // Check gateway binding
-    if (config.gateway && config.gateway.address === '0.0.0.0') {
+    if (config.gateway && config.gateway.host === '0.0.0.0') {
         issues.push('Gateway bound to 0.0.0.0 - accessible from any network interface');
-        suggestions.push('Change gateway.address to "127.0.0.1" for localhost only');
+        suggestions.push('Change gateway.host to "127.0.0.1" for localhost only');
     }
 
     // Check authentication
     if (!config.authentication || config.authentication.mode !== 'token') {
         issues.push('Token authentication not enabled');
         suggestions.push('Enable token authentication for better security');
+    } else if (!config.authentication.token) {
+        issues.push('Token authentication is enabled but no gateway token is set');
+        suggestions.push('Create one with: openclaw-setup token rotate');
     }
 
     // Check policies
@@ -0,0 +1,236 @@
+/**
+ * Setup Session - Checkpoint each completed setup step so a run can be resumed
+ *
+ * After every numbered step the result is written to ~/.openclaw/setup-session.json.
+ * API keys, bot tokens and the generated YAML (which embeds them) are encrypted with
+ * AES-256-GCM using a random per-session key kept in a separate 600-mode key file, so
+ * the session file itself can be shared in a support ticket without leaking secrets.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { isDryRun } from './fileOps.js';
+
+const SESSION_VERSION = 1;
+const AGENT_VERSION = '1.1.0-beta.1';
+
+/**
+ * Field names whose values are secrets and must never be stored in plain text
+ */
+const SECRET_FIELDS = new Set([
+    'apiKey',
+    'botToken',
+    'appToken',
+    'signingSecret',
+    'token',
+    'databaseUrl',
+    'yamlContent'
+]);
+
+/**
+ * Location of the session checkpoint file
+ */
+export function getSessionPath() {
+    return path.join(os.homedir(), '.openclaw', 'setup-session.json');
+}
+
+/**
+ * Location of the key that encrypts secrets inside the session file
+ */
+function getSessionKeyPath() {
+    return path.join(os.homedir(), '.openclaw', 'setup-session.key');
+}
+
+/**
+ * Check whether an unfinished session exists on disk
+ */
+export function hasSavedSession() {
+    return fs.existsSync(getSessionPath());
+}
+
+/**
+ * Open a setup session
+ *
+ * With `resume` the saved checkpoints are loaded; otherwise a fresh session is
+ * started (the previous one is only replaced once the first step completes).
+ */
+export function openSession({ resume = false } = {}) {
+    if (resume && hasSavedSession()) {
+        const saved = JSON.parse(fs.readFileSync(getSessionPath(), 'utf8'));
+
+        if (saved.version !== SESSION_VERSION) {
+            throw new Error(`Saved setup session uses format v${saved.version}, expected v${SESSION_VERSION}. Start a new setup instead.`);
+        }
+
+        const key = readSessionKey();
+        return {
+            ...saved,
+            resumed: true,
+            key,
+            data: decryptSecrets(saved.data, key)
+        };
+    }
+
+    return {
+        version: SESSION_VERSION,
+        agentVersion: AGENT_VERSION,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        completedSteps: [],
+        data: {},
+        resumed: false,
+        key: crypto.randomBytes(32)
+    };
+}
+
+/**
+ * Check whether a step was completed in this session
+ */
+export function hasCheckpoint(session, step) {
+    return session.completedSteps.includes(step);
+}
+
+/**
+ * Get the saved result of a completed step
+ */
+export function getCheckpoint(session, step) {
+    return session.data[step];
+}
+
+/**
+ * Record a completed step and persist the session
+ */
+export function saveCheckpoint(session, step, result) {
+    session.data[step] = result;
+    if (!session.completedSteps.includes(step)) {
+        session.completedSteps.push(step);
+    }
+    session.updatedAt = new Date().toISOString();
+
+    writeSession(session);
+}
+
+/**
+ * Persist the session, encrypting its secrets
+ */
+function writeSession(session) {
+    // A dry run keeps its checkpoints in memory only
+    if (isDryRun()) {
+        return;
+    }
+
+    const sessionDir = path.dirname(getSessionPath());
+    fs.mkdirSync(sessionDir, { recursive: true, mode: 0o700 });
+
+    // Always written: a key file left behind by an earlier, interrupted run holds another session's key
+    const keyPath = getSessionKeyPath();
+    fs.writeFileSync(keyPath, session.key.toString('base64'), { mode: 0o600 });
+    fs.chmodSync(keyPath, 0o600);
+
+    const persisted = {
+        version: session.version,
+        agentVersion: session.agentVersion,
+        startedAt: session.startedAt,
+        updatedAt: session.updatedAt,
+        completedSteps: session.completedSteps,
+        data: encryptSecrets(session.data, session.key)
+    };
+
+    fs.writeFileSync(getSessionPath(), JSON.stringify(persisted, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Forget completed steps (e.g. because a step they depend on was re-run)
+ */
+export function removeCheckpoints(session, steps) {
+    const removed = steps.filter(step => session.completedSteps.includes(step));
+    if (removed.length === 0) {
+        return;
+    }
+
+    session.completedSteps = session.completedSteps.filter(step => !removed.includes(step));
+    removed.forEach(step => delete session.data[step]);
+    session.updatedAt = new Date().toISOString();
+
+    writeSession(session);
+}
+
+/**
+ * Remove the session once setup has finished
+ */
+export function clearSession() {
+    if (isDryRun()) {
+        return;
+    }
+
+    for (const filePath of [getSessionPath(), getSessionKeyPath()]) {
+        try {
+            fs.unlinkSync(filePath);
+        } catch (error) {
+            // Already gone
+        }
+    }
+}
+
+/**
+ * Read the session key, failing clearly if it has been removed
+ */
+function readSessionKey() {
+    try {
+        return Buffer.from(fs.readFileSync(getSessionKeyPath(), 'utf8'), 'base64');
+    } catch (error) {
+        throw new Error(`Setup session key is missing (${getSessionKeyPath()}). Start a new setup instead.`);
+    }
+}
+
+/**
+ * Deep-copy a value, encrypting every secret field
+ */
+function encryptSecrets(value, key, fieldName = null) {
+    if (fieldName && SECRET_FIELDS.has(fieldName) && typeof value === 'string') {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        return {
+            $encrypted: [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':')
+        };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => encryptSecrets(item, key));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([name, item]) => [name, encryptSecrets(item, key, name)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Deep-copy a value, decrypting every encrypted field
+ */
+function decryptSecrets(value, key) {
+    if (value && typeof value === 'object' && typeof value.$encrypted === 'string') {
+        const [iv, tag, data] = value.$encrypted.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => decryptSecrets(item, key));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([name, item]) => [name, decryptSecrets(item, key)])
+        );
+    }
+
+    return value;
+}
@@ -0,0 +1,268 @@
+/**
+ * Secrets Vault - Passphrase-encrypted store for provider keys and channel tokens
+ *
+ * ~/.openclaw/secrets.vault is a JSON file (mode 600). Entry names are visible so
+ * `vault list` works without the passphrase; every value is encrypted with
+ * AES-256-GCM under a key derived from the passphrase with scrypt. A known
+ * check value is encrypted alongside, so a wrong passphrase fails clearly even
+ * before any entry is read.
+ *
+ * The passphrase comes from OPENCLAW_VAULT_PASSPHRASE when set, otherwise it is
+ * asked for once per run (`vault rekey` reads the new one from
+ * OPENCLAW_VAULT_NEW_PASSPHRASE).
+ */
+
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { ask } from './prompt.js';
+import { writeFile, readFile } from './fileOps.js';
+
+const VAULT_VERSION = 1;
+const CHECK_VALUE = 'openclaw-vault';
+const PASSPHRASE_ENV_VAR = 'OPENCLAW_VAULT_PASSPHRASE';
+const NEW_PASSPHRASE_ENV_VAR = 'OPENCLAW_VAULT_NEW_PASSPHRASE';
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const ENTRY_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+let unlockedVault = null;
+
+/**
+ * Location of the vault file
+ */
+export function getVaultPath() {
+    return path.join(os.homedir(), '.openclaw', 'secrets.vault');
+}
+
+/**
+ * Check whether a vault has been created
+ */
+export function vaultExists() {
+    return readFile(getVaultPath()) !== null;
+}
+
+/**
+ * Names and update times of the stored entries (no passphrase needed)
+ */
+export function listVaultEntries() {
+    const vault = readVaultFile();
+    if (!vault) {
+        return [];
+    }
+
+    return Object.entries(vault.entries)
+        .map(([name, entry]) => ({ name, updatedAt: entry.updatedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Open the vault, asking for the passphrase (or creating the vault) as needed
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create a new vault when none exists
+ */
+export async function unlockVault({ create = false } = {}) {
+    if (unlockedVault) {
+        return unlockedVault;
+    }
+
+    const vault = readVaultFile();
+
+    if (!vault) {
+        if (!create) {
+            throw new Error(`No secrets vault found at ${getVaultPath()}. Add an entry with: openclaw-setup vault set <NAME>`);
+        }
+
+        const passphrase = await askNewPassphrase('Choose a passphrase for the new secrets vault:', PASSPHRASE_ENV_VAR);
+        unlockedVault = createVault(passphrase);
+        return unlockedVault;
+    }
+
+    const passphrase = process.env[PASSPHRASE_ENV_VAR] ?? (await ask('vault', [{
+        type: 'password',
+        name: 'passphrase',
+        envVar: PASSPHRASE_ENV_VAR,
+        message: 'Secrets vault passphrase:',
+        mask: '*'
+    }])).passphrase;
+
+    const key = deriveKey(passphrase, vault.kdf);
+    try {
+        if (decryptValue(vault.check, key) !== CHECK_VALUE) {
+            throw new Error('check value mismatch');
+        }
+    } catch (error) {
+        throw new Error(`Wrong passphrase for the secrets vault at ${getVaultPath()}`);
+    }
+
+    unlockedVault = { ...vault, key };
+    return unlockedVault;
+}
+
+/**
+ * Read one entry from an unlocked vault
+ */
+export function getVaultEntry(vault, name) {
+    const entry = vault.entries[name];
+    return entry ? decryptValue(entry.value, vault.key) : undefined;
+}
+
+/**
+ * Add or replace an entry in an unlocked vault (call saveVault afterwards)
+ */
+export function setVaultEntry(vault, name, value) {
+    if (!ENTRY_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid vault entry name "${name}". Use upper-case letters, digits and underscores (e.g. ANTHROPIC_API_KEY).`);
+    }
+
+    vault.entries[name] = {
+        value: encryptValue(value, vault.key),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Re-encrypt every entry under a new passphrase
+ */
+export async function rekeyVault(vault) {
+    const passphrase = await askNewPassphrase('New vault passphrase:', NEW_PASSPHRASE_ENV_VAR);
+    const rekeyed = createVault(passphrase);
+
+    for (const [name, entry] of Object.entries(vault.entries)) {
+        rekeyed.entries[name] = {
+            value: encryptValue(decryptValue(entry.value, vault.key), rekeyed.key),
+            updatedAt: entry.updatedAt
+        };
+    }
+
+    unlockedVault = rekeyed;
+    return rekeyed;
+}
+
+/**
+ * Write an unlocked vault back to disk
+ */
+export function saveVault(vault) {
+    const persisted = {
+        version: vault.version,
+        cipher: 'aes-256-gcm',
+        kdf: vault.kdf,
+        check: vault.check,
+        entries: vault.entries
+    };
+
+    writeFile(getVaultPath(), JSON.stringify(persisted, null, 2) + '\n', { mode: 0o600, redact: redactVaultValues });
+    return getVaultPath();
+}
+
+/**
+ * Hide the encrypted values in a dry-run diff of the vault (they change on every save)
+ */
+function redactVaultValues(content) {
+    return content.replace(/^(\s*"value": )"[^"]*"/gm, '$1"<encrypted>"');
+}
+
+/**
+ * Read and sanity-check the vault file, or null when there is none
+ */
+function readVaultFile() {
+    const content = readFile(getVaultPath());
+    if (content === null) {
+        return null;
+    }
+
+    let vault;
+    try {
+        vault = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Secrets vault ${getVaultPath()} is damaged: ${error.message}`);
+    }
+
+    if (vault.version !== VAULT_VERSION) {
+        throw new Error(`Secrets vault uses format v${vault.version}, expected v${VAULT_VERSION}`);
+    }
+
+    return vault;
+}
+
+/**
+ * Start an empty vault protected by a passphrase
+ */
+function createVault(passphrase) {
+    const kdf = {
+        name: 'scrypt',
+        salt: crypto.randomBytes(16).toString('base64'),
+        ...SCRYPT_PARAMS
+    };
+    const key = deriveKey(passphrase, kdf);
+
+    return {
+        version: VAULT_VERSION,
+        kdf,
+        check: encryptValue(CHECK_VALUE, key),
+        entries: {},
+        key
+    };
+}
+
+/**
+ * Ask for a new passphrase twice (or take it from the environment)
+ */
+async function askNewPassphrase(message, envVar) {
+    if (process.env[envVar] !== undefined) {
+        return process.env[envVar];
+    }
+
+    const { passphrase } = await ask('vault', [
+        {
+            type: 'password',
+            name: 'passphrase',
+            envVar,
+            message,
+            mask: '*',
+            validate: (input) => input.length >= 8 || 'Use at least 8 characters'
+        },
+        {
+            type: 'password',
+            name: 'confirmPassphrase',
+            envVar,
+            message: 'Repeat the passphrase:',
+            mask: '*',
+            validate: (input, answers) => input === answers.passphrase || 'Passphrases do not match'
+        }
+    ]);
+
+    return passphrase;
+}
+
+/**
+ * Derive the 256-bit vault key from a passphrase
+ */
+function deriveKey(passphrase, kdf) {
+    return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        maxmem: 128 * kdf.N * kdf.r * 2
+    });
+}
+
+/**
+ * Encrypt a string as "iv:tag:data" (base64 parts)
+ */
+function encryptValue(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt an "iv:tag:data" string
+ */
+function decryptValue(encrypted, key) {
+    const [iv, tag, data] = encrypted.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,107 @@
+/**
+ * Config Schema - Check clawdbot.yaml against the versioned JSON Schema
+ *
+ * The schema (src/schema/clawdbot.v<version>.schema.json) describes every section
+ * the generator writes, so a generator, merge or hardening change that renames a
+ * field or writes the wrong type is reported with its exact path. Settings the
+ * schema doesn't know are only warnings, because hand-added keys are kept when
+ * the file is merged.
+ */
+
+import fs from 'fs';
+import Ajv from 'ajv';
+
+export const CONFIG_SCHEMA_VERSION = 1;
+
+let validateAgainstSchema = null;
+
+/**
+ * The JSON Schema for the current config version
+ */
+export function getConfigSchema() {
+    const schemaUrl = new URL(`../schema/clawdbot.v${CONFIG_SCHEMA_VERSION}.schema.json`, import.meta.url);
+    return JSON.parse(fs.readFileSync(schemaUrl, 'utf8'));
+}
+
+/**
+ * Validate a parsed clawdbot.yaml
+ *
+ * @param {Object} config - Parsed configuration
+ * @returns {{version: number, errors: string[], warnings: string[]}} Messages name the setting's path and what was expected
+ */
+export function validateConfigSchema(config) {
+    if (!validateAgainstSchema) {
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+        validateAgainstSchema = ajv.compile(getConfigSchema());
+    }
+
+    const result = { version: CONFIG_SCHEMA_VERSION, errors: [], warnings: [] };
+    if (validateAgainstSchema(config)) {
+        return result;
+    }
+
+    for (const error of validateAgainstSchema.errors) {
+        // anyOf branches are summarised by the anyOf error itself
+        if (error.schemaPath.includes('/anyOf/')) continue;
+
+        if (error.keyword === 'additionalProperties') {
+            const settingPath = formatPath(error.instancePath, error.params.additionalProperty);
+            result.warnings.push(`${settingPath}: not a known setting in config schema v${CONFIG_SCHEMA_VERSION}`);
+        } else {
+            result.errors.push(formatError(error));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Turn an Ajv error into "<path>: <what was expected>"
+ */
+function formatError(error) {
+    const settingPath = formatPath(error.instancePath);
+
+    switch (error.keyword) {
+        case 'required':
+            return `${formatPath(error.instancePath, error.params.missingProperty)}: required setting is missing`;
+
+        case 'type':
+            return `${settingPath}: expected ${String(error.params.type).replace(/,/g, ' or ')}, got ${describeValue(error.data)}`;
+
+        case 'enum':
+            return `${settingPath}: expected one of ${error.params.allowedValues.join(', ')}, got ${describeValue(error.data)}`;
+
+        case 'anyOf':
+            return `${settingPath}: expected ${error.schema.map(branch => branch.enum ? `one of ${branch.enum.join(', ')}` : branch.type).join(' or ')}, got ${describeValue(error.data)}`;
+
+        default:
+            return `${settingPath}: ${error.message}, got ${describeValue(error.data)}`;
+    }
+}
+
+/**
+ * Dotted path of a setting (e.g. providers.anthropic.maxTokens)
+ */
+function formatPath(instancePath, childKey) {
+    const segments = instancePath
+        .split('/')
+        .slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (childKey !== undefined) {
+        segments.push(childKey);
+    }
+
+    return segments.length > 0 ? segments.join('.') : '(top level)';
+}
+
+/**
+ * Short description of an offending value
+ */
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'a mapping';
+    if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+    return `${typeof value} ${value}`;
+}
@@ -6,7 +6,16 @@ import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
 import { execSync } from 'child_process';
-import fetch from 'node-fetch';
+import { fileExists, readFile, isDryRun } from '../utils/fileOps.js';
+import { resolveSecretReferences, getEnvFilePath } from '../utils/secrets.js';
+import { getVaultPath } from '../utils/vault.js';
+import { validateConfigSchema } from './schema.js';
+import { findCatalogModel, isRetired, isOpenAICompatible, checkKeyFormat, getSubscriptionBridge } from '../providers/catalog.js';
+import { probeCredential, describeProbeResult } from '../providers/credentialProbe.js';
+import { probeLocalServer, LOCAL_SERVER_BACKENDS } from '../providers/localServer.js';
+import { getBridgeConfigPath, getStartCommand } from '../providers/subscriptionBridge.js';
+import { getLiteLLMStartCommand, LITELLM_CONFIG_FILE } from '../generators/litellm.js';
+import { httpFetch } from '../utils/http.js';
 
 /**
  * Validate the complete setup configuration
@@ -49,14 +58,14 @@ async function validateConfigFile(configData, validation) {
     
     try {
         // Check if file exists and is readable
-        if (!fs.existsSync(configData.configPath)) {
+        if (!fileExists(configData.configPath)) {
             validation.errors.push('Configuration file was not created');
             check.status = 'failed';
             return;
         }
         
         // Check if file is valid YAML
-        const fileContent = fs.readFileSync(configData.configPath, 'utf8');
+        const fileContent = readFile(configData.configPath);
         const parsedConfig = yaml.load(fileContent);
         
         if (!parsedConfig) {
@@ -65,19 +74,26 @@ async function validateConfigFile(configData, validation) {
             return;
         }
         
-        // Validate required sections
-        const requiredSections = ['gateway', 'providers', 'channels', 'agent'];
-        const missingSections = requiredSections.filter(section => !parsedConfig[section]);
+        // Validate every section against the config schema
+        const schemaResult = validateConfigSchema(parsedConfig);
+        validation.warnings.push(...schemaResult.warnings);
         
-        if (missingSections.length > 0) {
-            validation.errors.push(`Missing required sections: ${missingSections.join(', ')}`);
+        if (schemaResult.errors.length > 0) {
+            validation.errors.push(...schemaResult.errors.map(error => `Config schema v${schemaResult.version}: ${error}`));
             check.status = 'failed';
             return;
         }
         
-        // Check file permissions
-        const stats = fs.statSync(configData.configPath);
-        if (process.platform !== 'win32') {
+        const routingErrors = checkRoutingReferences(parsedConfig);
+        if (routingErrors.length > 0) {
+            validation.errors.push(...routingErrors);
+            check.status = 'failed';
+            return;
+        }
+        
+        // Check file permissions (a dry run has no file on disk to inspect)
+        if (process.platform !== 'win32' && !isDryRun()) {
+            const stats = fs.statSync(configData.configPath);
             // Check if file is readable by others (potential security risk)
             if (stats.mode & 0o044) {
                 validation.warnings.push('Configuration file is readable by others - consider restricting permissions');
@@ -92,6 +108,26 @@ async function validateConfigFile(configData, validation) {
     }
 }
 
+/**
+ * Check that the model tiers only name configured providers
+ */
+function checkRoutingReferences(config) {
+    const tiers = config.routing?.tiers;
+    if (!tiers) {
+        return [];
+    }
+
+    const references = [
+        ['routing.tiers.primary', tiers.primary],
+        ...(tiers.fallback || []).map((name, index) => [`routing.tiers.fallback.${index}`, name]),
+        ['routing.tiers.onboarding', tiers.onboarding]
+    ];
+
+    return references
+        .filter(([, name]) => name !== undefined && !config.providers[name])
+        .map(([settingPath, name]) => `${settingPath}: "${name}" is not a configured provider (providers: ${Object.keys(config.providers).join(', ')})`);
+}
+
 /**
  * Validate AI providers configuration
  */
@@ -144,12 +180,17 @@ async function validateProviders(providersConfig, validation) {
  */
 async function validateSingleProvider(name, config, validation) {
     try {
+        config = await resolveReferences(`Provider ${name}`, config, validation);
+        if (!config) return false;
+        
         // Check required fields
         if (!config.model) {
             validation.errors.push(`Provider ${name}: Missing model name`);
             return false;
         }
         
+        checkCatalogModel(name, config.model, validation);
+        
         // Validate based on provider type
         if (name === 'anthropic') {
             if (!config.apiKey) {
@@ -164,9 +205,9 @@ async function validateSingleProvider(name, config, validation) {
             
             // Quick API test (if specified in config)
             if (config.apiKey && config.apiKey !== 'your-api-key-here') {
-                const isValid = await testAnthropicConnection(config.apiKey, config.model);
-                if (!isValid) {
-                    validation.warnings.push(`Provider ${name}: API connection test failed`);
+                const result = await probeCredential('anthropic', { apiKey: config.apiKey, model: config.model });
+                if (!result.ok) {
+                    validation.warnings.push(`Provider ${name}: API connection test failed: ${describeProbeResult(result)}`);
                 }
             }
         }
@@ -183,6 +224,50 @@ async function validateSingleProvider(name, config, validation) {
             }
         }
         
+        if (isOpenAICompatible(name)) {
+            if (!config.apiKey) {
+                validation.errors.push(`Provider ${name}: Missing API key`);
+                return false;
+            }
+            
+            const keyFormat = checkKeyFormat(name, config.apiKey);
+            if (keyFormat !== true) {
+                validation.errors.push(`Provider ${name}: Invalid API key format - ${keyFormat}`);
+                return false;
+            }
+            
+            // The config holds the /v1 URL; the probe adds the API path itself
+            const result = await probeCredential(name, {
+                apiKey: config.apiKey,
+                model: config.model,
+                baseUrl: config.baseUrl?.replace(/\/v1\/?$/, '')
+            });
+            if (!result.ok) {
+                validation.warnings.push(`Provider ${name}: API connection test failed: ${describeProbeResult(result)}`);
+            }
+        }
+        
+        if (name === 'azure-openai') {
+            const missing = ['apiKey', 'baseUrl', 'deployment', 'apiVersion'].filter(field => !config[field]);
+            if (missing.length > 0) {
+                validation.errors.push(`Provider ${name}: Missing ${missing.join(', ')}`);
+                return false;
+            }
+            
+            // A one-token chat call checks the endpoint, key, deployment and api-version together
+            if (config.apiKey !== 'your-api-key-here') {
+                const result = await probeCredential('azure-openai', {
+                    apiKey: config.apiKey,
+                    baseUrl: config.baseUrl,
+                    model: config.deployment,
+                    apiVersion: config.apiVersion
+                });
+                if (!result.ok) {
+                    validation.warnings.push(`Provider ${name}: Deployment test failed: ${describeProbeResult(result)}`);
+                }
+            }
+        }
+        
         if (name === 'ollama') {
             if (!config.baseUrl) {
                 validation.errors.push(`Provider ${name}: Missing base URL`);
@@ -196,6 +281,59 @@ async function validateSingleProvider(name, config, validation) {
             }
         }
         
+        if (LOCAL_SERVER_BACKENDS[name] || name === 'local-server') {
+            if (!config.baseUrl) {
+                validation.errors.push(`Provider ${name}: Missing base URL`);
+                return false;
+            }
+            
+            // Test the local server and that it serves the configured model
+            const server = await probeLocalServer(config.baseUrl, config.apiKey);
+            if (!server) {
+                validation.warnings.push(`Provider ${name}: Cannot reach a local model server at ${config.baseUrl}`);
+            } else if (server.requiresKey) {
+                validation.warnings.push(`Provider ${name}: ${server.name} at ${config.baseUrl} rejected the API key`);
+            } else if (!server.models.some(model => model.id === config.model)) {
+                validation.warnings.push(`Provider ${name}: ${server.name} at ${config.baseUrl} does not serve ${config.model}`);
+            }
+        }
+        
+        // Subscription providers go through a bridge on localhost, named after the subscription type
+        const bridge = getSubscriptionBridge(name);
+        if (bridge) {
+            if (!config.baseUrl) {
+                validation.errors.push(`Provider ${name}: Missing base URL`);
+                return false;
+            }
+            
+            const server = await probeLocalServer(config.baseUrl, config.apiKey);
+            if (!server) {
+                validation.warnings.push(`Provider ${name}: ${bridge.name} is not answering at ${config.baseUrl} - start it with: ${getStartCommand(bridge, getBridgeConfigPath(bridge))}`);
+            } else if (server.requiresKey) {
+                validation.warnings.push(`Provider ${name}: ${bridge.name} at ${config.baseUrl} rejected the client key from ${getBridgeConfigPath(bridge)}`);
+            } else if (!server.models.some(model => model.id === config.model)) {
+                validation.warnings.push(`Provider ${name}: ${bridge.name} does not serve ${config.model} - sign in to your ${bridge.subscription.label} account first`);
+            }
+        }
+        
+        if (name === 'litellm') {
+            if (!config.baseUrl) {
+                validation.errors.push(`Provider ${name}: Missing base URL`);
+                return false;
+            }
+            
+            // The gateway lists its model groups (one per provider behind it) at /v1/models
+            const server = await probeLocalServer(config.baseUrl, config.apiKey);
+            if (!server) {
+                const port = new URL(config.baseUrl).port || undefined;
+                validation.warnings.push(`Provider ${name}: LiteLLM gateway is not answering at ${config.baseUrl} - start it with: ${getLiteLLMStartCommand(LITELLM_CONFIG_FILE, port)}`);
+            } else if (server.requiresKey) {
+                validation.warnings.push(`Provider ${name}: LiteLLM gateway at ${config.baseUrl} rejected the master key`);
+            } else if (!server.models.some(model => model.id === config.model)) {
+                validation.warnings.push(`Provider ${name}: LiteLLM gateway has no model group ${config.model} - check ${LITELLM_CONFIG_FILE}`);
+            }
+        }
+        
         return true;
         
     } catch (error) {
@@ -204,6 +342,26 @@ async function validateSingleProvider(name, config, validation) {
     }
 }
 
+/**
+ * Warn about models the catalog lists as retired, retiring or to avoid
+ */
+function checkCatalogModel(name, modelId, validation) {
+    const entry = findCatalogModel(modelId);
+    if (!entry) {
+        return;
+    }
+
+    const { model } = entry;
+    const replacement = model.replacement ? ` - switch to ${model.replacement}` : '';
+    if (isRetired(model)) {
+        validation.warnings.push(`Provider ${name}: ${model.name} (${modelId}) was retired on ${model.deprecated}${replacement}`);
+    } else if (model.deprecated) {
+        validation.warnings.push(`Provider ${name}: ${model.name} (${modelId}) retires on ${model.deprecated}${replacement}`);
+    } else if (model.avoid) {
+        validation.warnings.push(`Provider ${name}: ${model.name} is best avoided (${model.avoid})`);
+    }
+}
+
 /**
  * Validate communication channels configuration
  */
@@ -225,7 +383,7 @@ async function validateChannels(channelsConfig, validation) {
             if (channelValid) validChannels++;
         }
         
-        if (validChannels === enabledChannels.length) {
+        if (enabledChannels.length > 0 && validChannels === enabledChannels.length) {
             check.status = 'passed';
         } else {
             check.status = 'warning';
@@ -242,6 +400,9 @@ async function validateChannels(channelsConfig, validation) {
  */
 async function validateSingleChannel(name, config, validation) {
     try {
+        config = await resolveReferences(`Channel ${name}`, config, validation);
+        if (!config) return false;
+        
         // Validate based on channel type
         switch (name) {
             case 'whatsapp':
@@ -260,9 +421,9 @@ async function validateSingleChannel(name, config, validation) {
                 }
                 
                 // Test Telegram bot token (optional)
-                const telegramValid = await testTelegramBot(config.botToken);
-                if (!telegramValid) {
-                    validation.warnings.push(`Channel ${name}: Bot token validation failed`);
+                const telegramResult = await probeCredential('telegram', { apiKey: config.botToken });
+                if (!telegramResult.ok) {
+                    validation.warnings.push(`Channel ${name}: Bot token validation failed: ${describeProbeResult(telegramResult)}`);
                 }
                 break;
                 
@@ -296,6 +457,22 @@ async function validateSingleChannel(name, config, validation) {
     }
 }
 
+/**
+ * Replace `${VAR}` secret references with their values so keys can be checked
+ *
+ * @returns {Object|null} Resolved settings, or null when a reference is not set
+ */
+async function resolveReferences(label, config, validation) {
+    const { value, missing } = await resolveSecretReferences(config);
+    
+    missing.forEach(reference => {
+        const source = reference.startsWith('${vault:') ? getVaultPath() : `${getEnvFilePath()} or the environment`;
+        validation.errors.push(`${label}: ${reference} is not set in ${source}`);
+    });
+    
+    return missing.length === 0 ? value : null;
+}
+
 /**
  * Validate system requirements
  */
@@ -388,52 +565,14 @@ async function validateSecurity(securityConfig, validation) {
     }
 }
 
-/**
- * Test Anthropic API connection
- */
-async function testAnthropicConnection(apiKey, model) {
-    try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: model,
-                max_tokens: 1,
-                messages: [{ role: 'user', content: 'test' }]
-            })
-        });
-
-        return response.ok;
-    } catch (error) {
-        return false;
-    }
-}
-
 /**
  * Test Ollama connection
  */
 async function testOllamaConnection(baseUrl) {
     try {
-        const response = await fetch(`${baseUrl}/api/version`, { timeout: 5000 });
+        const response = await httpFetch(`${baseUrl}/api/version`, { timeout: 5000, retries: 0 });
         return response.ok;
     } catch (error) {
         return false;
     }
 }
-
-/**
- * Test Telegram bot token
- */
-async function testTelegramBot(botToken) {
-    try {
-        const response = await fetch(`https://api.telegram.org/bot${botToken}/getMe`);
-        const data = await response.json();
-        return data.ok;
-    } catch (error) {
-        return false;
-    }
-}
\ No newline at end of file
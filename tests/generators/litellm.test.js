@@ -0,0 +1,78 @@
+/**
+ * LiteLLM gateway tests - re-runs keep the master key and back up the gateway config
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { setDryRun } from '../../src/utils/fileOps.js';
+import { setSecretsMode, loadEnvFile, getEnvFilePath } from '../../src/utils/secrets.js';
+import { getBackupDir } from '../../src/utils/backup.js';
+import {
+    generateLiteLLMConfig,
+    writeLiteLLMConfig,
+    findLiteLLMMasterKey,
+    LITELLM_CONFIG_FILE
+} from '../../src/generators/litellm.js';
+
+const providers = [
+    { name: 'anthropic', type: 'anthropic', model: 'claude-sonnet-4-5', apiKey: 'sk-ant-test' },
+    { name: 'ollama', type: 'ollama', model: 'llama3.1:8b', baseUrl: 'http://localhost:11434' }
+];
+const routing = { primary: 'anthropic', fallback: ['ollama'], onboarding: 'anthropic' };
+
+let home;
+
+beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-litellm-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setSecretsMode('env');
+});
+
+afterEach(() => {
+    setDryRun(false);
+    setSecretsMode('inline');
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('finds the master key saved by an earlier run', async () => {
+    expect(await findLiteLLMMasterKey()).toBeNull();
+
+    fs.mkdirSync(path.dirname(getEnvFilePath()), { recursive: true });
+    fs.writeFileSync(getEnvFilePath(), 'LITELLM_MASTER_KEY=sk-earlier\n');
+
+    expect(await findLiteLLMMasterKey()).toBe('sk-earlier');
+});
+
+test('backs up a changed gateway config before replacing it', async () => {
+    const configDir = path.join(home, '.openclaw');
+    const { config, secrets } = generateLiteLLMConfig(providers, routing);
+
+    const first = await writeLiteLLMConfig(config, { ...secrets, LITELLM_MASTER_KEY: 'sk-gateway' }, configDir);
+    expect(first.backupPath).toBeNull();
+    expect(loadEnvFile()).toEqual({ ANTHROPIC_API_KEY: 'sk-ant-test', LITELLM_MASTER_KEY: 'sk-gateway' });
+
+    const unchanged = await writeLiteLLMConfig(config, secrets, configDir);
+    expect(unchanged.backupPath).toBeNull();
+
+    const previous = fs.readFileSync(first.configPath, 'utf8');
+    const changed = generateLiteLLMConfig(providers, { ...routing, fallback: [] });
+    const second = await writeLiteLLMConfig(changed.config, changed.secrets, configDir);
+
+    expect(path.dirname(second.backupPath)).toBe(getBackupDir());
+    expect(path.basename(second.backupPath)).toMatch(/^litellm_config\..+\.yaml$/);
+    expect(fs.readFileSync(second.backupPath, 'utf8')).toBe(previous);
+    expect(second.configPath).toBe(path.join(configDir, LITELLM_CONFIG_FILE));
+});
+
+test('writes nothing in a dry run', async () => {
+    setDryRun(true);
+    const { config, secrets } = generateLiteLLMConfig(providers, routing);
+
+    await writeLiteLLMConfig(config, { ...secrets, LITELLM_MASTER_KEY: 'sk-gateway' }, path.join(home, '.openclaw'));
+
+    expect(fs.existsSync(path.join(home, '.openclaw'))).toBe(false);
+});
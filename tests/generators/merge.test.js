@@ -0,0 +1,112 @@
+/**
+ * Config Merger tests - kept values are reported and hardening sections land next to their neighbours
+ */
+
+import { jest } from '@jest/globals';
+import { mergeConfigDocument, displayKeptSettings } from '../../src/generators/merge.js';
+
+const EXISTING = `# Gateway
+gateway:
+  host: 0.0.0.0
+  port: 18789
+
+# Channels
+channels:
+  telegram:
+    enabled: true
+    botToken: 123456789:abcdefghijklmnop
+
+agent:
+  name: Bob
+
+diagnostics:
+  flags: []
+`;
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('lists differing values outside the conflict sections as kept', () => {
+    const merge = mergeConfigDocument(EXISTING, {
+        gateway: { host: '127.0.0.1', port: 18789 },
+        agent: { name: 'Alice' }
+    }, 'clawdbot.yaml');
+
+    expect(merge.conflicts).toEqual([]);
+    expect(merge.kept).toEqual([
+        { path: ['gateway', 'host'], current: '0.0.0.0', incoming: '127.0.0.1' },
+        { path: ['agent', 'name'], current: 'Bob', incoming: 'Alice' }
+    ]);
+    expect(merge.document.get('agent').get('name')).toBe('Bob');
+});
+
+test('reports conflict sections as conflicts, not as kept', () => {
+    const merge = mergeConfigDocument(EXISTING, {
+        channels: { telegram: { enabled: true, botToken: '987654321:zyxwvutsrqponmlk' } }
+    }, 'clawdbot.yaml');
+
+    expect(merge.kept).toEqual([]);
+    expect(merge.conflicts.map(conflict => conflict.path.join('.'))).toEqual(['channels.telegram.botToken']);
+});
+
+test('masks secrets in the kept settings summary', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    displayKeptSettings({
+        kept: [{ path: ['tools', 'search', 'apiKey'], current: 'sk-old-1234567890', incoming: 'sk-new-0987654321' }]
+    }, 'clawdbot.yaml');
+
+    const output = log.mock.calls.flat().join('\n');
+    expect(output).toContain('tools.search.apiKey: sk-o…7890 (this run: sk-n…4321)');
+    expect(output).not.toContain('sk-old-1234567890');
+});
+
+test('inserts hardening sections after the sections they belong with', () => {
+    const merge = mergeConfigDocument(EXISTING, {
+        authentication: { mode: 'token', token: '${OPENCLAW_GATEWAY_TOKEN}' },
+        dmPolicy: 'pairing',
+        groupPolicy: 'disabled'
+    }, 'clawdbot.yaml');
+
+    const yamlContent = merge.document.toString();
+    const keys = merge.document.contents.items.map(item => item.key.value);
+    expect(keys).toEqual(['gateway', 'authentication', 'channels', 'dmPolicy', 'groupPolicy', 'agent', 'diagnostics']);
+    expect(yamlContent).toContain('# Gateway Authentication\n');
+    expect(yamlContent).toContain('# Channel Access Policies\n');
+    expect(merge.added).toEqual(['authentication', 'dmPolicy', 'groupPolicy']);
+});
+
+test('appends a hardening section when its neighbour is missing', () => {
+    const merge = mergeConfigDocument('agent:\n  name: Bob\n', { dmPolicy: 'pairing' }, 'clawdbot.yaml');
+
+    const keys = merge.document.contents.items.map(item => item.key.value);
+    expect(keys).toEqual(['agent', 'dmPolicy']);
+});
+
+test('replaces forced settings instead of keeping the existing values', () => {
+    const existing = 'gateway:\n  host: 0.0.0.0\n  port: 18789\nauthentication: none\ndmPolicy: open\nagent:\n  name: Bob\n';
+    const merge = mergeConfigDocument(existing, {
+        gateway: { host: '127.0.0.1', port: 18789 },
+        authentication: { mode: 'token', token: '${OPENCLAW_GATEWAY_TOKEN}' },
+        dmPolicy: 'pairing',
+        agent: { name: 'Alice' }
+    }, 'clawdbot.yaml', { force: ['gateway.host', 'authentication.mode', 'authentication.token', 'dmPolicy'] });
+
+    expect(merge.forced).toEqual(['gateway.host', 'authentication', 'dmPolicy']);
+    expect(merge.kept.map(setting => setting.path.join('.'))).toEqual(['agent.name']);
+    expect(merge.document.toJS()).toMatchObject({
+        gateway: { host: '127.0.0.1' },
+        authentication: { mode: 'token', token: '${OPENCLAW_GATEWAY_TOKEN}' },
+        dmPolicy: 'pairing'
+    });
+});
+
+test('writes settings added to a flow mapping as block YAML', () => {
+    const merge = mergeConfigDocument('providers: { old: { enabled: true } }\n', {
+        providers: { acme: { enabled: true, model: 'acme-large' } }
+    }, 'clawdbot.yaml');
+
+    expect(merge.document.toString()).toBe(
+        'providers:\n  old: { enabled: true }\n  acme:\n    enabled: true\n    model: acme-large\n'
+    );
+});
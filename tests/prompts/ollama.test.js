@@ -0,0 +1,67 @@
+/**
+ * Ollama Flow tests - a dry run plans a model pull instead of downloading it
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import { useAnswers } from '../../src/utils/prompt.js';
+import { setDryRun } from '../../src/utils/fileOps.js';
+import { askOllamaModel } from '../../src/prompts/ollama.js';
+
+let server;
+let baseUrl;
+let requests;
+
+beforeAll(async () => {
+    // An Ollama server with nothing installed
+    const routes = {
+        '/api/version': { version: '0.5.7' },
+        '/api/tags': { models: [] },
+        '/api/ps': { models: [] },
+        '/api/pull': { status: 'success' }
+    };
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        res.writeHead(routes[req.url] ? 200 : 404, { 'Content-Type': 'application/json', 'Connection': 'close' });
+        // Newline-terminated, like the lines of Ollama's streamed pull progress
+        res.end(`${JSON.stringify(routes[req.url] || { error: 'not found' })}\n`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    useAnswers({ providers: { ollama: { model: 'llama3.1:8b', pullModel: true } } });
+});
+
+afterEach(() => {
+    setDryRun(false);
+    jest.restoreAllMocks();
+});
+
+const OPTIONS = { message: 'Which model?', systemInfo: { disk: { free: 500 } } };
+
+test('a dry run does not pull the model', async () => {
+    setDryRun(true);
+
+    const result = await askOllamaModel('providers.ollama', { ...OPTIONS, baseUrl });
+
+    expect(result).toEqual({ model: 'llama3.1:8b', serverRunning: true, installed: false });
+    expect(requests).not.toContain('/api/pull');
+    expect(console.log.mock.calls.flat().join('\n')).toContain('[dry-run] Would pull the Ollama model llama3.1:8b');
+});
+
+test('a real run pulls the model', async () => {
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    const result = await askOllamaModel('providers.ollama', { ...OPTIONS, baseUrl });
+
+    expect(result.installed).toBe(true);
+    expect(requests).toContain('/api/pull');
+});
@@ -0,0 +1,65 @@
+/**
+ * Model Tiers tests - the fallback chain follows the order the user gives
+ */
+
+import { jest } from '@jest/globals';
+import { useAnswers } from '../../src/utils/prompt.js';
+import { modelTiersFlow } from '../../src/prompts/routing.js';
+
+const PROVIDERS = [
+    { name: 'anthropic', model: 'claude-sonnet-4-5', isPrimary: true },
+    { name: 'openai', model: 'gpt-4o' },
+    { name: 'groq', model: 'llama-3.3-70b-versatile' },
+    { name: 'ollama', model: 'llama3.2' }
+];
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('orders the fallbacks by the position answers, not the checkbox order', async () => {
+    useAnswers({
+        routing: {
+            useRecommended: false,
+            primary: 'anthropic',
+            fallback: ['openai', 'groq', 'ollama'],
+            fallback1: 'ollama',
+            fallback2: 'openai',
+            onboarding: 'anthropic'
+        }
+    });
+
+    const tiers = await modelTiersFlow(PROVIDERS);
+
+    expect(tiers).toEqual({ primary: 'anthropic', fallback: ['ollama', 'openai', 'groq'], onboarding: 'anthropic' });
+});
+
+test('does not ask for an order with a single fallback', async () => {
+    useAnswers({
+        routing: { useRecommended: false, primary: 'openai', fallback: ['groq'], onboarding: 'openai' }
+    });
+
+    const tiers = await modelTiersFlow(PROVIDERS);
+
+    expect(tiers.fallback).toEqual(['groq']);
+});
+
+test('rejects a position answer that is not one of the picked fallbacks', async () => {
+    useAnswers({
+        routing: {
+            useRecommended: false,
+            primary: 'anthropic',
+            fallback: ['openai', 'groq'],
+            fallback1: 'ollama',
+            onboarding: 'anthropic'
+        }
+    }, 'answers.yaml');
+
+    await expect(modelTiersFlow(PROVIDERS)).rejects.toThrow(
+        /Invalid answer for "routing\.fallback1" in answers\.yaml: expected one of openai, groq/
+    );
+});
@@ -0,0 +1,32 @@
+/**
+ * Subscription Detection tests - a declined route is asked again, never recursively or forever
+ */
+
+import { jest } from '@jest/globals';
+import { useAnswers } from '../../src/utils/prompt.js';
+import { subscriptionDetectionFlow } from '../../src/prompts/subscription.js';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('returns the accepted route', async () => {
+    useAnswers({ subscription: { currentUsage: 'free-only', proceedWithRoute: true } });
+
+    const result = await subscriptionDetectionFlow();
+
+    expect(result.subscriptionType).toBe('free-only');
+    expect(result.routing.recommendedPath).toBe('free-models');
+});
+
+test('a declined route in an answers file stops with a clear error', async () => {
+    useAnswers({ subscription: { currentUsage: 'api-keys', proceedWithRoute: false } }, 'answers.yaml');
+
+    await expect(subscriptionDetectionFlow()).rejects.toThrow(
+        /"subscription\.currentUsage" was asked 5 times with the same answer from answers\.yaml/
+    );
+});
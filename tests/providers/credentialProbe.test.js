@@ -0,0 +1,38 @@
+/**
+ * Credential Probe tests - a request that fails never shows the key that was in its URL
+ */
+
+import http from 'http';
+import { probeCredential, describeProbeResult, PROBE_RESULTS } from '../../src/providers/credentialProbe.js';
+
+let closedUrl;
+
+beforeAll(async () => {
+    // A port that was free a moment ago: connections to it are refused
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    closedUrl = `http://127.0.0.1:${server.address().port}`;
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('keeps a Telegram bot token in the request path out of the message', async () => {
+    const token = '123456789:ABCDEFghijklmnopQRSTUVwxyz012345678';
+
+    const result = await probeCredential('telegram', { apiKey: token, baseUrl: closedUrl });
+
+    expect(result.type).toBe(PROBE_RESULTS.NETWORK_ERROR);
+    expect(result.message).toContain(`request to ${closedUrl} failed`);
+    expect(describeProbeResult(result)).not.toContain(token);
+    expect(describeProbeResult(result)).not.toContain(encodeURIComponent(token));
+});
+
+test('keeps a Google AI key in the query string out of the message', async () => {
+    const apiKey = 'AIzaSyD-secret_key+with/odd=chars';
+
+    const result = await probeCredential('google-ai', { apiKey, baseUrl: closedUrl });
+
+    expect(result.type).toBe(PROBE_RESULTS.NETWORK_ERROR);
+    expect(describeProbeResult(result)).not.toContain(apiKey);
+    expect(describeProbeResult(result)).not.toContain(encodeURIComponent(apiKey));
+    expect(result.hint).toContain(`Nothing is listening at ${closedUrl}`);
+});
@@ -0,0 +1,197 @@
+/**
+ * Local Server Discovery tests - each backend is recognised from what a stub server answers
+ */
+
+import http from 'http';
+import { probeLocalServer, detectLocalServers, LOCAL_SERVER_BACKENDS } from '../../src/providers/localServer.js';
+
+/**
+ * Start a stub server answering GET <path> with routes[path] = [status, body]; other paths get a 404 page
+ */
+async function startStub(routes, port = 0) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+        const [status, body] = routes[req.url] || [404, 'Not Found'];
+        // No keep-alive, so a later stub on the same port gets a fresh connection
+        res.writeHead(status, {
+            'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json',
+            'Connection': 'close'
+        });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Check whether a port on this machine is free to listen on
+ */
+async function isPortFree(port) {
+    const server = http.createServer();
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, resolve);
+        });
+    } catch {
+        return false;
+    }
+    await new Promise(resolve => server.close(resolve));
+    return true;
+}
+
+const stubs = [];
+
+afterEach(async () => {
+    await Promise.all(stubs.splice(0).map(({ server }) => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    })));
+});
+
+/**
+ * Start a stub that is stopped after the test
+ */
+async function stub(routes, port) {
+    const started = await startStub(routes, port);
+    stubs.push(started);
+    return started;
+}
+
+const LLAMA = { object: 'list', data: [{ id: 'qwen2.5-7b-instruct', object: 'model', owned_by: 'llamacpp' }] };
+const LOCALAI_MODELS = { object: 'list', data: [{ id: 'phi-3', object: 'model' }, { id: 'mistral-7b', object: 'model' }] };
+const LOCALAI_SYSTEM = { backends: ['llama-cpp', 'whisper'], loaded_models: [{ id: 'mistral-7b' }] };
+
+test('recognises vLLM by owned_by', async () => {
+    const { url } = await stub({
+        '/v1/models': [200, { data: [{ id: 'meta-llama/Llama-3.1-8B-Instruct', owned_by: 'vllm' }] }]
+    });
+
+    const server = await probeLocalServer(`${url}/v1/`);
+
+    expect(server).toEqual({
+        backend: 'vllm',
+        name: 'vLLM',
+        baseUrl: `${url}/v1`,
+        requiresKey: false,
+        models: [{ id: 'meta-llama/Llama-3.1-8B-Instruct', loaded: true }]
+    });
+});
+
+test('recognises the llama.cpp server by owned_by', async () => {
+    const { url, requests } = await stub({ '/v1/models': [200, LLAMA] });
+
+    const server = await probeLocalServer(url);
+
+    expect(server.backend).toBe('llamacpp');
+    expect(server.name).toBe('llama.cpp server');
+    expect(requests.map(request => request.url)).toEqual(['/v1/models']);
+});
+
+test('recognises LM Studio by its own model listing, with chat models only and loaded first', async () => {
+    const { url } = await stub({
+        '/v1/models': [200, { data: [{ id: 'qwen2.5-7b-instruct', owned_by: 'organization_owner' }] }],
+        '/api/v0/models': [200, {
+            data: [
+                { id: 'text-embedding-nomic-embed-text-v1.5', type: 'embeddings', state: 'not-loaded' },
+                { id: 'llama-3.2-3b-instruct', type: 'llm', state: 'not-loaded' },
+                { id: 'qwen2.5-7b-instruct', type: 'llm', state: 'loaded' },
+                { id: 'qwen2-vl-7b-instruct', type: 'vlm', state: 'not-loaded' }
+            ]
+        }]
+    });
+
+    const server = await probeLocalServer(url);
+
+    expect(server.backend).toBe('lmstudio');
+    expect(server.models).toEqual([
+        { id: 'qwen2.5-7b-instruct', loaded: true },
+        { id: 'llama-3.2-3b-instruct', loaded: false },
+        { id: 'qwen2-vl-7b-instruct', loaded: false }
+    ]);
+});
+
+test('recognises LocalAI by /system, marking the loaded models', async () => {
+    const { url } = await stub({
+        '/v1/models': [200, LOCALAI_MODELS],
+        '/system': [200, LOCALAI_SYSTEM]
+    });
+
+    const server = await probeLocalServer(url);
+
+    expect(server.backend).toBe('localai');
+    expect(server.models).toEqual([
+        { id: 'mistral-7b', loaded: true },
+        { id: 'phi-3', loaded: false }
+    ]);
+});
+
+test.each([401, 403])('marks a server answering %i as requiring a key', async (status) => {
+    const { url } = await stub({ '/v1/models': [status, { error: 'Unauthorized' }] });
+
+    const server = await probeLocalServer(url);
+
+    expect(server).toMatchObject({ backend: 'local-server', requiresKey: true, models: [] });
+});
+
+test('sends the API key to every endpoint it asks', async () => {
+    const { url, requests } = await stub({ '/v1/models': [200, LOCALAI_MODELS], '/system': [200, LOCALAI_SYSTEM] });
+
+    const server = await probeLocalServer(url, 'sk-local');
+
+    expect(server.requiresKey).toBe(false);
+    expect(requests.map(request => request.authorization)).toEqual(['Bearer sk-local', 'Bearer sk-local', 'Bearer sk-local']);
+});
+
+test('keeps an unrecognised server that lists models as a generic one', async () => {
+    const { url } = await stub({ '/v1/models': [200, { data: [{ id: 'my-model', owned_by: 'me' }] }] });
+
+    const server = await probeLocalServer(url);
+
+    expect(server).toMatchObject({
+        backend: 'local-server',
+        name: 'OpenAI-compatible server',
+        models: [{ id: 'my-model', loaded: true }]
+    });
+});
+
+test('ignores servers that are not OpenAI-compatible', async () => {
+    const { url } = await stub({ '/v1/models': [200, '<html>admin panel</html>'] });
+
+    expect(await probeLocalServer(url)).toBeNull();
+    await new Promise(resolve => stubs[0].server.close(resolve));
+    stubs.splice(0);
+    expect(await probeLocalServer(url)).toBeNull();
+});
+
+const defaultPorts = [...new Set(Object.values(LOCAL_SERVER_BACKENDS).map(backend => backend.port))];
+const defaultPortsFree = (await Promise.all(defaultPorts.map(isPortFree))).every(Boolean);
+
+// Needs the backends' default ports (1234, 8000, 8080) to be free on this machine
+(defaultPortsFree ? describe : describe.skip)('detectLocalServers', () => {
+    test('finds LocalAI on port 8080 next to vLLM on port 8000', async () => {
+        const localAi = await stub({ '/v1/models': [200, LOCALAI_MODELS], '/system': [200, LOCALAI_SYSTEM] }, 8080);
+        await stub({ '/v1/models': [200, { data: [{ id: 'meta-llama/Llama-3.1-8B-Instruct', owned_by: 'vllm' }] }] }, 8000);
+
+        const servers = await detectLocalServers();
+
+        expect(servers.map(server => [server.backend, server.baseUrl])).toEqual([
+            ['vllm', 'http://localhost:8000/v1'],
+            ['localai', 'http://localhost:8080/v1']
+        ]);
+        expect(localAi.requests.map(request => request.url)).toEqual(['/v1/models', '/api/v0/models', '/system']);
+    });
+
+    test('finds llama.cpp on the port LocalAI shares with it', async () => {
+        const llama = await stub({ '/v1/models': [200, LLAMA] }, 8080);
+
+        const servers = await detectLocalServers();
+
+        expect(servers.map(server => server.backend)).toEqual(['llamacpp']);
+        expect(llama.requests.map(request => request.url)).toEqual(['/v1/models']);
+    });
+});
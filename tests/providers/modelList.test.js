@@ -0,0 +1,126 @@
+/**
+ * Live Model Lists tests - against a stub model-list server on localhost
+ */
+
+import http from 'http';
+import { fetchModelList, getLiveModelChoices } from '../../src/providers/modelList.js';
+import { getModelChoices, getDefaultModel } from '../../src/providers/catalog.js';
+
+let server;
+let baseUrl;
+let handler;
+let requests;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req);
+        handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+});
+
+/**
+ * Answer every request with a status and body
+ */
+function respond(status, body, contentType = 'application/json') {
+    handler = (req, res) => {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+}
+
+test('lists the models of an OpenAI-style response, sending the key', async () => {
+    respond(200, { data: [{ id: 'gpt-4o' }, { id: 'gpt-5-2025-08-07' }, { id: 'whisper-1' }] });
+
+    const models = await fetchModelList('openai', { apiKey: 'sk-test', baseUrl: `${baseUrl}/` });
+
+    expect(models).toEqual(['gpt-4o', 'gpt-5-2025-08-07', 'whisper-1']);
+    expect(requests[0].url).toBe('/v1/models');
+    expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+});
+
+test('reads the bare array of an OpenAI-compatible vendor', async () => {
+    respond(200, [{ id: 'deepseek-ai/DeepSeek-V3' }]);
+
+    const models = await fetchModelList('together', { apiKey: 'tg-test', baseUrl });
+
+    expect(models).toEqual(['deepseek-ai/DeepSeek-V3']);
+});
+
+test('offers the catalog models the key can use, recommended first', () => {
+    const result = getLiveModelChoices('openai', ['gpt-4o', 'gpt-5-2025-08-07', 'whisper-1']);
+
+    expect(result.source).toBe('live');
+    expect(result.choices.map(choice => choice.value)).toEqual(['gpt-5', 'gpt-4o']);
+    expect(result.default).toBe('gpt-5');
+});
+
+test('offers every listed model when none is in the catalog', () => {
+    const result = getLiveModelChoices('custom', ['zeta', 'alpha', 'zeta']);
+
+    expect(result.choices.map(choice => choice.value)).toEqual(['alpha', 'zeta']);
+    expect(result.default).toBe('alpha');
+});
+
+test('falls back to the catalog when the key is rejected', async () => {
+    respond(401, { error: { message: 'invalid api key' } });
+
+    const models = await fetchModelList('openai', { apiKey: 'sk-wrong', baseUrl });
+
+    expect(models).toBeNull();
+    expect(getLiveModelChoices('openai', models)).toEqual({
+        choices: getModelChoices('openai'),
+        default: getDefaultModel('openai'),
+        source: 'static'
+    });
+});
+
+test('falls back to the catalog when nothing listens', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const models = await fetchModelList('openai', { apiKey: 'sk-test', baseUrl: `http://127.0.0.1:${port}` });
+
+    expect(models).toBeNull();
+    expect(getLiveModelChoices('openai', models).source).toBe('static');
+});
+
+test('falls back to the catalog when the server does not answer in time', async () => {
+    // Never answers; the request gives up after its 10 second timeout
+    handler = () => {};
+
+    const models = await fetchModelList('openai', { apiKey: 'sk-test', baseUrl });
+
+    expect(models).toBeNull();
+    expect(getLiveModelChoices('openai', models).source).toBe('static');
+}, 20000);
+
+test('returns null for a body that is not JSON', async () => {
+    respond(200, '<html>Service unavailable</html>', 'text/html');
+
+    expect(await fetchModelList('openai', { apiKey: 'sk-test', baseUrl })).toBeNull();
+});
+
+test('returns null for JSON without a model list', async () => {
+    respond(200, { object: 'list' });
+
+    expect(await fetchModelList('openai', { apiKey: 'sk-test', baseUrl })).toBeNull();
+    expect(await fetchModelList('google-ai', { apiKey: 'g-test', baseUrl })).toBeNull();
+});
+
+test('returns null for a provider without a model list API', async () => {
+    expect(await fetchModelList('elevenlabs', { apiKey: 'x', baseUrl })).toBeNull();
+    expect(requests).toHaveLength(0);
+});
@@ -0,0 +1,41 @@
+/**
+ * Prompt Adapter tests - answers files give prompts the text a person would have typed
+ */
+
+import yaml from 'js-yaml';
+import { ask, useAnswers } from '../../src/utils/prompt.js';
+
+const API_VERSION_QUESTION = {
+    type: 'input',
+    name: 'apiVersion',
+    filter: (input) => input.trim(),
+    validate: (input) => typeof input === 'string' && /^\d{4}-\d{2}-\d{2}(-preview)?$/.test(input)
+        ? true
+        : 'API versions look like 2024-10-21 or 2025-01-01-preview'
+};
+
+test('turns an unquoted YAML date back into its text', async () => {
+    const document = yaml.load('providers:\n  azure-openai:\n    apiVersion: 2024-10-21\n');
+    expect(document.providers['azure-openai'].apiVersion).toBeInstanceOf(Date);
+    useAnswers(document);
+
+    const { apiVersion } = await ask('providers.azure-openai', [API_VERSION_QUESTION]);
+
+    expect(apiVersion).toBe('2024-10-21');
+});
+
+test('keeps the time of a full YAML timestamp', async () => {
+    useAnswers(yaml.load('section:\n  when: 2024-10-21T08:30:00Z\n'));
+
+    const { when } = await ask('section', [{ type: 'input', name: 'when' }]);
+
+    expect(when).toBe('2024-10-21T08:30:00.000Z');
+});
+
+test('still rejects an api-version that is not a date', async () => {
+    useAnswers(yaml.load('providers:\n  azure-openai:\n    apiVersion: 2024-10\n'), 'answers.yaml');
+
+    await expect(ask('providers.azure-openai', [API_VERSION_QUESTION])).rejects.toThrow(
+        'Invalid answer for "providers.azure-openai.apiVersion" in answers.yaml: API versions look like 2024-10-21 or 2025-01-01-preview'
+    );
+});
@@ -0,0 +1,102 @@
+/**
+ * Secrets tests - providers never share, or silently replace, each other's .env entries
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { setDryRun } from '../../src/utils/fileOps.js';
+import {
+    setSecretsMode,
+    getProviderEnvVar,
+    storeProviderSecret,
+    saveSecrets,
+    loadEnvFile,
+    getEnvFilePath
+} from '../../src/utils/secrets.js';
+
+let home;
+
+beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-secrets-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    setSecretsMode('env');
+});
+
+afterEach(() => {
+    setDryRun(false);
+    setSecretsMode('inline');
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Write ~/.openclaw/.env with the given entries
+ */
+function writeEnvFile(entries) {
+    fs.mkdirSync(path.dirname(getEnvFilePath()), { recursive: true });
+    fs.writeFileSync(getEnvFilePath(), Object.entries(entries).map(([name, value]) => `${name}=${value}\n`).join(''));
+}
+
+test('names vendor keys by type and other provider keys by provider name', () => {
+    expect(getProviderEnvVar({ type: 'anthropic', name: 'anthropic' })).toBe('ANTHROPIC_API_KEY');
+    expect(getProviderEnvVar({ type: 'openai-compatible', name: 'acme' })).toBe('ACME_API_KEY');
+    expect(getProviderEnvVar({ type: 'openai-compatible', name: 'beta' })).toBe('BETA_API_KEY');
+    expect(getProviderEnvVar({ type: 'local-server', name: 'vllm' })).toBe('VLLM_API_KEY');
+    expect(getProviderEnvVar({ type: 'subscription-bridge', name: 'claude-subscription' })).toBe('CLAUDE_SUBSCRIPTION_API_KEY');
+});
+
+test('keeps the keys of two custom providers apart', async () => {
+    expect(storeProviderSecret({ type: 'openai-compatible', name: 'acme', apiKey: 'acme-key' })).toBe('${ACME_API_KEY}');
+    await saveSecrets();
+    expect(storeProviderSecret({ type: 'openai-compatible', name: 'beta', apiKey: 'beta-key' })).toBe('${BETA_API_KEY}');
+    await saveSecrets({ config: { providers: { acme: { apiKey: '${ACME_API_KEY}' } } } });
+
+    expect(loadEnvFile()).toEqual({ ACME_API_KEY: 'acme-key', BETA_API_KEY: 'beta-key' });
+});
+
+test('refuses to replace an entry another provider still refers to', async () => {
+    writeEnvFile({ MY_LLM_API_KEY: 'first-key' });
+
+    storeProviderSecret({ type: 'openai-compatible', name: 'my_llm', apiKey: 'second-key' });
+
+    await expect(saveSecrets({ config: { providers: { 'my-llm': { apiKey: '${MY_LLM_API_KEY}' } } } })).rejects.toThrow(
+        'Not replacing MY_LLM_API_KEY for providers.my_llm.apiKey: providers.my-llm.apiKey in clawdbot.yaml still uses the value stored under it.'
+    );
+    expect(loadEnvFile()).toEqual({ MY_LLM_API_KEY: 'first-key' });
+});
+
+test('replaces the entry of the provider that owns it', async () => {
+    writeEnvFile({ ACME_API_KEY: 'old-key' });
+
+    storeProviderSecret({ type: 'openai-compatible', name: 'acme', apiKey: 'new-key' });
+    await saveSecrets({ config: { providers: { acme: { apiKey: '${ACME_API_KEY}' } } } });
+
+    expect(loadEnvFile()).toEqual({ ACME_API_KEY: 'new-key' });
+});
+
+test('refuses two providers of one run that map to the same name', async () => {
+    storeProviderSecret({ type: 'openai-compatible', name: 'my-llm', apiKey: 'first-key' });
+
+    expect(() => storeProviderSecret({ type: 'openai-compatible', name: 'my_llm', apiKey: 'second-key' })).toThrow(
+        'providers.my_llm.apiKey and providers.my-llm.apiKey would both store their secret as MY_LLM_API_KEY.'
+    );
+    // Write the queued key, so it doesn't carry over to other tests
+    await saveSecrets();
+});
+
+test('masks the values in a dry-run diff of the .env file', async () => {
+    writeEnvFile({ ANTHROPIC_API_KEY: 'sk-ant-old-secret' });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    setDryRun(true);
+
+    storeProviderSecret({ type: 'anthropic', name: 'anthropic', apiKey: 'sk-ant-new-secret' });
+    await saveSecrets();
+
+    const output = log.mock.calls.flat().join('\n');
+    expect(output).toMatch(/-ANTHROPIC_API_KEY=<redacted [0-9a-f]{8}>/);
+    expect(output).toMatch(/\+ANTHROPIC_API_KEY=<redacted [0-9a-f]{8}>/);
+    expect(output).not.toContain('sk-ant-old-secret');
+    expect(output).not.toContain('sk-ant-new-secret');
+});
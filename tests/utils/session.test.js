@@ -0,0 +1,48 @@
+/**
+ * Setup Session tests - checkpoints survive a resume
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { openSession, saveCheckpoint, getCheckpoint, hasCheckpoint } from '../../src/utils/session.js';
+
+let home;
+
+beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-session-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('resumes a session with its encrypted secrets', () => {
+    const session = openSession();
+    saveCheckpoint(session, 'providers', [{ name: 'anthropic', apiKey: 'sk-ant-secret' }]);
+
+    const resumed = openSession({ resume: true });
+    expect(resumed.resumed).toBe(true);
+    expect(getCheckpoint(resumed, 'providers')).toEqual([{ name: 'anthropic', apiKey: 'sk-ant-secret' }]);
+
+    const onDisk = fs.readFileSync(path.join(home, '.openclaw', 'setup-session.json'), 'utf8');
+    expect(onDisk).not.toContain('sk-ant-secret');
+});
+
+test('a new session replaces the key file left by an interrupted run', () => {
+    const keyPath = path.join(home, '.openclaw', 'setup-session.key');
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('base64'), { mode: 0o644 });
+
+    const session = openSession();
+    saveCheckpoint(session, 'providers', [{ name: 'openai', apiKey: 'sk-new-secret' }]);
+
+    const resumed = openSession({ resume: true });
+    expect(hasCheckpoint(resumed, 'providers')).toBe(true);
+    expect(getCheckpoint(resumed, 'providers')[0].apiKey).toBe('sk-new-secret');
+    expect(fs.statSync(keyPath).mode & 0o777).toBe(0o600);
+});
@@ -0,0 +1,24 @@
+/**
+ * Config Schema tests - a setup without channels (skipped channels step) is valid
+ */
+
+import { validateConfigSchema } from '../../src/validators/schema.js';
+
+const CONFIG = {
+    gateway: { host: '127.0.0.1', port: 18789 },
+    providers: { anthropic: { enabled: true, model: 'claude-sonnet-4-5', primary: true } },
+    agent: { name: 'OpenClaw', personality: 'helpful', responseMode: 'conversational' }
+};
+
+test('accepts an empty channels section', () => {
+    const result = validateConfigSchema({ ...CONFIG, channels: {} });
+
+    expect(result.errors).toEqual([]);
+});
+
+test('still requires at least one provider', () => {
+    const result = validateConfigSchema({ ...CONFIG, providers: {}, channels: {} });
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatch(/providers/);
+});